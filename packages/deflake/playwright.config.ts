@@ -2,6 +2,7 @@ import { defineConfig, devices } from '@playwright/test';
 
 export default defineConfig({
   testDir: './tests',
+  testIgnore: 'unit/**',         // Browser-free specs run through playwright.unit.config.ts
   fullyParallel: true,
   forbidOnly: !!process.env.CI,
   
@@ -16,7 +17,7 @@ export default defineConfig({
       open: 'never'
     }],
     ['json', { 
-      outputFile: 'test-results.json' 
+      outputFile: process.env.DEFLAKE_RESULTS_FILE || 'test-results.json'
     }],
     ['./src/reporters/mcpReporter.ts', { 
       outputFile: 'flakiness-report.json',
@@ -24,7 +25,8 @@ export default defineConfig({
       enableRootCauseAnalysis: true,
       enableSelectorStability: true,
       enablePatternDetection: true,
-      enableTrendAnalysis: true
+      enableTrendAnalysis: true,
+      historyWindow: 50          // Runs per test considered for stability trends
     }],
     ['list'] // Console output for immediate feedback
   ],
@@ -35,7 +37,7 @@ export default defineConfig({
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',  // Capture screenshots specifically when tests fail
     video: 'retain-on-failure',     // Record video only when tests fail
-    headless: false,   // Run tests in headed mode to see browser windows
+    headless: process.env.DEFLAKE_HEADLESS === 'true',   // Headed unless the deflake runner asks otherwise
     
     // Additional settings for better flakiness detection
     actionTimeout: 10000,        // 10 seconds for actions
@@ -0,0 +1,10 @@
+import { defineConfig } from '@playwright/test';
+
+// Browser-free specs for the deflake core: no global setup, no browser projects
+export default defineConfig({
+  testDir: './tests/unit',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: 0,
+  reporter: [['list']]
+});
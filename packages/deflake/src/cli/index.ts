@@ -2,9 +2,26 @@
 
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
+import { runDeflakeAPI } from '../index';
+import { huntFlakes } from '../core/hunter';
+import { HistoryStore } from '../utils/historyStore';
+import { QuarantineEntry, QuarantineList } from '../utils/quarantine';
+import { HealingLog } from '../core/healing';
+import { FingerprintStore } from '../core/fingerprints';
+import { SelectorLinter } from '../utils/selectorLinter';
+import { SelectorAudit } from '../core/selectorAudit';
+import { PlanLoader, PlanLoadError } from '../core/planLoader';
+import * as fs from 'fs';
 
 async function main() {
   const argv = await yargs(hideBin(process.argv))
+    .command('plan', 'Validate a plan file and show its steps', {
+      file: {
+        type: 'string',
+        describe: 'Plan file (YAML or JSON)',
+        demandOption: true
+      }
+    })
     .command('run', 'Run tests', {
       spec: {
         type: 'string',
@@ -20,6 +37,218 @@ async function main() {
         type: 'number',
         describe: 'Number of retries per test',
         default: 2
+      },
+      project: {
+        type: 'array',
+        string: true,
+        describe: 'Browser project(s) to run (defaults to all configured projects)'
+      },
+      output: {
+        type: 'string',
+        describe: 'Where to write the Playwright JSON results',
+        default: 'test-results.json'
+      },
+      report: {
+        type: 'string',
+        describe: 'Optional path for the HTML flakiness report'
+      },
+      quarantine: {
+        type: 'string',
+        describe: 'Quarantine list file (defaults to DEFLAKE_QUARANTINE_FILE or quarantine.json)'
+      },
+      'auto-quarantine': {
+        type: 'boolean',
+        describe: 'Quarantine tests that only pass on retry and release them after clean runs',
+        default: false
+      },
+      'adaptive-timeouts': {
+        type: 'boolean',
+        describe: 'Learn wait and step timeouts from previous runs (.deflake/timings.jsonl) instead of fixed ones',
+        default: false
+      }
+    })
+    .command('hunt', 'Rerun tests repeatedly to measure their pass probability', {
+      spec: {
+        type: 'string',
+        describe: 'Test spec file or pattern',
+        demandOption: true
+      },
+      grep: {
+        type: 'string',
+        describe: 'Only hunt tests whose title matches this pattern'
+      },
+      project: {
+        type: 'array',
+        string: true,
+        describe: 'Browser project(s) to run (defaults to all configured projects)'
+      },
+      runs: {
+        type: 'number',
+        describe: 'Maximum number of runs per test (at least 73 to confirm stability at the default confidence and failure rate)',
+        default: 80
+      },
+      'batch-size': {
+        type: 'number',
+        describe: 'Runs per Playwright invocation',
+        default: 10
+      },
+      'until-confident': {
+        type: 'boolean',
+        describe: 'Stop early once every test is caught failing or confidently stable',
+        default: false
+      },
+      confidence: {
+        type: 'number',
+        describe: 'Confidence level for the pass probability interval',
+        default: 0.95
+      },
+      'max-failure-rate': {
+        type: 'number',
+        describe: 'Failure rate below which a test counts as stable',
+        default: 0.05
+      },
+      headed: {
+        type: 'boolean',
+        describe: 'Run tests in headed mode',
+        default: false
+      },
+      output: {
+        type: 'string',
+        describe: 'Directory for per-batch results and the hunt report',
+        default: 'hunt-results'
+      }
+    })
+    .command('history', 'Show stability trends from the run history', {
+      test: {
+        type: 'string',
+        describe: 'Only show tests whose title contains this text'
+      },
+      project: {
+        type: 'string',
+        describe: 'Only show one browser project'
+      },
+      limit: {
+        type: 'number',
+        describe: 'Number of most recent runs per test to analyse',
+        default: 50
+      },
+      dir: {
+        type: 'string',
+        describe: 'History directory (defaults to DEFLAKE_HISTORY_DIR or .deflake/history)'
+      }
+    })
+    .command('quarantine <action>', 'Manage the quarantine list of known-flaky tests', {
+      action: {
+        choices: ['list', 'add', 'remove', 'prune'],
+        describe: 'What to do with the quarantine list'
+      },
+      test: {
+        type: 'string',
+        describe: 'Test title (or full title path joined with " › ")'
+      },
+      project: {
+        type: 'string',
+        describe: 'Only quarantine (or remove) the test in this browser project'
+      },
+      file: {
+        type: 'string',
+        describe: 'Only quarantine (or remove) the test in this spec file'
+      },
+      owner: {
+        type: 'string',
+        describe: 'Who is responsible for fixing the test'
+      },
+      reason: {
+        type: 'string',
+        describe: 'Why the test is quarantined'
+      },
+      expires: {
+        type: 'string',
+        describe: 'Expiry date (ISO 8601), after which the test counts again'
+      },
+      list: {
+        type: 'string',
+        describe: 'Quarantine list file (defaults to DEFLAKE_QUARANTINE_FILE or quarantine.json)'
+      }
+    })
+    .command('heals', 'Summarise self-healing events and suggest Target updates', {
+      log: {
+        type: 'string',
+        describe: 'Healing log (defaults to DEFLAKE_HEALING_LOG or .deflake/healing/heals.jsonl)'
+      },
+      report: {
+        type: 'string',
+        describe: 'Where to write the JSON healing report',
+        default: 'healing-report.json'
+      },
+      patch: {
+        type: 'string',
+        describe: 'Optional path for a patch of suggested Target definitions'
+      }
+    })
+    .command('drift', 'Show targets whose element changed between runs', {
+      file: {
+        type: 'string',
+        describe: 'Fingerprint store (defaults to DEFLAKE_FINGERPRINT_FILE or .deflake/fingerprints.jsonl)'
+      },
+      target: {
+        type: 'string',
+        describe: 'Only show this target key'
+      },
+      project: {
+        type: 'string',
+        describe: 'Only show this browser project'
+      }
+    })
+    .command('lint-selectors [files..]', 'Flag brittle selectors in spec files and suggest Targets', {
+      dir: {
+        type: 'string',
+        describe: 'Directory scanned for *.spec.ts files when no files are given',
+        default: 'tests'
+      },
+      output: {
+        type: 'string',
+        describe: 'Where to write the JSON lint report',
+        default: 'selector-lint.json'
+      },
+      'fail-on': {
+        type: 'string',
+        choices: ['high', 'medium'],
+        describe: 'Exit non-zero when a finding of this severity (or worse) is found'
+      }
+    })
+    .command('audit <url>', 'Find the best locator for every interactive element on a page', {
+      url: {
+        type: 'string',
+        describe: 'Page to audit, e.g. http://localhost:3000/login'
+      },
+      output: {
+        type: 'string',
+        describe: 'Where to write the JSON audit report',
+        default: 'selector-audit.json'
+      },
+      html: {
+        type: 'string',
+        describe: 'Where to write the HTML screenshot overlay',
+        default: 'selector-audit.html'
+      },
+      limit: {
+        type: 'number',
+        describe: 'Maximum number of interactive elements to audit',
+        default: SelectorAudit.DEFAULT_LIMIT
+      },
+      threshold: {
+        type: 'number',
+        describe: 'Score a locator needs to count as stable (defaults to the scoring config\'s, 0.8)'
+      },
+      headed: {
+        type: 'boolean',
+        describe: 'Show the browser while auditing',
+        default: false
+      },
+      scoring: {
+        type: 'string',
+        describe: 'Scoring config file (defaults to DEFLAKE_SCORING_FILE)'
       }
     })
     .help()
@@ -28,24 +257,328 @@ async function main() {
   const command = argv._[0];
 
   switch (command) {
+    case 'plan':
+      showPlan(argv);
+      break;
     case 'run':
       await runTests(argv);
       break;
+    case 'hunt':
+      await huntTests(argv);
+      break;
+    case 'history':
+      showHistory(argv);
+      break;
+    case 'quarantine':
+      manageQuarantine(argv);
+      break;
+    case 'heals':
+      summariseHeals(argv);
+      break;
+    case 'drift':
+      showDrift(argv);
+      break;
+    case 'lint-selectors':
+      lintSpecSelectors(argv);
+      break;
+    case 'audit':
+      await auditPage(argv);
+      break;
     default:
       console.log('Use --help to see available commands');
   }
 }
 
+function showPlan(argv: any) {
+  try {
+    const plan = PlanLoader.loadFile(argv.file);
+    console.log(`📋 ${argv.file}: ${plan.steps.length} step(s)`);
+    plan.steps.forEach(step => {
+      const inputs = (['url', 'value', 'text'] as const)
+        .filter(field => step[field] !== undefined)
+        .map(field => ` ${field}=${JSON.stringify(step[field])}`)
+        .join('');
+      console.log(`- ${step.id} (${step.intent})${inputs}`);
+      step.targets.forEach(target => {
+        const strategies = Object.entries(target)
+          .filter(([field]) => field !== 'key')
+          .map(([field, value]) => `${field}=${JSON.stringify(value)}`)
+          .join(', ');
+        console.log(`    ${target.key}: ${strategies}`);
+      });
+    });
+  } catch (error) {
+    if (error instanceof PlanLoadError) {
+      console.error(`❌ ${error.issues.length} problem(s) in ${argv.file}:`);
+      error.issues.forEach(issue => console.error(`  ${PlanLoadError.format(issue)}`));
+      process.exitCode = 1;
+      return;
+    }
+    throw error;
+  }
+}
+
 async function runTests(argv: any) {
   console.log('🚀 Running tests...');
   console.log(`Spec: ${argv.spec}`);
   console.log(`Headed: ${argv.headed}`);
   console.log(`Retries: ${argv.retries}`);
 
-  // This would integrate with Playwright test runner
-  console.log('Tests completed');
+  const result = await runDeflakeAPI({
+    spec: argv.spec,
+    headed: argv.headed,
+    retries: argv.retries,
+    projects: argv.project,
+    outputFile: argv.output,
+    htmlReport: argv.report,
+    quarantineFile: argv.quarantine,
+    autoQuarantine: argv.autoQuarantine,
+    adaptiveTimeouts: argv.adaptiveTimeouts
+  });
+
+  console.log(`\n📄 Results written to: ${result.artifacts.resultsFile}`);
+  if (result.artifacts.htmlReport) {
+    console.log(`📊 Flakiness report written to: ${result.artifacts.htmlReport}`);
+  }
+
+  console.log('\n🔍 Deflake Summary:');
+  console.log(`Total Tests: ${result.summary.total}`);
+  console.log(`Passed: ${result.summary.passed}`);
+  console.log(`Failed: ${result.summary.failed}`);
+  console.log(`Flaky: ${result.summary.flaky}`);
+
+  result.flaky.forEach(t => console.log(`⚠️  Flaky: ${t.titlePath.join(' › ')}${t.projectName ? ` [${t.projectName}]` : ''}`));
+  result.failed.forEach(t => console.log(`❌ Failed: ${t.titlePath.join(' › ')}${t.projectName ? ` [${t.projectName}]` : ''}`));
+  result.errors.forEach(e => console.log(`❌ Error: ${e.message.split('\n')[0]}${e.file ? ` (${e.file}${e.line ? `:${e.line}` : ''})` : ''}`));
+  result.quarantined.forEach(t => console.log(`🧊 Quarantined (${t.outcome}): ${t.titlePath.join(' › ')}${t.projectName ? ` [${t.projectName}]` : ''} - owner: ${t.quarantine.owner}`));
+  const scope = (e: QuarantineEntry) => `${e.title}${e.projectName ? ` [${e.projectName}]` : ''}`;
+  result.quarantineChanges.added.forEach(e => console.log(`🧊 Auto-quarantined: ${scope(e)} (${e.reason})`));
+  result.quarantineChanges.released.forEach(e => console.log(`🔓 Released from quarantine: ${scope(e)}`));
+
+  if (!result.success) {
+    console.log('❌ Tests completed with failures');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('✅ Tests completed');
+}
+
+async function huntTests(argv: any) {
+  console.log('🎯 Hunting flaky tests...');
+  console.log(`Spec: ${argv.spec}`);
+  console.log(`Runs: ${argv.runs}${argv.untilConfident ? ' (stopping early when confident)' : ''}`);
+
+  const report = await huntFlakes({
+    spec: argv.spec,
+    grep: argv.grep,
+    projects: argv.project,
+    headed: argv.headed,
+    runs: argv.runs,
+    batchSize: argv.batchSize,
+    untilConfident: argv.untilConfident,
+    confidence: argv.confidence,
+    maxFailureRate: argv.maxFailureRate,
+    outputDir: argv.output
+  });
+
+  const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+  const icons: Record<string, string> = { stable: '✅', flaky: '⚠️ ', broken: '❌', inconclusive: '❓' };
+
+  console.log(`\n🔍 Hunt Summary (${percent(report.confidence)} confidence, ${report.minRunsForStable} clean runs needed for stable):`);
+  report.tests.forEach(t => {
+    const interval = `[${percent(t.confidenceInterval.lower)} – ${percent(t.confidenceInterval.upper)}]`;
+    console.log(
+      `${icons[t.verdict]} ${t.titlePath.join(' › ')}${t.projectName ? ` [${t.projectName}]` : ''} ` +
+      `${t.passes}/${t.runs} passed, p(pass)=${percent(t.passProbability)} ${interval} → ${t.verdict}`
+    );
+  });
+
+  if (report.tests.some(t => t.verdict === 'flaky' || t.verdict === 'broken')) {
+    process.exitCode = 1;
+  }
+}
+
+function showHistory(argv: any) {
+  const store = new HistoryStore({ dir: argv.dir });
+  const trends = store.getTrends({ title: argv.test, projectName: argv.project, limit: argv.limit });
+
+  if (trends.length === 0) {
+    console.log(`ℹ️  No history found in ${store.getFilePath()}`);
+    return;
+  }
+
+  const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+  const icons: Record<string, string> = { improving: '📈', degrading: '📉', stable: '➖', 'insufficient-data': '❓' };
+
+  console.log(`🗂️  Stability over the last ${argv.limit} runs (${store.getFilePath()}):`);
+  trends
+    .sort((a, b) => b.recentUnstableRate - a.recentUnstableRate)
+    .forEach(t => {
+      console.log(
+        `${icons[t.trend]} ${t.title}${t.projectName ? ` [${t.projectName}]` : ''} ` +
+        `${t.runs} runs, flaky ${percent(t.flakyRate)}, failed ${percent(t.failureRate)}, ` +
+        `unstable ${percent(t.previousUnstableRate)} → ${percent(t.recentUnstableRate)} (${t.trend})`
+      );
+    });
+}
+
+function manageQuarantine(argv: any) {
+  const quarantine = new QuarantineList({ file: argv.list });
+
+  switch (argv.action) {
+    case 'list': {
+      const entries = quarantine.list();
+      if (entries.length === 0) {
+        console.log(`ℹ️  Quarantine list is empty (${quarantine.getFilePath()})`);
+        return;
+      }
+      const now = Date.now();
+      entries.forEach(e => {
+        const expired = e.expiresAt && Date.parse(e.expiresAt) <= now;
+        console.log(
+          `${expired ? '⌛' : '🧊'} ${e.title}${e.projectName ? ` [${e.projectName}]` : ''} - ` +
+          `owner: ${e.owner}, reason: ${e.reason}, expires: ${e.expiresAt || 'never'}${expired ? ' (expired)' : ''}`
+        );
+      });
+      return;
+    }
+    case 'add': {
+      if (!argv.test || !argv.owner || !argv.reason) {
+        throw new Error('quarantine add requires --test, --owner and --reason');
+      }
+      const entry = quarantine.add({
+        title: argv.test,
+        projectName: argv.project,
+        file: argv.file,
+        owner: argv.owner,
+        reason: argv.reason,
+        expiresAt: argv.expires
+      });
+      quarantine.save();
+      console.log(`🧊 Quarantined: ${entry.title} (expires: ${entry.expiresAt || 'never'})`);
+      return;
+    }
+    case 'remove': {
+      if (!argv.test) {
+        throw new Error('quarantine remove requires --test');
+      }
+      const removed = quarantine.remove(argv.test, argv.project, argv.file);
+      quarantine.save();
+      console.log(`🔓 Removed ${removed} quarantine entr${removed === 1 ? 'y' : 'ies'} for ${argv.test}`);
+      return;
+    }
+    case 'prune': {
+      const expired = quarantine.pruneExpired();
+      quarantine.save();
+      console.log(`🧹 Pruned ${expired.length} expired quarantine entr${expired.length === 1 ? 'y' : 'ies'}`);
+      return;
+    }
+  }
+}
+
+function summariseHeals(argv: any) {
+  const log = new HealingLog({ file: argv.log });
+  const records = log.read();
+
+  if (records.length === 0) {
+    console.log(`ℹ️  No heals recorded in ${log.getFilePath()}`);
+    return;
+  }
+
+  const report = log.buildReport(records);
+  fs.writeFileSync(argv.report, JSON.stringify(report, null, 2));
+
+  console.log(`🩹 ${report.totalHeals} heal(s) across ${report.targets.length} target(s):`);
+  report.targets.forEach(t => {
+    console.log(`- ${t.stepId ? `${t.stepId}/` : ''}${t.targetKey}: ${t.fromMethod} → ${t.toMethod} x${t.heals} (last: ${t.lastSelector} on ${t.lastUrl})`);
+  });
+  console.log(`\n📊 Healing report written to: ${argv.report}`);
+
+  if (argv.patch) {
+    const patch = log.buildPatch(records);
+    fs.writeFileSync(argv.patch, JSON.stringify(patch, null, 2));
+    console.log(`📝 ${patch.changes.length} suggested Target update(s) written to: ${argv.patch}`);
+  }
+}
+
+function showDrift(argv: any) {
+  const store = new FingerprintStore({ file: argv.file });
+  const drifts = store.detectDrift({ targetKey: argv.target, projectName: argv.project });
+
+  if (drifts.length === 0) {
+    console.log(`✅ No locator drift in ${store.getFilePath()}`);
+    return;
+  }
+
+  const icons: Record<string, string> = { high: '🔴', medium: '🟠', low: '🟡' };
+  console.log(`🧭 ${drifts.length} target(s) drifted since their previous fingerprint:`);
+  drifts.forEach(d => {
+    console.log(`${icons[d.severity]} ${d.targetKey} [${d.projectName}] on ${d.urlPattern} (via ${d.method}, last seen ${d.lastSeen})`);
+    d.changes.forEach(c => console.log(`    ${c.severity}: ${c.description}`));
+  });
+}
+
+function lintSpecSelectors(argv: any) {
+  const files: string[] = argv.files && argv.files.length > 0 ? argv.files : SelectorLinter.findSpecFiles(argv.dir);
+  if (files.length === 0) {
+    console.log(`ℹ️  No spec files found in ${argv.dir}`);
+    return;
+  }
+
+  const { report, usages } = SelectorLinter.lintFiles(files);
+  fs.writeFileSync(argv.output, JSON.stringify(report, null, 2));
+
+  const flagged = usages.filter(usage => usage.findings.length > 0);
+  flagged.forEach(usage => {
+    console.log(`\n${usage.file}:${usage.line}:${usage.column}  ${usage.code}`);
+    usage.findings.forEach(f => console.log(`  ${f.severity === 'high' ? '❌' : '⚠️ '} ${f.rule}: ${f.message}`));
+    console.log(`  💡 Target: ${JSON.stringify(usage.suggestion)}`);
+  });
+
+  const { summary } = report;
+  console.log(`\n🔎 ${summary.selectors} selector(s) in ${summary.files} file(s): ${summary.findings} finding(s) on ${flagged.length} selector(s)`);
+  Object.entries(summary.byRule).forEach(([rule, count]) => console.log(`- ${rule}: ${count}`));
+  console.log(`\n📊 Lint report written to: ${argv.output}`);
+
+  const failOn: string[] = argv.failOn === 'medium' ? ['high', 'medium'] : argv.failOn === 'high' ? ['high'] : [];
+  if (report.findings.some(f => failOn.includes(f.severity))) {
+    process.exitCode = 1;
+  }
+}
+
+async function auditPage(argv: any) {
+  console.log(`🔍 Auditing ${argv.url}...`);
+
+  const report = await SelectorAudit.auditUrl(argv.url, {
+    output: argv.output,
+    html: argv.html,
+    limit: argv.limit,
+    scoreThreshold: argv.threshold,
+    scoringFile: argv.scoring,
+    headed: argv.headed
+  });
+
+  report.elements.filter(e => !e.uniqueSemantic).forEach(e => {
+    const label = `<${e.tag}>${e.role ? ` ${e.role}` : ''}${e.accessibleName ? ` "${e.accessibleName}"` : e.text ? ` (${e.text})` : ''}`;
+    console.log(`❌ #${e.index + 1} ${label}`);
+    console.log(`    ${e.issues.join('; ')}`);
+    console.log(`    best: ${e.best ? `${e.best.method} ${e.best.selector} (${e.best.score})` : 'none'}`);
+    if (e.suggestedTestId) {
+      console.log(`    💡 add ${report.testIdAttribute}="${e.suggestedTestId}"`);
+    }
+  });
+
+  const { summary } = report;
+  console.log(`\n📋 ${summary.elements} interactive element(s): ${summary.uniqueSemantic} with a unique semantic locator, ${summary.needsAttention} need attention`);
+  console.log(`   ${summary.missingTestId} missing ${report.testIdAttribute}, ${summary.missingAccessibleName} without an accessible name`);
+  console.log(`\n📊 Audit report written to: ${argv.output}`);
+  console.log(`🖼️  Screenshot overlay written to: ${argv.html}`);
 }
 
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
@@ -0,0 +1,193 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type { ElementSnapshot } from './similarity';
+
+export interface FingerprintRecord {
+  timestamp: string;
+  targetKey: string;
+  projectName: string;
+  /** URL with query strings and ID-like path segments stripped, as in MCP's selector cache */
+  urlPattern: string;
+  method: string;
+  fingerprint: ElementSnapshot;
+}
+
+export interface FingerprintQuery {
+  targetKey?: string;
+  projectName?: string;
+}
+
+export type DriftSeverity = 'high' | 'medium' | 'low';
+
+export interface FingerprintChange {
+  kind: 'tag' | 'text' | 'testid' | 'attribute' | 'dom-position';
+  severity: DriftSeverity;
+  description: string;
+}
+
+export interface FingerprintDrift {
+  targetKey: string;
+  projectName: string;
+  urlPattern: string;
+  severity: DriftSeverity;
+  changes: FingerprintChange[];
+  previousSeen: string;
+  lastSeen: string;
+  method: string;
+}
+
+/**
+ * Append-only JSONL store of the element each target resolved to.
+ *
+ * MCP records one fingerprint per target, page and browser project each time
+ * it grounds successfully. Comparing the latest fingerprint with the one
+ * before it shows targets whose element is drifting (text reworded, test id
+ * dropped, moved to another container) while their selectors still work.
+ */
+export class FingerprintStore {
+  static readonly DEFAULT_FILE = '.deflake/fingerprints.jsonl';
+
+  // Attributes that selector strategies rely on; changes to them are likely to break grounding
+  private static readonly KEY_ATTRIBUTES = ['id', 'name', 'role', 'aria-label', 'placeholder', 'type', 'href'];
+  private static readonly SEVERITY_ORDER: DriftSeverity[] = ['low', 'medium', 'high'];
+
+  private filePath: string;
+
+  constructor(options: { file?: string } = {}) {
+    this.filePath = path.resolve(options.file || process.env.DEFLAKE_FINGERPRINT_FILE || FingerprintStore.DEFAULT_FILE);
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  append(record: FingerprintRecord): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Read fingerprints, oldest first
+   */
+  read(query: FingerprintQuery = {}): FingerprintRecord[] {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line) as FingerprintRecord];
+        } catch (error) {
+          return [];
+        }
+      })
+      .filter(record => !query.targetKey || record.targetKey === query.targetKey)
+      .filter(record => !query.projectName || record.projectName === query.projectName)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Targets whose latest fingerprint differs from the previous one, most severe first
+   */
+  detectDrift(query: FingerprintQuery = {}): FingerprintDrift[] {
+    const groups = new Map<string, FingerprintRecord[]>();
+    for (const record of this.read(query)) {
+      const key = `${record.targetKey}::${record.projectName}::${record.urlPattern}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key)!.push(record);
+    }
+
+    const drifts: FingerprintDrift[] = [];
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      const previous = group[group.length - 2];
+      const latest = group[group.length - 1];
+      const changes = FingerprintStore.compare(previous.fingerprint, latest.fingerprint);
+      if (changes.length === 0) continue;
+
+      drifts.push({
+        targetKey: latest.targetKey,
+        projectName: latest.projectName,
+        urlPattern: latest.urlPattern,
+        severity: FingerprintStore.maxSeverity(changes),
+        changes,
+        previousSeen: previous.timestamp,
+        lastSeen: latest.timestamp,
+        method: latest.method
+      });
+    }
+
+    const rank = (severity: DriftSeverity) => FingerprintStore.SEVERITY_ORDER.indexOf(severity);
+    return drifts.sort((a, b) => rank(b.severity) - rank(a.severity) || a.targetKey.localeCompare(b.targetKey));
+  }
+
+  /**
+   * Differences between two fingerprints of the same target that matter for selector stability
+   */
+  static compare(previous: ElementSnapshot, latest: ElementSnapshot): FingerprintChange[] {
+    const changes: FingerprintChange[] = [];
+    const before = previous.attributes || {};
+    const after = latest.attributes || {};
+
+    if (previous.tag !== latest.tag) {
+      changes.push({ kind: 'tag', severity: 'high', description: `tag changed <${previous.tag}> → <${latest.tag}>` });
+    }
+
+    const testIdBefore = before['data-testid'];
+    const testIdAfter = after['data-testid'];
+    if (testIdBefore !== testIdAfter) {
+      changes.push({
+        kind: 'testid',
+        severity: 'high',
+        description: testIdAfter === undefined
+          ? `data-testid "${testIdBefore}" removed`
+          : testIdBefore === undefined
+            ? `data-testid "${testIdAfter}" added`
+            : `data-testid changed "${testIdBefore}" → "${testIdAfter}"`
+      });
+    }
+
+    if (previous.text !== latest.text) {
+      changes.push({ kind: 'text', severity: 'medium', description: `text changed "${previous.text}" → "${latest.text}"` });
+    }
+
+    for (const name of this.KEY_ATTRIBUTES) {
+      if (before[name] === after[name]) continue;
+      changes.push({
+        kind: 'attribute',
+        severity: 'medium',
+        description: after[name] === undefined
+          ? `${name} "${before[name]}" removed`
+          : before[name] === undefined
+            ? `${name} "${after[name]}" added`
+            : `${name} changed "${before[name]}" → "${after[name]}"`
+      });
+    }
+
+    if (previous.path !== latest.path) {
+      const ancestorsChanged = (previous.ancestors || []).join(' < ') !== (latest.ancestors || []).join(' < ');
+      changes.push({
+        kind: 'dom-position',
+        severity: ancestorsChanged ? 'medium' : 'low',
+        description: ancestorsChanged
+          ? `moved in DOM: ${(previous.ancestors || [])[0] || 'body'} → ${(latest.ancestors || [])[0] || 'body'}`
+          : `position among siblings changed (${previous.path} → ${latest.path})`
+      });
+    }
+
+    return changes;
+  }
+
+  private static maxSeverity(changes: FingerprintChange[]): DriftSeverity {
+    return changes.reduce<DriftSeverity>(
+      (max, change) => this.SEVERITY_ORDER.indexOf(change.severity) > this.SEVERITY_ORDER.indexOf(max) ? change.severity : max,
+      'low'
+    );
+  }
+}
@@ -0,0 +1,112 @@
+import { Frame, FrameLocator, Page } from '@playwright/test';
+
+/**
+ * Selector of an iframe element that finds it again: its id, name, title or
+ * src when unique, else its position. Uniqueness and position are counted
+ * the way frameLocator() resolves the selector: from the document, piercing
+ * open shadow roots, each root's matches before those in its shadow roots.
+ * Runs in the browser, so it must not reference anything outside its own
+ * body.
+ */
+function describeFrameElement(el: Element): string {
+  const tag = el.tagName.toLowerCase();
+  const queryAll = (selector: string): Element[] => {
+    const found: Element[] = [];
+    const visit = (root: Document | ShadowRoot) => {
+      found.push(...Array.from(root.querySelectorAll(selector)));
+      for (const element of Array.from(root.querySelectorAll('*'))) {
+        if (element.shadowRoot) visit(element.shadowRoot);
+      }
+    };
+    visit(el.ownerDocument);
+    return found;
+  };
+  const unique = (selector: string) => {
+    try {
+      return queryAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (el.id && !/\d{3,}/.test(el.id) && unique(`${tag}#${CSS.escape(el.id)}`)) {
+    return `${tag}#${CSS.escape(el.id)}`;
+  }
+
+  for (const attribute of ['name', 'title', 'src']) {
+    const value = el.getAttribute(attribute);
+    const selector = value && `${tag}[${attribute}=${JSON.stringify(value)}]`;
+    if (selector && unique(selector)) {
+      return selector;
+    }
+  }
+
+  const index = queryAll(tag).indexOf(el);
+  return `${tag} >> nth=${Math.max(0, index)}`;
+}
+
+/**
+ * Frame paths: the selectors of the iframe elements leading from the main
+ * frame to an element, outermost first, e.g.
+ * `['iframe#checkout', 'iframe[name="card-number"]']`. An empty or missing
+ * path is the main frame.
+ */
+export class FramePath {
+  /**
+   * Path from a `frame` option or target field: one selector or a list
+   */
+  static normalize(frame?: string | string[]): string[] | undefined {
+    if (!frame) return undefined;
+    const path = Array.isArray(frame) ? frame : [frame];
+    return path.length > 0 ? path : undefined;
+  }
+
+  /**
+   * Where to search for elements in a frame: the page for the main frame,
+   * else a FrameLocator through each iframe on the path
+   */
+  static scope(page: Page, path?: string[]): Page | FrameLocator {
+    if (!path || path.length === 0) return page;
+    return path.slice(1).reduce((scope, selector) => scope.frameLocator(selector), page.frameLocator(path[0]));
+  }
+
+  /**
+   * Paths of every child frame of the page, in frame tree order. Frames that
+   * detach while being described are left out.
+   */
+  static async discover(page: Page): Promise<string[][]> {
+    const paths: string[][] = [];
+    for (const frame of page.frames()) {
+      if (frame === page.mainFrame() || frame.isDetached()) continue;
+      try {
+        paths.push(await this.of(frame));
+      } catch (error) {
+        // Navigated or detached meanwhile
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Path from the main frame to a frame
+   */
+  static async of(frame: Frame): Promise<string[]> {
+    const path: string[] = [];
+    for (let current: Frame = frame; current.parentFrame(); current = current.parentFrame()!) {
+      const element = await current.frameElement();
+      try {
+        path.unshift(await element.evaluate(describeFrameElement));
+      } finally {
+        await element.dispose();
+      }
+    }
+    return path;
+  }
+
+  /**
+   * Human-readable path, for logs
+   */
+  static format(path?: string[]): string {
+    return path && path.length > 0 ? path.join(' › ') : 'main frame';
+  }
+}
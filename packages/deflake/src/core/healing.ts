@@ -0,0 +1,239 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type { Plan, Target } from './mcp';
+
+type StrategyField = 'testId' | 'role' | 'label' | 'name' | 'placeholder' | 'text';
+
+export interface HealRecord {
+  timestamp: string;
+  targetKey: string;
+  stepId?: string;
+  url: string;
+  target: Target;
+  reason: 'missing' | 'ambiguous' | 'below-threshold';
+  expected: {
+    method: string;
+    selector: string;
+    matches: number;
+  };
+  healed: {
+    method: string;
+    selector: string;
+    score: number;
+  };
+  domSnippet?: string;
+  attributes?: Record<string, string>;
+  /** Why a DOM-similarity recovery picked the element */
+  explanation?: string[];
+  /** The healed selector was served from the cache rather than grounded afresh */
+  cached?: boolean;
+}
+
+export interface TargetPatch {
+  stepId?: string;
+  targetKey: string;
+  heals: number;
+  reason: string;
+  before: Target;
+  after: Target;
+}
+
+export interface HealingPatch {
+  generatedAt: string;
+  changes: TargetPatch[];
+}
+
+export interface HealingReport {
+  generatedAt: string;
+  totalHeals: number;
+  targets: Array<{
+    stepId?: string;
+    targetKey: string;
+    heals: number;
+    reasons: Record<string, number>;
+    fromMethod: string;
+    toMethod: string;
+    lastSeen: string;
+    lastUrl: string;
+    lastSelector: string;
+    domSnippet?: string;
+  }>;
+}
+
+/**
+ * Append-only log of self-healing events.
+ *
+ * MCP writes one JSON line per heal so parallel workers can share a log;
+ * the CLI turns it into a reviewable report and a patch of suggested
+ * Target definitions, so heals get committed rather than silently masking
+ * UI regressions.
+ */
+export class HealingLog {
+  static readonly DEFAULT_FILE = '.deflake/healing/heals.jsonl';
+
+  private filePath: string;
+
+  constructor(options: { file?: string } = {}) {
+    this.filePath = path.resolve(options.file || process.env.DEFLAKE_HEALING_LOG || HealingLog.DEFAULT_FILE);
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  append(record: HealRecord): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+
+  read(): HealRecord[] {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line) as HealRecord];
+        } catch (error) {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Summarise heals per target for review
+   */
+  buildReport(records: HealRecord[] = this.read()): HealingReport {
+    const targets: HealingReport['targets'] = [];
+
+    for (const group of this.groupByTarget(records).values()) {
+      const last = group[group.length - 1];
+      const reasons: Record<string, number> = {};
+      group.forEach(r => { reasons[r.reason] = (reasons[r.reason] || 0) + 1; });
+
+      targets.push({
+        stepId: last.stepId,
+        targetKey: last.targetKey,
+        heals: group.length,
+        reasons,
+        fromMethod: last.expected.method,
+        toMethod: last.healed.method,
+        lastSeen: last.timestamp,
+        lastUrl: last.url,
+        lastSelector: last.healed.selector,
+        domSnippet: last.domSnippet
+      });
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      totalHeals: records.length,
+      targets: targets.sort((a, b) => b.heals - a.heals)
+    };
+  }
+
+  /**
+   * Suggest updated Target definitions from the most recent heal of each target
+   */
+  buildPatch(records: HealRecord[] = this.read()): HealingPatch {
+    const changes: TargetPatch[] = [];
+
+    for (const group of this.groupByTarget(records).values()) {
+      const last = group[group.length - 1];
+      const after = HealingLog.suggestTarget(last);
+
+      if (JSON.stringify(after) === JSON.stringify(last.target)) continue;
+
+      changes.push({
+        stepId: last.stepId,
+        targetKey: last.targetKey,
+        heals: group.length,
+        reason: `${last.expected.method} ${last.reason} (${last.expected.matches} match${last.expected.matches === 1 ? '' : 'es'}), healed via ${last.healed.method}`,
+        before: last.target,
+        after
+      });
+    }
+
+    return { generatedAt: new Date().toISOString(), changes };
+  }
+
+  /**
+   * Derive a Target that would ground directly to the healed element
+   */
+  static suggestTarget(record: HealRecord): Target {
+    const attributes = record.attributes || {};
+    const suggested: Target = { ...record.target };
+    const fieldFor: Record<string, StrategyField> = {
+      testId: 'testId',
+      role: 'role',
+      label: 'label',
+      name: 'name',
+      placeholder: 'placeholder',
+      text: 'text'
+    };
+
+    // The strategy that failed is either corrected from the live element or dropped
+    const failedField = fieldFor[record.expected.method];
+    if (failedField) {
+      delete suggested[failedField];
+    }
+
+    const observed: Partial<Record<StrategyField, string>> = {
+      testId: attributes['data-testid'],
+      label: attributes['aria-label'],
+      name: attributes['name'],
+      placeholder: attributes['placeholder'],
+      role: attributes['role']
+    };
+
+    for (const [field, value] of Object.entries(observed) as Array<[StrategyField, string | undefined]>) {
+      if (value) {
+        suggested[field] = value;
+      }
+    }
+
+    // An accessible name only means something alongside a role
+    if (!suggested.role) {
+      delete suggested.accessibleName;
+    }
+
+    if (record.healed.method === 'fallback') {
+      suggested.fallback = record.healed.selector;
+    }
+
+    return suggested;
+  }
+
+  /**
+   * Apply a healing patch to a plan, returning a new plan
+   */
+  static applyPatch(plan: Plan, patch: HealingPatch): Plan {
+    return {
+      ...plan,
+      steps: plan.steps.map(step => ({
+        ...step,
+        targets: step.targets.map(target => {
+          const change = patch.changes.find(c =>
+            c.targetKey === target.key && (!c.stepId || c.stepId === step.id)
+          );
+          return change ? { ...change.after } : target;
+        })
+      }))
+    };
+  }
+
+  private groupByTarget(records: HealRecord[]): Map<string, HealRecord[]> {
+    const groups = new Map<string, HealRecord[]>();
+    for (const record of [...records].sort((a, b) => a.timestamp.localeCompare(b.timestamp))) {
+      const key = `${record.stepId || ''}::${record.targetKey}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key)!.push(record);
+    }
+    return groups;
+  }
+}
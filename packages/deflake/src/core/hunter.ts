@@ -0,0 +1,221 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { runPlaywright } from './runner';
+import { parseResultsFile } from '../utils/resultsParser';
+import { Statistics } from '../utils/statistics';
+
+export interface HuntOptions {
+  spec: string;
+  grep?: string;
+  projects?: string[];
+  headed?: boolean;
+  runs?: number;
+  batchSize?: number;
+  untilConfident?: boolean;
+  confidence?: number;
+  maxFailureRate?: number;
+  outputDir?: string;
+  cwd?: string;
+  onOutput?: (chunk: string) => void;
+}
+
+export type HuntVerdict = 'stable' | 'flaky' | 'broken' | 'inconclusive';
+
+export interface HuntTestStats {
+  title: string;
+  titlePath: string[];
+  file: string;
+  projectName: string;
+  runs: number;
+  passes: number;
+  failures: number;
+  passProbability: number;
+  confidenceInterval: { lower: number; upper: number };
+  verdict: HuntVerdict;
+  failureMessages: string[];
+}
+
+export interface HuntReport {
+  spec: string;
+  confidence: number;
+  maxFailureRate: number;
+  /** Clean runs a test needs before it can count as stable */
+  minRunsForStable: number;
+  batches: number;
+  stoppedEarly: boolean;
+  tests: HuntTestStats[];
+}
+
+/**
+ * Repeat-until-confident flakiness detection.
+ *
+ * Runs the selected tests over and over with retries disabled and tracks
+ * pass/fail counts per test and browser project. A 5% flake almost never
+ * shows up inside Playwright's 3-attempt retry window, but it does over
+ * dozens of independent runs.
+ */
+export class FlakeHunter {
+  /** Set in hunt runs so history, timings and selector outcomes aren't recorded from synthetic repeats */
+  static readonly HUNT_ENV = 'DEFLAKE_HUNT';
+
+  // At least the 73 clean runs the default confidence and failure rate need
+  private static readonly DEFAULT_RUNS = 80;
+  private static readonly DEFAULT_BATCH_SIZE = 10;
+  private static readonly DEFAULT_CONFIDENCE = 0.95;
+  private static readonly DEFAULT_MAX_FAILURE_RATE = 0.05;
+  private static readonly MAX_FAILURE_MESSAGES = 5;
+
+  /**
+   * Rerun a spec until the run budget is spent or every test is decided
+   */
+  static async hunt(options: HuntOptions): Promise<HuntReport> {
+    const {
+      runs = this.DEFAULT_RUNS,
+      batchSize = this.DEFAULT_BATCH_SIZE,
+      untilConfident = false,
+      confidence = this.DEFAULT_CONFIDENCE,
+      maxFailureRate = this.DEFAULT_MAX_FAILURE_RATE,
+      outputDir = 'hunt-results'
+    } = options;
+
+    const minRunsForStable = Statistics.minCleanTrials(maxFailureRate, confidence);
+    if (runs < minRunsForStable) {
+      console.warn(
+        `⚠️ ${runs} run(s) can't show a test stable at a ${maxFailureRate} failure rate with ${confidence} confidence; ` +
+        `that takes at least ${minRunsForStable} clean runs`
+      );
+    }
+
+    const cwd = options.cwd || process.cwd();
+    const stats = new Map<string, HuntTestStats>();
+    let completedRuns = 0;
+    let batches = 0;
+    let stoppedEarly = false;
+
+    while (completedRuns < runs) {
+      const repeatEach = Math.min(batchSize, runs - completedRuns);
+      batches++;
+
+      console.log(`🔁 Hunt batch ${batches}: ${repeatEach} run(s) per test (${completedRuns}/${runs} done)`);
+
+      const outcome = await runPlaywright({
+        spec: options.spec,
+        grep: options.grep,
+        projects: options.projects,
+        headed: options.headed,
+        retries: 0,
+        repeatEach,
+        outputFile: path.join(outputDir, `batch-${batches}.json`),
+        cwd,
+        env: { [this.HUNT_ENV]: 'true' },
+        onOutput: options.onOutput
+      });
+
+      this.accumulate(stats, outcome.resultsFile);
+      completedRuns += repeatEach;
+      this.updateVerdicts(stats, confidence, maxFailureRate);
+
+      if (untilConfident && stats.size > 0 && [...stats.values()].every(s => s.verdict !== 'inconclusive')) {
+        stoppedEarly = completedRuns < runs;
+        break;
+      }
+    }
+
+    const report: HuntReport = {
+      spec: options.spec,
+      confidence,
+      maxFailureRate,
+      minRunsForStable,
+      batches,
+      stoppedEarly,
+      tests: [...stats.values()].sort((a, b) => a.passProbability - b.passProbability)
+    };
+
+    const reportPath = path.resolve(cwd, outputDir, 'hunt-report.json');
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    console.log(`\n📊 Hunt report written to: ${reportPath}`);
+
+    return report;
+  }
+
+  /**
+   * Whether this process runs as part of a hunt
+   */
+  static isHunting(env: NodeJS.ProcessEnv = process.env): boolean {
+    return env[this.HUNT_ENV] === 'true';
+  }
+
+  /**
+   * Fold one batch of Playwright results into the running counts
+   */
+  private static accumulate(stats: Map<string, HuntTestStats>, resultsFile: string): void {
+    const { tests } = parseResultsFile(resultsFile);
+
+    for (const test of tests) {
+      // With retries disabled each repeat has exactly one meaningful attempt
+      const attempt = test.attempts[0];
+      if (!attempt || attempt.status === 'skipped' || attempt.status === 'interrupted') {
+        continue;
+      }
+
+      const key = `${test.file}::${test.titlePath.join(' › ')}::${test.projectName}`;
+      let entry = stats.get(key);
+      if (!entry) {
+        entry = {
+          title: test.title,
+          titlePath: test.titlePath,
+          file: test.file,
+          projectName: test.projectName,
+          runs: 0,
+          passes: 0,
+          failures: 0,
+          passProbability: 0,
+          confidenceInterval: { lower: 0, upper: 1 },
+          verdict: 'inconclusive',
+          failureMessages: []
+        };
+        stats.set(key, entry);
+      }
+
+      entry.runs++;
+      if (attempt.status === 'passed') {
+        entry.passes++;
+      } else {
+        entry.failures++;
+        const message = (attempt.errorMessage || attempt.status).split('\n')[0];
+        if (!entry.failureMessages.includes(message) && entry.failureMessages.length < this.MAX_FAILURE_MESSAGES) {
+          entry.failureMessages.push(message);
+        }
+      }
+    }
+  }
+
+  /**
+   * A test is decided once it has been caught failing, or once the upper
+   * confidence bound on its failure rate drops below the tolerated rate
+   */
+  private static updateVerdicts(
+    stats: Map<string, HuntTestStats>,
+    confidence: number,
+    maxFailureRate: number
+  ): void {
+    for (const entry of stats.values()) {
+      entry.passProbability = entry.runs > 0 ? entry.passes / entry.runs : 0;
+      entry.confidenceInterval = Statistics.wilsonInterval(entry.passes, entry.runs, confidence);
+
+      if (entry.passes === 0) {
+        entry.verdict = 'broken';
+      } else if (entry.failures > 0) {
+        entry.verdict = 'flaky';
+      } else if (1 - entry.confidenceInterval.lower <= maxFailureRate) {
+        entry.verdict = 'stable';
+      } else {
+        entry.verdict = 'inconclusive';
+      }
+    }
+  }
+}
+
+// Export convenience functions
+export const huntFlakes = FlakeHunter.hunt.bind(FlakeHunter);
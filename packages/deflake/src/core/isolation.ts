@@ -1,6 +1,7 @@
 import { BrowserContext, Page, Browser } from '@playwright/test';
 import * as fs from 'fs';
 import * as path from 'path';
+import { NetworkTracker } from './network';
 
 export interface IsolationOptions {
   clearStorage?: boolean;
@@ -59,6 +60,9 @@ export class IsolationUtils {
       storageState: undefined, // Start with clean storage
     });
 
+    // Track network activity from the first request, for network idle waits
+    NetworkTracker.installOn(context);
+
     // Create a new page
     const page = await context.newPage();
 
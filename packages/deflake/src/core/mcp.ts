@@ -1,19 +1,52 @@
-import { Page, Locator, expect } from '@playwright/test';
+import { FrameLocator, Page, Locator, expect, test } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { FingerprintStore } from './fingerprints';
+import { FramePath } from './frames';
+import { HealingLog, HealRecord } from './healing';
+import { FlakeHunter } from './hunter';
+import { PlanLoader } from './planLoader';
+import { ScoringConfig, ScoringEngine } from './scoring';
+import { SelectorOutcomeStore } from './selectorOutcomes';
+import { SelectorTelemetry } from './telemetry';
+import { DomSimilarity, ElementSnapshot, SimilarityMatch } from './similarity';
 
 export interface Target {
   key: string;
   role?: string;
+  /** Accessible name for `role`, i.e. getByRole's `name`; defaults to `label`, then `text` */
+  accessibleName?: string;
   label?: string;
+  /** The HTML `name` attribute */
   name?: string;
   placeholder?: string;
   testId?: string;
+  text?: string;
   fallback?: string;
+  /** Container to search in: a target, or the key of another target in the plan */
+  within?: string | Target;
+  /** Only elements containing this text */
+  hasText?: string;
+  /** Only elements containing an element matching this CSS selector */
+  has?: string;
+  /** Which match to use, in visual (top-to-bottom, left-to-right) order, when several remain */
+  nth?: number;
+  /**
+   * Iframe(s) the target is in: CSS selectors of the iframe elements,
+   * outermost first. Undeclared frames are searched when the main frame has
+   * no good enough candidate.
+   */
+  frame?: string | string[];
 }
 
 export interface Step {
   id: string;
   intent: string;
   targets: Target[];
+  description?: string;
+  value?: string;
+  text?: string;
+  url?: string;
 }
 
 export interface Plan {
@@ -24,25 +57,135 @@ export interface SelectorCandidate {
   selector: string;
   method: string;
   score: number;
+  /** Unclamped score candidates are ordered by, see `ScoringEngine.score()` */
+  rank?: number;
   locator: Locator;
+  matches?: number;
+  refinement?: Refinement;
+  /** Iframes the candidate is in, outermost first; unset in the main frame */
+  frame?: string[];
 }
 
+/**
+ * How an ambiguous candidate was narrowed down to a single element
+ */
+export interface Refinement {
+  visible?: boolean;
+  pick?: 'viewport' | 'visual';
+  nth?: number;
+  reason: string;
+}
+
+interface SelectorStrategy {
+  method: string;
+  selector: string;
+  locator: Locator;
+}
+
+export interface CachedSelector {
+  selector: string;
+  method: string;
+  score: number;
+  hits: number;
+  lastVerified: string;
+  refinement?: Refinement;
+  matches?: number;
+  frame?: string[];
+}
+
+type SearchScope = Page | FrameLocator | Locator;
+
+type CacheSection = 'selectors' | 'failureSignatures' | 'snapshots';
+
 export class MCP {
+  private static readonly MAX_SIGNATURES_PER_KEY = 20;
+  private static readonly STRATEGY_ORDER: Array<keyof Target> = ['testId', 'role', 'label', 'name', 'placeholder', 'text', 'fallback'];
+  private static readonly MAX_SNIPPET_LENGTH = 500;
+  private static readonly REFINEMENT_PENALTY = { visible: 0.02, viewport: 0.05, visual: 0.1 };
+  // Instances with cache changes not yet written, flushed when the worker exits
+  private static readonly unsaved: Set<MCP> = new Set();
+  private static exitHookInstalled = false;
+
   private plan: Plan;
-  private scoreThreshold: number;
-  private selectorCache: Map<string, SelectorCandidate[]> = new Map();
+  private planFile?: string;
+  private scoreThreshold?: number;
+  private scoringConfig?: ScoringConfig;
+  private scoringFile?: string;
+  private scoring?: ScoringEngine;
+  private cacheFile?: string;
+  private selectorCache: Map<string, CachedSelector[]> = new Map();
+  // Keys changed since the last save; only these are merged into the cache file
+  private changed: Record<CacheSection, Set<string>> = { selectors: new Set(), failureSignatures: new Set(), snapshots: new Set() };
+  private selectorsCleared = false;
   private failureSignatures: Map<string, string[]> = new Map();
+  private heals: HealRecord[] = [];
+  private healingLog?: HealingLog;
+  private failOnHeal: boolean;
+  private recovery: boolean;
+  private minSimilarity: number;
+  private snapshots: Map<string, ElementSnapshot> = new Map();
+  private fingerprints?: FingerprintStore;
+  private fingerprinted: Set<string> = new Set();
+  private projectName?: string;
+  private outcomes?: SelectorOutcomeStore;
+  // Which selector each locator handed out by ground() came from, for action outcomes
+  private groundedBy: WeakMap<Locator, { targetKey: string; method: string; selector: string }> = new WeakMap();
 
   constructor(options: {
-    plan: Plan;
+    plan?: Plan;
+    planFile?: string;
     scoreThreshold?: number;
+    cacheFile?: string;
+    healingLog?: string;
+    failOnHeal?: boolean;
+    recovery?: boolean;
+    minSimilarity?: number;
+    /** Record fingerprints to this file, or with `true` to FingerprintStore's default (DEFLAKE_FINGERPRINT_FILE or .deflake/fingerprints.jsonl) */
+    fingerprintFile?: string | true;
+    projectName?: string;
+    scoring?: ScoringConfig;
+    scoringFile?: string;
+    /** Record selector outcomes to this file, or with `true` to SelectorOutcomeStore's default (DEFLAKE_SELECTOR_OUTCOMES_FILE or .deflake/selector-outcomes.jsonl) */
+    outcomesFile?: string | true;
   }) {
-    this.plan = options.plan;
-    this.scoreThreshold = options.scoreThreshold || 0.8;
+    if (!options.plan && !options.planFile) {
+      throw new Error('MCP needs either a plan or a planFile');
+    }
+    this.plan = options.plan || { steps: [] };
+    this.planFile = options.planFile;
+    this.scoreThreshold = options.scoreThreshold;
+    this.scoringConfig = options.scoring;
+    this.scoringFile = options.scoringFile;
+    // Hunt repeats would skew learned scores, so hunts never record outcomes
+    this.outcomes = (options.outcomesFile || process.env.DEFLAKE_SELECTOR_OUTCOMES_FILE) && !FlakeHunter.isHunting()
+      ? new SelectorOutcomeStore({ file: options.outcomesFile === true ? undefined : options.outcomesFile })
+      : undefined;
+    this.cacheFile = options.cacheFile && path.resolve(options.cacheFile);
+    this.healingLog = options.healingLog ? new HealingLog({ file: options.healingLog }) : undefined;
+    this.failOnHeal = options.failOnHeal || false;
+    this.recovery = options.recovery || false;
+    this.minSimilarity = options.minSimilarity || DomSimilarity.DEFAULT_MIN_SIMILARITY;
+    // Resolved like the reporter resolves it, so drift is read from the file written here
+    this.fingerprints = options.fingerprintFile || process.env.DEFLAKE_FINGERPRINT_FILE
+      ? new FingerprintStore({ file: options.fingerprintFile === true ? undefined : options.fingerprintFile })
+      : undefined;
+    this.projectName = options.projectName;
+    this.loadCache();
   }
 
+  /**
+   * Load the plan file (YAML or JSON) if one was configured. Throws a
+   * PlanLoadError listing every invalid entry with its file and line.
+   */
   async loadPlan(): Promise<void> {
-    console.log(`MCP: Loaded plan with ${this.plan.steps.length} steps`);
+    if (this.planFile) {
+      this.plan = PlanLoader.loadFile(this.planFile);
+    }
+    console.log(`MCP: Loaded plan with ${this.plan.steps.length} steps${this.planFile ? ` from ${this.planFile}` : ''}`);
+  }
+
+  getPlan(): Plan {
+    return this.plan;
   }
 
   getStep(stepId: string): Step | undefined {
@@ -50,32 +193,173 @@ export class MCP {
   }
 
   async ground(page: Page, target: Target): Promise<Locator> {
-    const candidates = await this.generateSelectorCandidates(page, target);
-    const bestCandidate = candidates.find(c => c.score >= this.scoreThreshold);
+    const startedAt = Date.now();
+    const cacheKey = this.getCacheKey(page, target);
+    const scope = await this.resolveScope(page, target);
+
+    const cached = await this.verifyCached(page, target, cacheKey, scope);
+    // A cached fallback (e.g. from a run without failOnHeal) is grounded afresh so its heal is enforced
+    if (cached && !(this.failOnHeal && this.isFallback(target, cached.entry.method))) {
+      console.log(`MCP: Grounded ${target.key} from cache to ${cached.entry.method} (score: ${cached.entry.score})${this.describeFrame(cached.entry.frame)}`);
+      await this.rememberElement(page, target, cached.locator, cached.entry.method, undefined, cached.entry.frame);
+      await this.recordGrounding(page, target, startedAt, { used: cached.entry, locator: cached.locator, cached: true });
+      // A cached fallback still masks a broken primary strategy, so every use counts as a heal
+      if (this.isFallback(target, cached.entry.method)) {
+        await this.recordCachedHeal(page, target, scope, cached.entry, cached.locator);
+      }
+      return cached.locator;
+    }
+
+    let candidates = await this.generateSelectorCandidates(page, target, scope, this.framePath(target));
+    if (!candidates.some(c => c.score >= this.getScoreThreshold()) && !this.framePath(target) && !target.within) {
+      candidates = [...candidates, ...await this.searchFrames(page, target)].sort(ScoringEngine.byRank);
+    }
+    const bestCandidate = candidates.find(c => c.score >= this.getScoreThreshold());
     
     if (!bestCandidate) {
-      throw new Error(
-        `No selector candidate meets threshold ${this.scoreThreshold} for target ${target.key}. ` +
+      const recovered = this.recovery ? await this.recover(page, target, candidates) : undefined;
+      if (recovered) {
+        await this.recordGrounding(page, target, startedAt, {
+          used: { method: 'similarity', selector: recovered.selector, score: recovered.score, matches: 1, frame: recovered.snapshot.frame },
+          locator: recovered.locator,
+          candidates,
+          recovered: true
+        });
+        return recovered.locator;
+      }
+
+      const error = new Error(
+        `No selector candidate meets threshold ${this.getScoreThreshold()} for target ${target.key}. ` +
         `Best score: ${candidates[0]?.score || 0}`
       );
+      const strategy = this.buildStrategies(page, target, scope)[0];
+      await this.recordGrounding(page, target, startedAt, {
+        used: candidates[0] || (strategy && { method: strategy.method, selector: strategy.selector, score: 0, matches: 0 }),
+        candidates,
+        error: error.message
+      });
+
+      this.recordFailure(
+        target.key,
+        candidates.length === 0
+          ? 'ground:no-candidates'
+          : `ground:below-threshold best=${candidates[0].method}(${candidates[0].score.toFixed(2)})`,
+        page.url()
+      );
+      throw error;
     }
 
-    console.log(`MCP: Grounded ${target.key} to ${bestCandidate.method} (score: ${bestCandidate.score})`);
+    console.log(`MCP: Grounded ${target.key} to ${bestCandidate.method} (score: ${bestCandidate.score})${this.describeFrame(bestCandidate.frame)}`);
+    if (bestCandidate.refinement) {
+      console.log(`MCP: 🎯 Disambiguated ${target.key} via ${bestCandidate.method}: ${bestCandidate.refinement.reason}`);
+    }
+    await this.rememberElement(page, target, bestCandidate.locator, bestCandidate.method, undefined, bestCandidate.frame);
+    await this.recordGrounding(page, target, startedAt, { used: bestCandidate, locator: bestCandidate.locator, candidates });
+    await this.recordHealIfFallback(page, target, bestCandidate, candidates);
+    // Only once the heal is recorded: with failOnHeal a fallback throws above and is never cached
+    this.cacheCandidates(cacheKey, candidates.filter(c => c.score >= this.getScoreThreshold()));
     return bestCandidate.locator;
   }
 
-  async validate(locator: Locator): Promise<void> {
+  /**
+   * Find the element most similar to the one this target last grounded to on
+   * this page, for when none of its selector strategies work any more.
+   * Requires `recovery: true` so successful groundings are snapshotted.
+   */
+  async recover(page: Page, target: Target, candidates: SelectorCandidate[] = []): Promise<SimilarityMatch | undefined> {
+    const cacheKey = this.getCacheKey(page, target);
+    const expected = this.snapshots.get(cacheKey);
+    if (!expected) return undefined;
+
+    // Search the frame the element was last seen in
+    const match = await DomSimilarity.findMostSimilar(FramePath.scope(page, expected.frame), expected, this.minSimilarity);
+    if (!match) {
+      this.recordFailure(target.key, `recover:no-similar-element min=${this.minSimilarity}`, page.url());
+      return undefined;
+    }
+
+    match.snapshot.frame = expected.frame;
+    console.log(`MCP: 🧬 Recovered ${target.key} by DOM similarity ${match.score} (${match.selector})${this.describeFrame(expected.frame)}: ${match.explanation.join('; ')}`);
+    await this.rememberElement(page, target, match.locator, 'similarity', match.snapshot, expected.frame);
+
+    const primaryMethod = MCP.STRATEGY_ORDER.find(method => !!target[method]) || 'fallback';
+    const record = this.buildHealRecord(page, target, primaryMethod, candidates, {
+      method: 'similarity',
+      selector: match.selector,
+      score: match.score
+    });
+    record.explanation = match.explanation;
+    await this.storeHeal(page, record, match.locator);
+
+    return match;
+  }
+
+  /**
+   * Score every selector strategy for a target on the current page, best
+   * first, without grounding it: nothing is cached, healed or recorded
+   */
+  async rankCandidates(page: Page, target: Target): Promise<SelectorCandidate[]> {
+    const scope = await this.resolveScope(page, target);
+    return this.generateSelectorCandidates(page, target, scope);
+  }
+
+  /**
+   * Explicit `scoreThreshold`, else the scoring engine's threshold
+   */
+  getScoreThreshold(): number {
+    return this.scoreThreshold ?? this.getScoring().threshold;
+  }
+
+  /**
+   * Scoring engine for the running project, from the `scoring` option on top
+   * of `scoringFile` (or DEFLAKE_SCORING_FILE)
+   */
+  getScoring(): ScoringEngine {
+    if (!this.scoring) {
+      this.scoring = ScoringEngine.load({ file: this.scoringFile, config: this.scoringConfig, projectName: this.getProjectName() });
+    }
+    return this.scoring;
+  }
+
+  /**
+   * Heals recorded by this instance, oldest first
+   */
+  getHeals(): HealRecord[] {
+    return [...this.heals];
+  }
+
+  /**
+   * Check the locator is unique, visible and enabled. `timeout` bounds the
+   * visibility and enabled checks; Playwright's expect timeout by default.
+   */
+  async validate(locator: Locator, context?: string, options: { timeout?: number } = {}): Promise<void> {
+    const signatureKey = context || locator.toString();
+
     // Check uniqueness
     const count = await locator.count();
     if (count !== 1) {
-      throw new Error(`Selector matches ${count} elements, expected exactly 1`);
+      this.recordFailure(signatureKey, `validate:count=${count}`);
+      throw new Error(
+        `Selector matches ${count} elements, expected exactly 1` +
+        (count > 1 ? ' - narrow the target with `within`, `hasText`, `has` or `nth`' : '')
+      );
     }
 
-    // Check visibility
-    await expect(locator).toBeVisible();
+    try {
+      // Check visibility
+      await expect(locator).toBeVisible({ timeout: options.timeout });
+    } catch (error) {
+      this.recordFailure(signatureKey, 'validate:not-visible');
+      throw error;
+    }
 
-    // Check enabled state
-    await expect(locator).toBeEnabled();
+    try {
+      // Check enabled state
+      await expect(locator).toBeEnabled({ timeout: options.timeout });
+    } catch (error) {
+      this.recordFailure(signatureKey, 'validate:not-enabled');
+      throw error;
+    }
 
     // Check ARIA compliance
     const role = await locator.getAttribute('role');
@@ -84,104 +368,747 @@ export class MCP {
     console.log(`MCP: Validated selector - unique: ✓, visible: ✓, enabled: ✓, role: ${role}, aria-label: ${ariaLabel}`);
   }
 
-  async safeClick(locator: Locator, context?: string): Promise<void> {
+  /**
+   * Failure signatures recorded so far, keyed by target key (or validation context)
+   */
+  getFailureSignatures(key?: string): Record<string, string[]> {
+    const entries = [...this.failureSignatures.entries()].filter(([k]) => !key || k === key);
+    return Object.fromEntries(entries.map(([k, signatures]) => [k, [...signatures]]));
+  }
+
+  /**
+   * Drop cached selectors for one target key, or the whole cache
+   */
+  clearCache(targetKey?: string): void {
+    if (!targetKey) {
+      this.selectorCache.clear();
+      this.changed.selectors.clear();
+      this.selectorsCleared = true;
+    } else {
+      for (const key of [...this.selectorCache.keys()]) {
+        if (key.startsWith(`${targetKey}@`)) {
+          this.selectorCache.delete(key);
+          this.changed.selectors.add(key);
+        }
+      }
+    }
+    this.saveCache();
+  }
+
+  /**
+   * Persist cache changes (selectors, failure signatures, snapshots), if a
+   * cache file is configured. Changes are merged into what other workers
+   * wrote and the file is replaced in one step. This runs by itself when
+   * the worker exits; call it from `afterEach` to persist sooner.
+   */
+  saveCache(): void {
+    MCP.unsaved.delete(this);
+    const { selectors, failureSignatures, snapshots } = this.changed;
+    if (!this.cacheFile || (!this.selectorsCleared && selectors.size + failureSignatures.size + snapshots.size === 0)) return;
+
+    const onDisk = this.readCacheFile() || {};
+    const merge = (current: Record<string, any> = {}, ours: Map<string, any>, keys: Set<string>) => {
+      for (const key of keys) {
+        if (ours.has(key)) {
+          current[key] = ours.get(key);
+        } else {
+          delete current[key];
+        }
+      }
+      return current;
+    };
+
+    const data = {
+      selectors: merge(this.selectorsCleared ? {} : onDisk.selectors, this.selectorCache, selectors),
+      failureSignatures: merge(onDisk.failureSignatures, this.failureSignatures, failureSignatures),
+      snapshots: merge(onDisk.snapshots, this.snapshots, snapshots)
+    };
+
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    const tempFile = `${this.cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, this.cacheFile);
+
+    selectors.clear();
+    failureSignatures.clear();
+    snapshots.clear();
+    this.selectorsCleared = false;
+  }
+
+  async safeClick(locator: Locator, context?: string, options: { timeout?: number } = {}): Promise<void> {
     try {
-      await this.validate(locator);
-      await locator.click();
+      await this.validate(locator, context, options);
+      await locator.click({ timeout: options.timeout });
       console.log(`MCP: Safe click executed for ${context || 'element'}`);
     } catch (error) {
+      this.recordActionFailure(locator, error);
       throw error;
     }
   }
 
-  async safeFill(locator: Locator, value: string, context?: string): Promise<void> {
+  async safeFill(locator: Locator, value: string, context?: string, options: { timeout?: number } = {}): Promise<void> {
     try {
-      await this.validate(locator);
-      await locator.fill(value);
+      await this.validate(locator, context, options);
+      await locator.fill(value, { timeout: options.timeout });
       console.log(`MCP: Safe fill executed for ${context || 'element'}`);
     } catch (error) {
+      this.recordActionFailure(locator, error);
       throw error;
     }
   }
 
-  async safeExpect(locator: Locator, matcher: any, context?: string): Promise<void> {
+  async safeSelect(locator: Locator, value: string, context?: string, options: { timeout?: number } = {}): Promise<void> {
     try {
-      await this.validate(locator);
-      await expect(locator).toHaveText(matcher);
+      await this.validate(locator, context, options);
+      await locator.selectOption(value, { timeout: options.timeout });
+      console.log(`MCP: Safe select executed for ${context || 'element'}`);
+    } catch (error) {
+      this.recordActionFailure(locator, error);
+      throw error;
+    }
+  }
+
+  async safeExpect(locator: Locator, matcher: any, context?: string, options: { timeout?: number } = {}): Promise<void> {
+    try {
+      await this.validate(locator, context, options);
+      await expect(locator).toHaveText(matcher, { timeout: options.timeout });
       console.log(`MCP: Safe expect executed for ${context || 'element'}`);
     } catch (error) {
+      this.recordActionFailure(locator, error);
       throw error;
     }
   }
 
-  private async generateSelectorCandidates(page: Page, target: Target): Promise<SelectorCandidate[]> {
+  private async generateSelectorCandidates(
+    page: Page,
+    target: Target,
+    scope: SearchScope = page,
+    frame?: string[]
+  ): Promise<SelectorCandidate[]> {
     const candidates: SelectorCandidate[] = [];
     
     // Try different selector strategies
-    const strategies = [
-      { method: 'testId', selector: `[data-testid="${target.testId}"]` },
-      { method: 'role', selector: `[role="${target.role}"]` },
-      { method: 'label', selector: `[aria-label="${target.label}"]` },
-      { method: 'name', selector: `[name="${target.name}"]` },
-      { method: 'placeholder', selector: `[placeholder="${target.placeholder}"]` },
-      { method: 'fallback', selector: target.fallback || '' }
-    ];
+    const strategies = this.buildStrategies(page, target, scope);
 
     for (const strategy of strategies) {
-      if (strategy.selector) {
-        try {
-          const locator = page.locator(strategy.selector);
-          const count = await locator.count();
-          
-          if (count > 0) {
-            const score = this.calculateSelectorScore(strategy, count, target);
+      try {
+        const count = await strategy.locator.count();
+
+        if (count > 1) {
+          const resolved = await this.disambiguate(strategy.locator, count, target);
+          if (resolved) {
+            const penalty = MCP.REFINEMENT_PENALTY[resolved.refinement.pick || 'visible'];
+            const { score, rank } = this.getScoring().score({ ...strategy, matches: 1, target });
             candidates.push({
               selector: strategy.selector,
               method: strategy.method,
-              score,
-              locator
+              score: Math.max(0, score - penalty),
+              rank: rank - penalty,
+              locator: resolved.locator,
+              matches: count,
+              refinement: resolved.refinement,
+              frame
             });
+            continue;
           }
-        } catch (error) {
-          // Skip invalid selectors
         }
+
+        if (count > 0) {
+          const { score, rank } = this.getScoring().score({ ...strategy, matches: count, target });
+          candidates.push({
+            selector: strategy.selector,
+            method: strategy.method,
+            score,
+            rank,
+            locator: strategy.locator,
+            matches: count,
+            frame
+          });
+        }
+      } catch (error) {
+        // Skip invalid selectors
+      }
+    }
+
+    // Sort by rank (highest first)
+    return candidates.sort(ScoringEngine.byRank);
+  }
+
+  /**
+   * Cache key for a target on a page. Query strings and ID-like path segments
+   * are dropped so /product/123 and /product/456 share cached picks.
+   */
+  private getCacheKey(page: Page, target: Target): string {
+    return `${target.key}@${this.getUrlPattern(page.url())}`;
+  }
+
+  private getUrlPattern(url: string): string {
+    try {
+      const parsed = new URL(url);
+      const pathname = parsed.pathname
+        .split('/')
+        .map(segment => /^(\d+|[0-9a-f]{8,}|[0-9a-f-]{36})$/i.test(segment) ? '*' : segment)
+        .join('/');
+      return `${parsed.origin}${pathname}`;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Cheap re-verification of cached picks: a single count() per cached selector
+   * instead of probing every strategy again. Picks are rebuilt from the target
+   * so semantic locators survive the round trip through the cache file; a pick
+   * the target no longer produces is treated as stale.
+   */
+  private async verifyCached(
+    page: Page,
+    target: Target,
+    cacheKey: string,
+    scope: SearchScope = page
+  ): Promise<{ entry: CachedSelector; locator: Locator } | undefined> {
+    const cached = this.selectorCache.get(cacheKey);
+    if (!cached || cached.length === 0) return undefined;
+
+    for (const entry of cached) {
+      // Picks found by searching the page's iframes are verified in their frame
+      const discovered = entry.frame && !this.framePath(target) && !target.within;
+      const strategies = this.buildStrategies(page, target, discovered ? FramePath.scope(page, entry.frame) : scope);
+      const strategy = strategies.find(s => s.method === entry.method && s.selector === entry.selector);
+      if (!strategy) continue;
+
+      try {
+        const locator = entry.refinement
+          ? await this.applyRefinement(strategy.locator, entry.refinement)
+          : strategy.locator;
+        if (locator && await locator.count() === 1) {
+          // Not worth a write on its own; saved with the next change to this key
+          entry.hits++;
+          entry.lastVerified = new Date().toISOString();
+          return { entry, locator };
+        }
+      } catch (error) {
+        // Invalid or detached selector - fall through to the next cached pick
+      }
+    }
+
+    this.recordFailure(target.key, `cache:stale ${cached.map(c => c.method).join(',')}`, page.url());
+    this.selectorCache.delete(cacheKey);
+    this.markChanged('selectors', cacheKey);
+    return undefined;
+  }
+
+  private cacheCandidates(cacheKey: string, candidates: SelectorCandidate[]): void {
+    const now = new Date().toISOString();
+    this.selectorCache.set(cacheKey, candidates.map(c => ({
+      selector: c.selector,
+      method: c.method,
+      score: c.score,
+      hits: 0,
+      lastVerified: now,
+      refinement: c.refinement,
+      matches: c.matches,
+      frame: c.frame
+    })));
+    this.markChanged('selectors', cacheKey);
+  }
+
+  /**
+   * A heal is any grounding that didn't use the target's primary (highest
+   * priority declared) strategy, e.g. testId missing so role was used instead
+   */
+  private async recordHealIfFallback(
+    page: Page,
+    target: Target,
+    chosen: SelectorCandidate,
+    candidates: SelectorCandidate[],
+    cached: boolean = false
+  ): Promise<void> {
+    const primaryMethod = MCP.STRATEGY_ORDER.find(method => !!target[method]);
+    if (!primaryMethod || !this.isFallback(target, chosen.method)) return;
+
+    const record = this.buildHealRecord(page, target, primaryMethod, candidates, {
+      method: chosen.method,
+      selector: chosen.selector,
+      score: chosen.score
+    });
+    if (cached) record.cached = true;
+    await this.storeHeal(page, record, chosen.locator);
+  }
+
+  /**
+   * Record a heal for a fallback served from the cache. Only the primary
+   * strategy is re-counted, to tell why it still can't be used.
+   */
+  private async recordCachedHeal(
+    page: Page,
+    target: Target,
+    scope: SearchScope,
+    entry: CachedSelector,
+    locator: Locator
+  ): Promise<void> {
+    const primaryMethod = MCP.STRATEGY_ORDER.find(method => !!target[method]);
+    const primary = this.buildStrategies(page, target, scope).find(s => s.method === primaryMethod);
+    const candidates: SelectorCandidate[] = [];
+    if (primary) {
+      const matches = await primary.locator.count().catch(() => 0);
+      if (matches > 0) {
+        candidates.push({ ...primary, score: this.getScoring().score({ ...primary, matches, target }).score, matches });
+      }
+    }
+
+    const chosen = { selector: entry.selector, method: entry.method, score: entry.score, locator };
+    await this.recordHealIfFallback(page, target, chosen, candidates, true);
+  }
+
+  /**
+   * Whether grounding via `method` skipped the target's primary strategy.
+   * Combined locators (role+testId, ...) still honour the primary strategy.
+   */
+  private isFallback(target: Target, method: string): boolean {
+    const primaryMethod = MCP.STRATEGY_ORDER.find(field => !!target[field]);
+    return !!primaryMethod && !method.split('+').includes(primaryMethod);
+  }
+
+  private buildHealRecord(
+    page: Page,
+    target: Target,
+    primaryMethod: string,
+    candidates: SelectorCandidate[],
+    healed: HealRecord['healed']
+  ): HealRecord {
+    const primary = candidates.find(c => c.method === primaryMethod);
+    const matches = primary?.matches || 0;
+
+    return {
+      timestamp: new Date().toISOString(),
+      targetKey: target.key,
+      stepId: this.findStepId(target),
+      url: page.url(),
+      target: { ...target },
+      reason: matches === 0 ? 'missing' : matches > 1 ? 'ambiguous' : 'below-threshold',
+      expected: {
+        method: primaryMethod,
+        selector: primary?.selector || this.buildStrategies(page, target).find(s => s.method === primaryMethod)?.selector || '',
+        matches
+      },
+      healed
+    };
+  }
+
+  /**
+   * Attach a DOM snippet to a heal, record it and enforce failOnHeal
+   */
+  private async storeHeal(page: Page, record: HealRecord, locator: Locator): Promise<void> {
+    try {
+      const snapshot = await locator.first().evaluate((el, maxLength) => ({
+        html: el.outerHTML.slice(0, maxLength),
+        attributes: Object.fromEntries(Array.from(el.attributes).map(a => [a.name, a.value]))
+      }), MCP.MAX_SNIPPET_LENGTH);
+      record.domSnippet = snapshot.html;
+      record.attributes = snapshot.attributes;
+    } catch (error) {
+      // The snippet is diagnostic only; a detached element shouldn't hide the heal itself
+    }
+
+    this.heals.push(record);
+    this.healingLog?.append(record);
+    this.recordFailure(record.targetKey, `heal:${record.expected.method}->${record.healed.method} (${record.reason})`, page.url());
+    console.log(`MCP: 🩹 Healed ${record.targetKey}: ${record.expected.method} ${record.reason}, used ${record.healed.method} (${record.healed.selector})`);
+
+    if (this.failOnHeal) {
+      throw new Error(
+        `Target ${record.targetKey} needed healing (${record.expected.method} ${record.reason}, grounded via ${record.healed.method}). ` +
+        `Update the plan or disable failOnHeal.`
+      );
+    }
+  }
+
+  private findStepId(target: Target): string | undefined {
+    return this.plan.steps.find(step => step.targets.some(t => t.key === target.key))?.id;
+  }
+
+  /**
+   * Snapshot the element a target grounded to, as the reference for recovery
+   * and, once per target and page, as a fingerprint for drift detection
+   */
+  private async rememberElement(
+    page: Page,
+    target: Target,
+    locator: Locator,
+    method: string,
+    snapshot?: ElementSnapshot,
+    frame?: string[]
+  ): Promise<void> {
+    if (!this.recovery && !this.fingerprints) return;
+
+    const element = snapshot || await DomSimilarity.snapshot(locator);
+    if (!element) return;
+    element.frame = frame;
+
+    const cacheKey = this.getCacheKey(page, target);
+
+    if (this.recovery) {
+      this.snapshots.set(cacheKey, element);
+      this.markChanged('snapshots', cacheKey);
+    }
+
+    if (this.fingerprints && !this.fingerprinted.has(cacheKey)) {
+      this.fingerprinted.add(cacheKey);
+      this.fingerprints.append({
+        timestamp: new Date().toISOString(),
+        targetKey: target.key,
+        projectName: this.getProjectName(),
+        urlPattern: this.getUrlPattern(page.url()),
+        method,
+        fingerprint: element
+      });
+    }
+  }
+
+  /**
+   * Record how grounding a target went: as an outcome for learned selector
+   * scores and as a telemetry event attached to the running test. A
+   * successful grounding also remembers where its locator came from.
+   */
+  private async recordGrounding(
+    page: Page,
+    target: Target,
+    startedAt: number,
+    grounding: {
+      used?: { method: string; selector: string; score: number; matches?: number; refinement?: Refinement; frame?: string[] };
+      locator?: Locator;
+      candidates?: SelectorCandidate[];
+      cached?: boolean;
+      recovered?: boolean;
+      error?: string;
+    }
+  ): Promise<void> {
+    const { used, locator } = grounding;
+    const durationMs = Date.now() - startedAt;
+
+    if (used && locator) {
+      this.groundedBy.set(locator, { targetKey: target.key, method: used.method, selector: used.selector });
+    }
+
+    if (used && this.outcomes) {
+      try {
+        this.outcomes.append({
+          timestamp: new Date().toISOString(),
+          targetKey: target.key,
+          method: used.method,
+          selector: used.selector,
+          projectName: this.getProjectName(),
+          ...this.getTestContext(),
+          phase: 'ground',
+          ok: !!locator,
+          resolveMs: durationMs,
+          matches: used.matches ?? 1
+        });
+      } catch (error) {
+        console.warn(`MCP: ⚠️ Could not record selector outcome: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    await SelectorTelemetry.emit({
+      source: 'mcp',
+      target: target.key,
+      url: page.url(),
+      ok: !!locator,
+      cached: !!grounding.cached,
+      candidates: (grounding.candidates || []).map(c => ({ method: c.method, selector: c.selector, score: c.score, matches: c.matches, frame: c.frame })),
+      chosen: used && locator
+        ? { method: used.method, selector: used.selector, score: used.score, matches: used.matches, frame: used.frame, refinement: used.refinement?.reason }
+        : undefined,
+      fallbackUsed: !!(used && locator) && (!!grounding.recovered || this.isFallback(target, used.method)),
+      recovered: !!grounding.recovered,
+      durationMs,
+      error: grounding.error
+    });
+  }
+
+  /**
+   * Record a failed action on a grounded element against the selector it came from
+   */
+  private recordActionFailure(locator: Locator, error: unknown): void {
+    const grounded = this.groundedBy.get(locator);
+    if (!grounded || !this.outcomes) return;
+
+    try {
+      this.outcomes.append({
+        timestamp: new Date().toISOString(),
+        ...grounded,
+        projectName: this.getProjectName(),
+        ...this.getTestContext(),
+        phase: 'action',
+        ok: false,
+        resolveMs: 0,
+        matches: 1,
+        error: (error instanceof Error ? error.message : String(error)).split('\n')[0]
+      });
+    } catch (appendError) {
+      console.warn(`MCP: ⚠️ Could not record selector outcome: ${appendError instanceof Error ? appendError.message : String(appendError)}`);
+    }
+  }
+
+  /**
+   * Title path and retry of the running test, if any
+   */
+  private getTestContext(): { testTitle?: string; retry: number } {
+    try {
+      const info = test.info();
+      // The first title path entry is the spec file
+      return { testTitle: info.titlePath.slice(1).join(' › '), retry: info.retry };
+    } catch (error) {
+      return { retry: 0 };
+    }
+  }
+
+  /**
+   * Browser project for fingerprints and scoring overrides: explicit option, else the running test's project
+   */
+  private getProjectName(): string {
+    if (this.projectName) return this.projectName;
+
+    try {
+      return test.info().project.name;
+    } catch (error) {
+      // Used outside a Playwright test
+      return 'default';
+    }
+  }
+
+  /**
+   * Locator strategies for the fields a target declares. Role, label,
+   * placeholder, test id and text use Playwright's semantic locators, so
+   * implicit ARIA roles and computed accessible names count; the role locator
+   * is also combined with the other semantic ones. Their selector is the
+   * locator's description, e.g. `getByRole('button', { name: 'Log in' })`.
+   * The role's accessible name is `accessibleName`, else `label` or `text`;
+   * `name` is only ever the HTML name attribute and, like `fallback`, stays
+   * raw CSS.
+   */
+  private buildStrategies(page: Page, target: Target, scope: SearchScope = page): SelectorStrategy[] {
+    const strategies: Array<{ method: string; locator: Locator }> = [];
+    const accessibleName = target.accessibleName || target.label || target.text;
+    const byRole = target.role
+      ? scope.getByRole(target.role as Parameters<Page['getByRole']>[0], accessibleName ? { name: accessibleName } : undefined)
+      : undefined;
+    const semantic: Array<{ method: string; locator: Locator }> = [];
+
+    if (target.testId) semantic.push({ method: 'testId', locator: this.byTestId(scope, target.testId) });
+    if (target.label) semantic.push({ method: 'label', locator: scope.getByLabel(target.label) });
+    if (target.placeholder) semantic.push({ method: 'placeholder', locator: scope.getByPlaceholder(target.placeholder) });
+    if (target.text) semantic.push({ method: 'text', locator: scope.getByText(target.text) });
+
+    if (byRole) {
+      semantic.forEach(s => strategies.push({ method: `role+${s.method}`, locator: byRole.and(s.locator) }));
+    }
+    strategies.push(...semantic.filter(s => s.method === 'testId'));
+    if (byRole) strategies.push({ method: 'role', locator: byRole });
+    strategies.push(...semantic.filter(s => s.method !== 'testId'));
+
+    const css: SelectorStrategy[] = [];
+    if (target.name) css.push({ method: 'name', selector: `[name="${target.name}"]`, locator: scope.locator(`[name="${target.name}"]`) });
+    if (target.fallback) css.push({ method: 'fallback', selector: target.fallback, locator: scope.locator(target.fallback) });
+
+    // Explicit refinements declared on the target narrow every strategy
+    const refine = (locator: Locator) => target.hasText || target.has
+      ? locator.filter({ hasText: target.hasText, has: target.has ? page.locator(target.has) : undefined })
+      : locator;
+
+    return [
+      ...strategies.map(s => ({ ...s, selector: s.locator.toString(), locator: refine(s.locator) })),
+      ...css.map(s => ({ ...s, locator: refine(s.locator) }))
+    ];
+  }
+
+  /**
+   * Test id locator honouring the scoring engine's `testIdAttribute`. The
+   * default attribute goes through getByTestId so Playwright's own
+   * `testIdAttribute` setting still applies.
+   */
+  private byTestId(scope: SearchScope, testId: string): Locator {
+    const attribute = this.getScoring().testIdAttribute;
+    if (attribute === ScoringEngine.DEFAULT_TEST_ID_ATTRIBUTE) {
+      return scope.getByTestId(testId);
+    }
+    return scope.locator(`[${attribute}="${testId.replace(/["\\]/g, '\\$&')}"]`);
+  }
+
+  /**
+   * Search scope for a target: its `within` container grounded first, else
+   * the frame it declares, else the page
+   */
+  private async resolveScope(page: Page, target: Target): Promise<SearchScope> {
+    const container = this.resolveContainer(target);
+    if (container) {
+      // A container without a frame of its own is in its target's frame
+      return this.ground(page, container.frame || !target.frame ? container : { ...container, frame: target.frame });
+    }
+    return FramePath.scope(page, this.framePath(target));
+  }
+
+  /**
+   * Frame a target is declared in, directly or through its `within` containers
+   */
+  private framePath(target: Target): string[] | undefined {
+    const container = target.frame ? undefined : this.resolveContainer(target);
+    return FramePath.normalize(target.frame) || (container && this.framePath(container));
+  }
+
+  /**
+   * Look for a target in the page's iframes, for when it declares no frame
+   * and the main frame has no good enough candidate. Returns the candidates
+   * of the first frame that has one.
+   */
+  private async searchFrames(page: Page, target: Target): Promise<SelectorCandidate[]> {
+    for (const frame of await FramePath.discover(page)) {
+      const candidates = await this.generateSelectorCandidates(page, target, FramePath.scope(page, frame), frame);
+      if (candidates.some(c => c.score >= this.getScoreThreshold())) {
+        console.log(`MCP: 🖼️ Found ${target.key} in frame ${FramePath.format(frame)}`);
+        return candidates;
+      }
+    }
+    return [];
+  }
+
+  private describeFrame(frame?: string[]): string {
+    return frame ? ` in frame ${FramePath.format(frame)}` : '';
+  }
+
+  private resolveContainer(target: Target): Target | undefined {
+    const chain = [target.key];
+    let current: Target | undefined = target;
+    let container: Target | undefined;
+
+    while (current?.within) {
+      const within: string | Target = current.within;
+      const next: Target | undefined = typeof within === 'string'
+        ? this.plan.steps.flatMap(step => step.targets).find(t => t.key === within)
+        : within;
+
+      if (!next) {
+        throw new Error(`Target ${current.key} is scoped within unknown target "${within}"`);
       }
+      if (chain.includes(next.key)) {
+        throw new Error(`Circular \`within\` scoping: ${[...chain, next.key].join(' -> ')}`);
+      }
+
+      chain.push(next.key);
+      container = container || next;
+      current = next;
     }
 
-    // Sort by score (highest first)
-    return candidates.sort((a, b) => b.score - a.score);
+    return container;
   }
 
-  private calculateSelectorScore(strategy: any, count: number, target: Target): number {
-    let score = 1.0;
+  /**
+   * Narrow a locator matching several elements down to one: only-visible
+   * first, then the only match inside the viewport, then the target's `nth`
+   * in visual order. Returns undefined when the ambiguity remains.
+   */
+  private async disambiguate(
+    locator: Locator,
+    count: number,
+    target: Target
+  ): Promise<{ locator: Locator; refinement: Refinement } | undefined> {
+    const visibleCount = await locator.filter({ visible: true }).count();
+    const visible = visibleCount > 0 || undefined;
+    const refinements: Refinement[] = [
+      { visible: true, reason: `only visible match (of ${count})` },
+      { visible, pick: 'viewport', reason: `only match in the viewport (of ${visibleCount || count})` }
+    ];
 
-    // Penalize multiple matches
-    if (count > 1) {
-      score -= (count - 1) * 0.1;
+    if (target.nth !== undefined) {
+      refinements.push({ visible, pick: 'visual', nth: target.nth, reason: `nth=${target.nth} in visual order (of ${visibleCount || count})` });
     }
 
-    // Prefer more specific selectors
-    switch (strategy.method) {
-      case 'testId':
-        score += 0.2;
-        break;
-      case 'role':
-        score += 0.1;
-        break;
-      case 'label':
-        score += 0.15;
-        break;
-      case 'name':
-        score += 0.05;
-        break;
-      case 'placeholder':
-        score += 0.05;
-        break;
-      case 'fallback':
-        score -= 0.1;
-        break;
+    for (const refinement of refinements) {
+      const refined = await this.applyRefinement(locator, refinement);
+      if (refined && await refined.count() === 1) {
+        return { locator: refined, refinement };
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Re-apply a refinement; positional picks are recomputed against the current layout
+   */
+  private async applyRefinement(locator: Locator, refinement: Refinement): Promise<Locator | undefined> {
+    const base = refinement.visible ? locator.filter({ visible: true }) : locator;
+    if (!refinement.pick) return base;
+
+    const boxes = await base.evaluateAll(elements => elements.map((el, index) => {
+      const rect = el.getBoundingClientRect();
+      return {
+        index,
+        top: Math.round(rect.top),
+        left: Math.round(rect.left),
+        inViewport: rect.width > 0 && rect.height > 0 &&
+          rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth
+      };
+    }));
+
+    if (refinement.pick === 'viewport') {
+      const inViewport = boxes.filter(box => box.inViewport);
+      return inViewport.length === 1 ? base.nth(inViewport[0].index) : undefined;
     }
 
-    return Math.max(0, Math.min(1, score));
+    const ordered = [...boxes].sort((a, b) => a.top - b.top || a.left - b.left);
+    const picked = ordered[refinement.nth || 0];
+    return picked ? base.nth(picked.index) : undefined;
+  }
+
+  private recordFailure(key: string, signature: string, url?: string): void {
+    const signatures = this.failureSignatures.get(key) || [];
+    signatures.push(url ? `${signature} @ ${this.getUrlPattern(url)}` : signature);
+    this.failureSignatures.set(key, signatures.slice(-MCP.MAX_SIGNATURES_PER_KEY));
+    this.markChanged('failureSignatures', key);
+  }
+
+  /**
+   * Note a changed cache key, to be saved once when the worker exits
+   * instead of rewriting the file on every change
+   */
+  private markChanged(section: CacheSection, key: string): void {
+    if (!this.cacheFile) return;
+
+    this.changed[section].add(key);
+    MCP.unsaved.add(this);
+    if (!MCP.exitHookInstalled) {
+      MCP.exitHookInstalled = true;
+      process.once('exit', () => {
+        for (const mcp of [...MCP.unsaved]) {
+          try {
+            mcp.saveCache();
+          } catch (error) {
+            console.warn(`MCP: ⚠️ Could not save selector cache: ${error instanceof Error ? error.message : String(error)}`);
+          }
+        }
+      });
+    }
+  }
+
+  private loadCache(): void {
+    const data = this.readCacheFile();
+    if (!data) return;
+
+    this.selectorCache = new Map(Object.entries(data.selectors || {}));
+    this.failureSignatures = new Map(Object.entries(data.failureSignatures || {}));
+    this.snapshots = new Map(Object.entries(data.snapshots || {}));
+  }
+
+  private readCacheFile(): Partial<Record<CacheSection, Record<string, any>>> | undefined {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) return undefined;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (error) {
+      console.warn(`MCP: Ignoring unreadable selector cache ${this.cacheFile}: ${error instanceof Error ? error.message : String(error)}`);
+      return undefined;
+    }
   }
 }
@@ -0,0 +1,246 @@
+import { BrowserContext, Page, Request, WebSocket } from '@playwright/test';
+
+export type UrlPattern = string | RegExp;
+
+export interface NetworkFilter {
+  /** Only track URLs matching one of these; strings match anywhere in the URL */
+  include?: UrlPattern[];
+  /** Ignore URLs matching any of these, e.g. analytics or heartbeat endpoints */
+  exclude?: UrlPattern[];
+  /**
+   * Requests in flight for longer than this (ms) are treated as long-polls
+   * and stop counting as pending. Off (Infinity) by default, so a slow API
+   * call keeps the page busy; exclude known long-poll URLs instead where
+   * possible.
+   */
+  longPollAfter?: number;
+}
+
+export interface NetworkIdleOptions extends NetworkFilter {
+  timeout?: number;
+  /** How long (ms) the network must stay quiet */
+  idleTime?: number;
+  /** Pending requests still considered idle */
+  maxRequests?: number;
+  message?: string;
+}
+
+export interface InFlightRequest {
+  url: string;
+  method: string;
+  resourceType: string;
+  startedAt: number;
+  durationMs: number;
+  /** In flight for longer than `longPollAfter` */
+  longPoll: boolean;
+}
+
+/**
+ * Thrown when the network doesn't go idle in time, with the requests that
+ * kept the page busy
+ */
+export class NetworkIdleTimeoutError extends Error {
+  readonly pending: InFlightRequest[];
+  readonly lastActivity?: { url: string; msAgo: number };
+
+  constructor(message: string, timeout: number, pending: InFlightRequest[], lastActivity?: { url: string; msAgo: number }) {
+    const busy = pending.length > 0
+      ? `${pending.length} request(s) still in flight: ${pending.map(r => NetworkIdleTimeoutError.format(r)).join(', ')}`
+      : 'no request in flight';
+    const activity = lastActivity ? `; last activity ${lastActivity.msAgo}ms ago (${lastActivity.url})` : '';
+    super(`Timeout waiting for ${message} after ${timeout}ms: ${busy}${activity}`);
+    this.name = 'NetworkIdleTimeoutError';
+    this.pending = pending;
+    this.lastActivity = lastActivity;
+  }
+
+  static format(request: InFlightRequest): string {
+    return `${request.method} ${request.url} (${request.resourceType}, ${(request.durationMs / 1000).toFixed(1)}s${request.longPoll ? ', long-poll' : ''})`;
+  }
+}
+
+/**
+ * Tracks a page's in-flight requests and network activity from the moment
+ * it is installed, so every wait sees requests started before it was called.
+ *
+ * One tracker is installed per page, however many waits use it. Install it
+ * before the page starts loading (`installOn(context)` covers every page of
+ * a context) for it to know about every request; a tracker installed later
+ * only knows about requests started since.
+ *
+ * Websocket connections never count as pending, since they stay open, but
+ * their frames count as activity unless their URL is excluded.
+ */
+export class NetworkTracker {
+  static readonly DEFAULT_LONG_POLL_AFTER = Infinity;
+  private static readonly POLL_INTERVAL = 100;
+  private static readonly MAX_ACTIVITY = 500;
+  private static readonly trackers: WeakMap<Page, NetworkTracker> = new WeakMap();
+
+  private readonly page: Page;
+  private readonly inFlight: Map<Request, { startedAt: number }> = new Map();
+  private readonly sockets: Set<WebSocket> = new Set();
+  // Most recent last
+  private activity: Array<{ url: string; at: number }> = [];
+  private readonly listeners: Array<[string, (...args: any[]) => void]>;
+
+  private constructor(page: Page) {
+    this.page = page;
+    const settle = (request: Request) => {
+      this.inFlight.delete(request);
+      this.touch(request.url());
+    };
+
+    this.listeners = [
+      ['request', (request: Request) => {
+        this.inFlight.set(request, { startedAt: Date.now() });
+        this.touch(request.url());
+      }],
+      ['requestfinished', settle],
+      ['requestfailed', settle],
+      ['websocket', (socket: WebSocket) => this.trackSocket(socket)],
+      ['close', () => this.dispose()]
+    ];
+
+    for (const [event, listener] of this.listeners) {
+      page.on(event as any, listener);
+    }
+  }
+
+  /**
+   * The page's tracker, installed on first use
+   */
+  static for(page: Page): NetworkTracker {
+    let tracker = this.trackers.get(page);
+    if (!tracker) {
+      tracker = new NetworkTracker(page);
+      this.trackers.set(page, tracker);
+    }
+    return tracker;
+  }
+
+  /**
+   * Track every page of a context from its first request: pages open now
+   * and pages opened later
+   */
+  static installOn(context: BrowserContext): void {
+    context.pages().forEach(page => this.for(page));
+    context.on('page', page => this.for(page));
+  }
+
+  /**
+   * Requests in flight that pass the filter, longest running first
+   */
+  getInFlight(filter: NetworkFilter = {}): InFlightRequest[] {
+    const now = Date.now();
+    const longPollAfter = filter.longPollAfter ?? NetworkTracker.DEFAULT_LONG_POLL_AFTER;
+
+    return [...this.inFlight]
+      .filter(([request]) => NetworkTracker.matches(request.url(), filter))
+      .map(([request, { startedAt }]) => ({
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        startedAt,
+        durationMs: now - startedAt,
+        longPoll: now - startedAt > longPollAfter
+      }))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Requests that count as pending: in flight, passing the filter and not long-polls
+   */
+  getPending(filter: NetworkFilter = {}): InFlightRequest[] {
+    return this.getInFlight(filter).filter(request => !request.longPoll);
+  }
+
+  /**
+   * URLs of the websockets open on the page
+   */
+  getOpenSockets(): string[] {
+    return [...this.sockets].map(socket => socket.url());
+  }
+
+  /**
+   * Most recent request or websocket activity passing the filter
+   */
+  getLastActivity(filter: NetworkFilter = {}): { url: string; at: number } | undefined {
+    for (let i = this.activity.length - 1; i >= 0; i--) {
+      if (NetworkTracker.matches(this.activity[i].url, filter)) {
+        return this.activity[i];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Wait until at most `maxRequests` requests are pending and nothing
+   * happened on the network for `idleTime`. Long-polls and requests left out
+   * by the filter don't keep the page busy. Throws a NetworkIdleTimeoutError
+   * naming the requests that did.
+   */
+  async waitForIdle(options: NetworkIdleOptions = {}): Promise<{ pending: InFlightRequest[]; longPolls: InFlightRequest[] }> {
+    const { timeout = 30000, idleTime = 500, maxRequests = 0, message = 'Network to be idle' } = options;
+    const startTime = Date.now();
+    // Quiet time is measured from the call at the earliest
+    const quietSince = () => Math.max(startTime, this.getLastActivity(options)?.at || 0);
+
+    while (true) {
+      const inFlight = this.getInFlight(options);
+      const pending = inFlight.filter(request => !request.longPoll);
+
+      if (pending.length <= maxRequests && Date.now() - quietSince() >= idleTime) {
+        return { pending, longPolls: inFlight.filter(request => request.longPoll) };
+      }
+
+      if (Date.now() - startTime >= timeout || this.page.isClosed()) {
+        const last = this.getLastActivity(options);
+        throw new NetworkIdleTimeoutError(
+          message,
+          timeout,
+          pending,
+          last && { url: last.url, msAgo: Date.now() - last.at }
+        );
+      }
+
+      await new Promise(resolve => setTimeout(resolve, NetworkTracker.POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Stop tracking the page
+   */
+  dispose(): void {
+    for (const [event, listener] of this.listeners) {
+      this.page.off(event as any, listener);
+    }
+    this.inFlight.clear();
+    this.sockets.clear();
+    NetworkTracker.trackers.delete(this.page);
+  }
+
+  static matches(url: string, filter: NetworkFilter): boolean {
+    const test = (pattern: UrlPattern) => typeof pattern === 'string' ? url.includes(pattern) : pattern.test(url);
+    if (filter.include && filter.include.length > 0 && !filter.include.some(test)) return false;
+    return !(filter.exclude || []).some(test);
+  }
+
+  private trackSocket(socket: WebSocket): void {
+    this.sockets.add(socket);
+    this.touch(socket.url());
+    socket.on('framesent', () => this.touch(socket.url()));
+    socket.on('framereceived', () => this.touch(socket.url()));
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  private touch(url: string): void {
+    this.activity.push({ url, at: Date.now() });
+    if (this.activity.length > NetworkTracker.MAX_ACTIVITY) {
+      this.activity = this.activity.slice(-NetworkTracker.MAX_ACTIVITY);
+    }
+  }
+}
+
+// Export convenience functions
+export const trackNetwork = NetworkTracker.for.bind(NetworkTracker);
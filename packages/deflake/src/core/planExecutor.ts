@@ -0,0 +1,334 @@
+import { FullProject, Page, Locator, test } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import type { MCP, Plan, Step } from './mcp';
+import { FlakeHunter } from './hunter';
+import { TimingStore } from './timings';
+
+export interface IntentContext {
+  page: Page;
+  mcp: MCP;
+  step: Step;
+  /** The first of the step's targets that grounded, if the step has targets */
+  locator?: Locator;
+  baseURL?: string;
+  /** Timeout learned for the step in adaptive mode; unset leaves Playwright's configured timeouts */
+  timeout?: number;
+}
+
+export type IntentHandler = (context: IntentContext) => Promise<void>;
+
+export type ScreenshotMode = 'off' | 'on' | 'only-on-failure';
+
+export interface PlanExecutorOptions {
+  baseURL?: string;
+  screenshots?: ScreenshotMode;
+  screenshotDir?: string;
+  logFile?: string;
+  intents?: Record<string, IntentHandler>;
+  /** Step duration store; defaults to DEFLAKE_TIMINGS_FILE or .deflake/timings.jsonl */
+  timingsFile?: string;
+  /** Record how long each step took; defaults to true, except in flake hunts */
+  recordTimings?: boolean;
+  /** Run steps with the timeout learned from previous runs; defaults to DEFLAKE_ADAPTIVE_TIMEOUTS */
+  adaptiveTimeouts?: boolean;
+}
+
+export interface StepLogEntry {
+  stepId: string;
+  intent: string;
+  description?: string;
+  status: 'passed' | 'failed' | 'skipped';
+  startedAt: string;
+  duration: number;
+  url?: string;
+  targetKey?: string;
+  /** Learned timeout the step ran with, in adaptive mode */
+  timeout?: number;
+  screenshot?: string;
+  error?: string;
+}
+
+export interface PlanExecutionResult {
+  passed: boolean;
+  startedAt: string;
+  duration: number;
+  steps: StepLogEntry[];
+}
+
+/**
+ * Thrown when a plan step fails. Carries the full step log, including the
+ * steps skipped after the failure.
+ */
+export class PlanExecutionError extends Error {
+  readonly result: PlanExecutionResult;
+
+  constructor(step: StepLogEntry, result: PlanExecutionResult) {
+    super(`Plan step "${step.stepId}" (${step.intent}) failed: ${step.error}`);
+    this.name = 'PlanExecutionError';
+    this.result = result;
+  }
+}
+
+/**
+ * Runs a plan's steps in order by mapping each step's `intent` onto MCP
+ * grounding and the matching safe action.
+ *
+ *   navigate     page.goto(step.url), resolved against baseURL
+ *   click        safeClick on the step's target
+ *   fill         safeFill with step.value
+ *   select       safeSelect with step.value
+ *   expect-text  safeExpect with step.text
+ *
+ * A step's targets are tried in order and the first one that grounds is used.
+ * Execution stops at the first failing step; the remaining steps are logged
+ * as skipped.
+ *
+ * Step durations are recorded in a TimingStore. With adaptive timeouts, a
+ * step's action times out at the timeout learned from them instead of the
+ * project's fixed action or navigation timeout.
+ */
+export class PlanExecutor {
+  static readonly DEFAULT_SCREENSHOT_DIR = 'test-results/plan-steps';
+  // Fixed step timeout adaptive mode replaces when the project sets none
+  private static readonly DEFAULT_STEP_TIMEOUT = 30000;
+
+  private static readonly BUILTIN_INTENTS: Record<string, IntentHandler> = {
+    'navigate': async ({ page, step, baseURL, timeout }) => {
+      const url = PlanExecutor.requireField(step, 'url');
+      await page.goto(baseURL ? new URL(url, baseURL).toString() : url, { timeout });
+    },
+    'click': async ({ mcp, step, locator, timeout }) => {
+      await mcp.safeClick(PlanExecutor.requireLocator(step, locator), step.id, { timeout });
+    },
+    'fill': async ({ mcp, step, locator, timeout }) => {
+      await mcp.safeFill(PlanExecutor.requireLocator(step, locator), PlanExecutor.requireField(step, 'value'), step.id, { timeout });
+    },
+    'select': async ({ mcp, step, locator, timeout }) => {
+      await mcp.safeSelect(PlanExecutor.requireLocator(step, locator), PlanExecutor.requireField(step, 'value'), step.id, { timeout });
+    },
+    'expect-text': async ({ mcp, step, locator, timeout }) => {
+      await mcp.safeExpect(PlanExecutor.requireLocator(step, locator), PlanExecutor.requireField(step, 'text'), step.id, { timeout });
+    }
+  };
+
+  private mcp: MCP;
+  private baseURL?: string;
+  private screenshots: ScreenshotMode;
+  private screenshotDir: string;
+  private logFile?: string;
+  private intents: Record<string, IntentHandler>;
+  private timings: TimingStore;
+  private recordTimings: boolean;
+  private adaptiveTimeouts: boolean;
+
+  constructor(mcp: MCP, options: PlanExecutorOptions = {}) {
+    this.mcp = mcp;
+    this.baseURL = options.baseURL;
+    this.screenshots = options.screenshots || 'only-on-failure';
+    this.screenshotDir = path.resolve(options.screenshotDir || PlanExecutor.DEFAULT_SCREENSHOT_DIR);
+    this.logFile = options.logFile && path.resolve(options.logFile);
+    this.intents = { ...PlanExecutor.BUILTIN_INTENTS, ...options.intents };
+    this.timings = new TimingStore({ file: options.timingsFile });
+    this.recordTimings = options.recordTimings ?? !FlakeHunter.isHunting();
+    this.adaptiveTimeouts = options.adaptiveTimeouts ?? TimingStore.isAdaptive();
+  }
+
+  /**
+   * Intents this executor understands, including custom ones
+   */
+  getIntents(): string[] {
+    return Object.keys(this.intents);
+  }
+
+  /**
+   * Execute every step of the plan (or of `plan` when given) against the page.
+   * Throws a PlanExecutionError when a step fails.
+   */
+  async run(page: Page, plan: Plan = this.mcp.getPlan()): Promise<PlanExecutionResult> {
+    // Catch typos before touching the page rather than halfway through a journey
+    const unknown = plan.steps.filter(step => !this.intents[step.intent]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown intent(s): ${unknown.map(step => `"${step.intent}" (step ${step.id})`).join(', ')}. ` +
+        `Known intents: ${this.getIntents().join(', ')}`
+      );
+    }
+
+    const startedAt = new Date();
+    const steps: StepLogEntry[] = [];
+    let failed: StepLogEntry | undefined;
+
+    for (const [index, step] of plan.steps.entries()) {
+      if (failed) {
+        steps.push({
+          stepId: step.id,
+          intent: step.intent,
+          description: step.description,
+          status: 'skipped',
+          startedAt: new Date().toISOString(),
+          duration: 0
+        });
+        continue;
+      }
+
+      const entry = await this.runStep(page, step, index);
+      steps.push(entry);
+      if (entry.status === 'failed') {
+        failed = entry;
+      }
+    }
+
+    const result: PlanExecutionResult = {
+      passed: !failed,
+      startedAt: startedAt.toISOString(),
+      duration: Date.now() - startedAt.getTime(),
+      steps
+    };
+
+    const passedCount = steps.filter(s => s.status === 'passed').length;
+    console.log(`MCP: ${failed ? '❌' : '✅'} Plan finished: ${passedCount}/${steps.length} steps passed in ${result.duration}ms`);
+    this.writeLog(result);
+
+    if (failed) {
+      throw new PlanExecutionError(failed, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Execute a single step and log its outcome; never throws
+   */
+  async runStep(page: Page, step: Step, index: number = 0): Promise<StepLogEntry> {
+    const startedAt = new Date();
+    const entry: StepLogEntry = {
+      stepId: step.id,
+      intent: step.intent,
+      description: step.description,
+      status: 'passed',
+      startedAt: startedAt.toISOString(),
+      duration: 0
+    };
+
+    const project = PlanExecutor.currentProject();
+    const timingKey = TimingStore.keyOf('step', step.intent, step.id);
+    const fixedTimeout = PlanExecutor.fixedTimeout(step, project);
+    entry.timeout = this.adaptiveTimeouts ? this.timings.learnedTimeout(timingKey, fixedTimeout, project?.name) : undefined;
+
+    console.log(`MCP: ▶️  Step ${step.id} (${step.intent})${entry.timeout !== undefined ? ` with learned timeout ${entry.timeout}ms` : ''}`);
+
+    try {
+      const handler = this.intents[step.intent];
+      if (!handler) {
+        throw new Error(`Unknown intent "${step.intent}"`);
+      }
+
+      const grounded = await this.groundStep(page, step);
+      entry.targetKey = grounded?.targetKey;
+      await handler({ page, mcp: this.mcp, step, locator: grounded?.locator, baseURL: this.baseURL, timeout: entry.timeout });
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error instanceof Error ? error.message : String(error);
+    }
+
+    entry.duration = Date.now() - startedAt.getTime();
+    entry.url = page.url();
+
+    if (this.recordTimings) {
+      try {
+        this.timings.append([{
+          timestamp: entry.startedAt,
+          key: timingKey,
+          kind: 'step',
+          projectName: project?.name || '',
+          ok: entry.status === 'passed',
+          durationMs: entry.duration,
+          timeoutMs: entry.timeout ?? fixedTimeout
+        }]);
+      } catch (error) {
+        console.warn(`⚠️ Could not record step timing: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    if (this.screenshots === 'on' || (this.screenshots === 'only-on-failure' && entry.status === 'failed')) {
+      entry.screenshot = await this.captureScreenshot(page, step, index);
+    }
+
+    console.log(`MCP: ${entry.status === 'passed' ? '✅' : '❌'} Step ${step.id} ${entry.status} in ${entry.duration}ms${entry.error ? `: ${entry.error}` : ''}`);
+    return entry;
+  }
+
+  /**
+   * Timeout a step runs with unless one is learned: the project's navigation
+   * timeout for `navigate` steps and its action timeout for the others
+   */
+  private static fixedTimeout(step: Step, project?: FullProject): number {
+    return (step.intent === 'navigate' ? project?.use.navigationTimeout : project?.use.actionTimeout) || PlanExecutor.DEFAULT_STEP_TIMEOUT;
+  }
+
+  /**
+   * The running test's project, for per-browser timings
+   */
+  private static currentProject(): FullProject | undefined {
+    try {
+      return test.info().project;
+    } catch (error) {
+      // Run outside a Playwright test
+      return undefined;
+    }
+  }
+
+  /**
+   * Ground the first target that resolves; the rest act as alternates
+   */
+  private async groundStep(page: Page, step: Step): Promise<{ targetKey: string; locator: Locator } | undefined> {
+    if (step.targets.length === 0) return undefined;
+
+    const errors: string[] = [];
+    for (const target of step.targets) {
+      try {
+        return { targetKey: target.key, locator: await this.mcp.ground(page, target) };
+      } catch (error) {
+        errors.push(`${target.key}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    throw new Error(`No target could be grounded for step ${step.id}:\n  ${errors.join('\n  ')}`);
+  }
+
+  private async captureScreenshot(page: Page, step: Step, index: number): Promise<string | undefined> {
+    const file = path.join(this.screenshotDir, `${String(index + 1).padStart(2, '0')}-${step.id.replace(/[^\w.-]+/g, '_')}.png`);
+
+    try {
+      fs.mkdirSync(this.screenshotDir, { recursive: true });
+      await page.screenshot({ path: file });
+      return file;
+    } catch (error) {
+      console.warn(`MCP: ⚠️ Could not capture screenshot for step ${step.id}: ${error instanceof Error ? error.message : String(error)}`);
+      return undefined;
+    }
+  }
+
+  private writeLog(result: PlanExecutionResult): void {
+    if (!this.logFile) return;
+
+    fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+    fs.writeFileSync(this.logFile, JSON.stringify(result, null, 2));
+  }
+
+  private static requireLocator(step: Step, locator?: Locator): Locator {
+    if (!locator) {
+      throw new Error(`Step ${step.id} (${step.intent}) needs at least one target`);
+    }
+    return locator;
+  }
+
+  private static requireField(step: Step, field: 'value' | 'text' | 'url'): string {
+    const value = step[field];
+    if (value === undefined) {
+      throw new Error(`Step ${step.id} (${step.intent}) needs a \`${field}\``);
+    }
+    return value;
+  }
+}
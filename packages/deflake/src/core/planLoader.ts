@@ -0,0 +1,418 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Document, LineCounter, parseDocument } from 'yaml';
+import type { Plan, Step, Target } from './mcp';
+
+export interface PlanIssue {
+  file: string;
+  line?: number;
+  column?: number;
+  message: string;
+}
+
+/**
+ * Thrown when a plan file (or one of its includes) is invalid.
+ * Carries every issue found, each pointing at a file and line.
+ */
+export class PlanLoadError extends Error {
+  readonly issues: PlanIssue[];
+
+  constructor(issues: PlanIssue[]) {
+    super(`Invalid plan:\n${issues.map(issue => `  ${PlanLoadError.format(issue)}`).join('\n')}`);
+    this.name = 'PlanLoadError';
+    this.issues = issues;
+  }
+
+  static format(issue: PlanIssue): string {
+    const location = issue.line !== undefined ? `:${issue.line}${issue.column !== undefined ? `:${issue.column}` : ''}` : '';
+    return `${path.relative(process.cwd(), issue.file) || issue.file}${location} - ${issue.message}`;
+  }
+}
+
+interface ParsedFile {
+  file: string;
+  doc: Document;
+  lineCounter: LineCounter;
+  data: any;
+}
+
+interface SharedTarget {
+  target: Target;
+  file: string;
+}
+
+/**
+ * Loads MCP plans from YAML or JSON files.
+ *
+ * A plan file has `steps`, and may declare shared `targets` (keyed by target
+ * key) and `include` other files whose targets it reuses. Steps reference a
+ * shared target by key, either as a bare string or as `{ ref, ...overrides }`.
+ *
+ *   include: [shared/header.yaml]
+ *   targets:
+ *     search-input: { role: searchbox, name: Search }
+ *   steps:
+ *     - id: search
+ *       intent: fill
+ *       targets: [search-input]
+ */
+export class PlanLoader {
+  static readonly TARGET_FIELDS: string[] = [
+    'key', 'role', 'accessibleName', 'label', 'name', 'placeholder', 'testId', 'text', 'fallback', 'within', 'hasText', 'has', 'nth', 'frame'
+  ];
+  static readonly STEP_FIELDS: string[] = ['id', 'intent', 'targets', 'description', 'value', 'text', 'url'];
+  private static readonly STEP_STRING_FIELDS = ['description', 'value', 'text', 'url'];
+  private static readonly STRATEGY_FIELDS = ['role', 'label', 'name', 'placeholder', 'testId', 'text', 'fallback'];
+
+  /**
+   * Load and validate a plan file, resolving includes and target references
+   */
+  static loadFile(filePath: string): Plan {
+    const issues: PlanIssue[] = [];
+    const root = this.parseFile(path.resolve(filePath), issues);
+
+    if (!root) {
+      throw new PlanLoadError(issues);
+    }
+
+    const shared = new Map<string, SharedTarget>();
+    this.collectTargets(root, shared, issues, [root.file]);
+
+    const steps = this.validateSteps(root, shared, issues);
+    this.resolveContainers(root, steps, shared, issues);
+
+    if (issues.length > 0) {
+      throw new PlanLoadError(issues);
+    }
+
+    return { steps };
+  }
+
+  private static parseFile(file: string, issues: PlanIssue[]): ParsedFile | undefined {
+    if (!fs.existsSync(file)) {
+      issues.push({ file, message: 'File not found' });
+      return undefined;
+    }
+
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(fs.readFileSync(file, 'utf8'), { lineCounter, prettyErrors: false });
+
+    if (doc.errors.length > 0) {
+      for (const error of doc.errors) {
+        const pos = lineCounter.linePos(error.pos[0]);
+        issues.push({ file, line: pos.line, column: pos.col, message: error.message.split('\n')[0] });
+      }
+      return undefined;
+    }
+
+    const data = doc.toJS();
+    if (!this.isObject(data)) {
+      issues.push({ file, line: 1, column: 1, message: 'Plan file must contain a mapping at the top level' });
+      return undefined;
+    }
+
+    return { file, doc, lineCounter, data };
+  }
+
+  /**
+   * Gather shared targets from includes (depth first) and then the file itself,
+   * so a file can override targets it includes
+   */
+  private static collectTargets(
+    parsed: ParsedFile,
+    shared: Map<string, SharedTarget>,
+    issues: PlanIssue[],
+    stack: string[]
+  ): void {
+    const includes = parsed.data.include === undefined ? [] : parsed.data.include;
+    const includeList = typeof includes === 'string' ? [includes] : includes;
+
+    if (!Array.isArray(includeList)) {
+      issues.push(this.issueAt(parsed, ['include'], '`include` must be a file path or a list of file paths'));
+    } else {
+      includeList.forEach((include: any, index: number) => {
+        const nodePath = typeof includes === 'string' ? ['include'] : ['include', index];
+        if (typeof include !== 'string') {
+          issues.push(this.issueAt(parsed, nodePath, 'Include entries must be file paths'));
+          return;
+        }
+
+        const includedFile = path.resolve(path.dirname(parsed.file), include);
+        if (stack.includes(includedFile)) {
+          issues.push(this.issueAt(parsed, nodePath, `Circular include: ${[...stack, includedFile].map(f => path.basename(f)).join(' -> ')}`));
+          return;
+        }
+
+        const includedIssues: PlanIssue[] = [];
+        const included = this.parseFile(includedFile, includedIssues);
+        if (!included) {
+          issues.push(...includedIssues.map(issue => issue.message === 'File not found'
+            ? this.issueAt(parsed, nodePath, `Included file not found: ${include}`)
+            : issue));
+          return;
+        }
+
+        if (included.data.steps !== undefined) {
+          issues.push(this.issueAt(included, ['steps'], 'Included files may only declare `targets` and `include`'));
+        }
+
+        this.collectTargets(included, shared, issues, [...stack, includedFile]);
+      });
+    }
+
+    const targets = parsed.data.targets;
+    if (targets === undefined) return;
+
+    if (!this.isObject(targets)) {
+      issues.push(this.issueAt(parsed, ['targets'], '`targets` must be a mapping of target key to target definition'));
+      return;
+    }
+
+    for (const [key, definition] of Object.entries(targets)) {
+      const target = this.validateTarget(parsed, ['targets', key], definition, issues, key);
+      if (target) {
+        shared.set(key, { target, file: parsed.file });
+      }
+    }
+  }
+
+  private static validateSteps(parsed: ParsedFile, shared: Map<string, SharedTarget>, issues: PlanIssue[]): Step[] {
+    const stepsData = parsed.data.steps;
+
+    if (!Array.isArray(stepsData) || stepsData.length === 0) {
+      issues.push(this.issueAt(parsed, stepsData === undefined ? [] : ['steps'], 'Plan must declare a non-empty `steps` list'));
+      return [];
+    }
+
+    const steps: Step[] = [];
+    const seenIds = new Set<string>();
+
+    stepsData.forEach((stepData: any, index: number) => {
+      const stepPath = ['steps', index];
+
+      if (!this.isObject(stepData)) {
+        issues.push(this.issueAt(parsed, stepPath, 'Each step must be a mapping with `id`, `intent` and `targets`'));
+        return;
+      }
+
+      this.checkUnknownFields(parsed, stepPath, stepData, this.STEP_FIELDS, 'step', issues);
+
+      if (typeof stepData.id !== 'string' || !stepData.id) {
+        issues.push(this.issueAt(parsed, stepPath, 'Step is missing a string `id`'));
+      } else if (seenIds.has(stepData.id)) {
+        issues.push(this.issueAt(parsed, [...stepPath, 'id'], `Duplicate step id "${stepData.id}"`));
+      } else {
+        seenIds.add(stepData.id);
+      }
+
+      if (typeof stepData.intent !== 'string' || !stepData.intent) {
+        issues.push(this.issueAt(parsed, stepPath, `Step "${stepData.id || index}" is missing a string \`intent\``));
+      }
+
+      for (const field of this.STEP_STRING_FIELDS) {
+        if (stepData[field] !== undefined && typeof stepData[field] !== 'string') {
+          issues.push(this.issueAt(parsed, [...stepPath, field], `Step field \`${field}\` must be a string`));
+        }
+      }
+
+      const targetsData = stepData.targets === undefined ? [] : stepData.targets;
+      if (!Array.isArray(targetsData)) {
+        issues.push(this.issueAt(parsed, [...stepPath, 'targets'], '`targets` must be a list'));
+        return;
+      }
+
+      const targets: Target[] = [];
+      targetsData.forEach((targetData: any, targetIndex: number) => {
+        const target = this.resolveTarget(parsed, [...stepPath, 'targets', targetIndex], targetData, shared, issues);
+        if (target) {
+          targets.push(target);
+        }
+      });
+
+      steps.push({ ...stepData, targets } as Step);
+    });
+
+    return steps;
+  }
+
+  /**
+   * A step target is a shared target key, `{ ref, ...overrides }`, or an inline definition
+   */
+  private static resolveTarget(
+    parsed: ParsedFile,
+    nodePath: Array<string | number>,
+    data: any,
+    shared: Map<string, SharedTarget>,
+    issues: PlanIssue[]
+  ): Target | undefined {
+    const ref = typeof data === 'string' ? data : this.isObject(data) ? data.ref : undefined;
+
+    if (ref !== undefined) {
+      const refPath = typeof data === 'string' ? nodePath : [...nodePath, 'ref'];
+      const base = typeof ref === 'string' ? shared.get(ref) : undefined;
+
+      if (!base) {
+        const known = [...shared.keys()];
+        issues.push(this.issueAt(parsed, refPath,
+          `Unknown target reference "${ref}"${known.length > 0 ? ` (known targets: ${known.join(', ')})` : ''}`));
+        return undefined;
+      }
+
+      if (typeof data === 'string') {
+        return { ...base.target };
+      }
+
+      const { ref: _ref, ...overrides } = data;
+      const merged = this.validateTarget(parsed, nodePath, { ...base.target, ...overrides }, issues, base.target.key, Object.keys(overrides));
+      return merged;
+    }
+
+    return this.validateTarget(parsed, nodePath, data, issues);
+  }
+
+  private static validateTarget(
+    parsed: ParsedFile,
+    nodePath: Array<string | number>,
+    data: any,
+    issues: PlanIssue[],
+    defaultKey?: string,
+    checkedFields?: string[]
+  ): Target | undefined {
+    if (!this.isObject(data)) {
+      issues.push(this.issueAt(parsed, nodePath, 'Target must be a mapping (or a shared target key)'));
+      return undefined;
+    }
+
+    const fields = checkedFields ? Object.fromEntries(checkedFields.map(f => [f, data[f]])) : data;
+    const before = issues.length;
+
+    this.checkUnknownFields(parsed, nodePath, fields, this.TARGET_FIELDS, 'target', issues);
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === 'nth') {
+        if (!Number.isInteger(value) || value < 0) {
+          issues.push(this.issueAt(parsed, [...nodePath, field], 'Target field `nth` must be a non-negative integer'));
+        }
+      } else if (field === 'frame') {
+        const path = Array.isArray(value) ? value : [value];
+        if (path.length === 0 || !path.every(selector => typeof selector === 'string' && selector)) {
+          issues.push(this.issueAt(parsed, [...nodePath, field], 'Target field `frame` must be an iframe selector or a list of them, outermost first'));
+        }
+      } else if (field === 'within') {
+        if (typeof value !== 'string' && !this.isObject(value)) {
+          issues.push(this.issueAt(parsed, [...nodePath, field], 'Target field `within` must be a target key or a target'));
+        } else if (this.isObject(value)) {
+          this.validateTarget(parsed, [...nodePath, field], value, issues);
+        }
+      } else if (this.TARGET_FIELDS.includes(field) && typeof value !== 'string') {
+        issues.push(this.issueAt(parsed, [...nodePath, field], `Target field \`${field}\` must be a string`));
+      }
+    }
+
+    const target = { key: defaultKey, ...data } as Target;
+    if (typeof target.key !== 'string' || !target.key) {
+      issues.push(this.issueAt(parsed, nodePath, 'Target is missing a string `key`'));
+    }
+
+    if (target.accessibleName !== undefined && typeof target.role !== 'string') {
+      issues.push(this.issueAt(parsed, [...nodePath, 'accessibleName'],
+        '`accessibleName` names the element for `role`; declare a `role` too, or use `label`/`text`'));
+    }
+
+    if (!this.STRATEGY_FIELDS.some(field => typeof (target as any)[field] === 'string')) {
+      issues.push(this.issueAt(parsed, nodePath,
+        `Target "${target.key}" needs at least one of: ${this.STRATEGY_FIELDS.join(', ')}`));
+    }
+
+    return issues.length === before ? target : undefined;
+  }
+
+  /**
+   * Replace `within: <key>` with the shared target it names, so containers
+   * only declared under `targets` still reach MCP. Keys of step targets are
+   * left for MCP to look up in the plan.
+   */
+  private static resolveContainers(
+    parsed: ParsedFile,
+    steps: Step[],
+    shared: Map<string, SharedTarget>,
+    issues: PlanIssue[]
+  ): void {
+    const stepKeys = new Set(steps.flatMap(step => step.targets.map(t => t.key)));
+
+    const resolve = (target: Target, nodePath: Array<string | number>, chain: string[]): Target => {
+      if (target.within === undefined) return target;
+
+      if (typeof target.within !== 'string') {
+        return { ...target, within: resolve(target.within, nodePath, [...chain, target.key]) };
+      }
+
+      if (chain.includes(target.within)) {
+        issues.push(this.issueAt(parsed, nodePath, `Circular \`within\`: ${[...chain, target.key, target.within].join(' -> ')}`));
+        return target;
+      }
+
+      const container = shared.get(target.within);
+      if (container) {
+        return { ...target, within: resolve(container.target, nodePath, [...chain, target.key]) };
+      }
+
+      if (!stepKeys.has(target.within)) {
+        issues.push(this.issueAt(parsed, nodePath, `Target "${target.key}" is scoped within unknown target "${target.within}"`));
+      }
+      return target;
+    };
+
+    steps.forEach((step, stepIndex) => {
+      step.targets = step.targets.map((target, targetIndex) => resolve(target, ['steps', stepIndex, 'targets', targetIndex], []));
+    });
+  }
+
+  private static checkUnknownFields(
+    parsed: ParsedFile,
+    nodePath: Array<string | number>,
+    data: Record<string, any>,
+    allowed: string[],
+    kind: string,
+    issues: PlanIssue[]
+  ): void {
+    for (const field of Object.keys(data)) {
+      if (!allowed.includes(field)) {
+        issues.push(this.issueAt(parsed, [...nodePath, field],
+          `Unknown ${kind} field \`${field}\` (expected one of: ${allowed.join(', ')})`));
+      }
+    }
+  }
+
+  /**
+   * Build an issue pointing at the node for `nodePath`, falling back to the
+   * nearest ancestor that exists in the document
+   */
+  private static issueAt(parsed: ParsedFile, nodePath: Array<string | number>, message: string): PlanIssue {
+    for (let depth = nodePath.length; depth >= 0; depth--) {
+      const node: any = depth === 0 ? parsed.doc.contents : parsed.doc.getIn(nodePath.slice(0, depth), true);
+      // Point unknown-field errors at the key rather than its value
+      const keyNode: any = depth === nodePath.length && depth > 0 ? this.findKeyNode(parsed, nodePath) : undefined;
+      const range = keyNode?.range || node?.range;
+      if (range) {
+        const pos = parsed.lineCounter.linePos(range[0]);
+        return { file: parsed.file, line: pos.line, column: pos.col, message };
+      }
+    }
+    return { file: parsed.file, message };
+  }
+
+  private static findKeyNode(parsed: ParsedFile, nodePath: Array<string | number>): any {
+    const parent: any = nodePath.length === 1 ? parsed.doc.contents : parsed.doc.getIn(nodePath.slice(0, -1), true);
+    const last = nodePath[nodePath.length - 1];
+    if (!parent || !Array.isArray(parent.items) || typeof last !== 'string') return undefined;
+    return parent.items.find((pair: any) => pair?.key?.value === last)?.key;
+  }
+
+  private static isObject(value: any): value is Record<string, any> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+// Export convenience functions
+export const loadPlanFile = PlanLoader.loadFile.bind(PlanLoader);
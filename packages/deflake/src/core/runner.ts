@@ -0,0 +1,107 @@
+import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface RunOptions {
+  spec: string;
+  headed?: boolean;
+  retries?: number;
+  repeatEach?: number;
+  projects?: string[];
+  grep?: string;
+  outputFile?: string;
+  cwd?: string;
+  env?: Record<string, string>;
+  onOutput?: (chunk: string) => void;
+}
+
+export interface RunOutcome {
+  exitCode: number;
+  resultsFile: string;
+  duration: number;
+}
+
+/**
+ * Programmatic Playwright test runner
+ * Spawns the Playwright CLI with the project config so every configured
+ * reporter (including MCPReporter) still runs, and collects the JSON results
+ */
+export class PlaywrightRunner {
+  private static readonly DEFAULT_RESULTS_FILE = 'test-results.json';
+
+  /**
+   * Run a spec through Playwright and wait for it to finish
+   */
+  static async run(options: RunOptions): Promise<RunOutcome> {
+    const cwd = options.cwd || process.cwd();
+    const resultsFile = path.resolve(cwd, options.outputFile || this.DEFAULT_RESULTS_FILE);
+    const onOutput = options.onOutput || ((chunk: string) => process.stdout.write(chunk));
+    const args = this.buildArgs(options);
+    const startTime = Date.now();
+
+    // Remove stale results so a crashed run can't be mistaken for a finished one
+    if (fs.existsSync(resultsFile)) {
+      fs.unlinkSync(resultsFile);
+    }
+
+    const exitCode = await new Promise<number>((resolve, reject) => {
+      const child = spawn(process.execPath, [require.resolve('@playwright/test/cli'), ...args], {
+        cwd,
+        env: {
+          ...process.env,
+          ...options.env,
+          DEFLAKE_RESULTS_FILE: resultsFile,
+          DEFLAKE_HEADLESS: options.headed ? 'false' : 'true'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      child.stdout.on('data', (data) => onOutput(data.toString()));
+      child.stderr.on('data', (data) => onOutput(data.toString()));
+      child.on('error', reject);
+      child.on('close', (code) => resolve(code === null ? 1 : code));
+    });
+
+    if (!fs.existsSync(resultsFile)) {
+      throw new Error(`Playwright exited with code ${exitCode} without writing results to ${resultsFile}`);
+    }
+
+    return {
+      exitCode,
+      resultsFile,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Translate run options into Playwright CLI arguments
+   */
+  private static buildArgs(options: RunOptions): string[] {
+    const args = ['test', options.spec];
+
+    if (options.headed) {
+      args.push('--headed');
+    }
+
+    if (options.retries !== undefined) {
+      args.push(`--retries=${options.retries}`);
+    }
+
+    if (options.repeatEach !== undefined) {
+      args.push(`--repeat-each=${options.repeatEach}`);
+    }
+
+    for (const project of options.projects || []) {
+      args.push(`--project=${project}`);
+    }
+
+    if (options.grep) {
+      args.push(`--grep=${options.grep}`);
+    }
+
+    return args;
+  }
+}
+
+// Export convenience functions
+export const runPlaywright = PlaywrightRunner.run.bind(PlaywrightRunner);
@@ -0,0 +1,321 @@
+import { test } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { parse } from 'yaml';
+import type { Target } from './mcp';
+
+export interface ScoringWeights {
+  testId: number;
+  role: number;
+  label: number;
+  name: number;
+  placeholder: number;
+  text: number;
+  fallback: number;
+  /** Bonus for role combined with another semantic locator, e.g. `role+label` */
+  combined: number;
+  /** Penalty per match beyond the first when a selector stays ambiguous */
+  multipleMatches: number;
+  /** Penalty when the element is known to be hidden */
+  hidden: number;
+  /** Penalty when the element is known to be disabled */
+  disabled: number;
+}
+
+export interface SelectorContext {
+  /** Strategy behind the selector: a Target field, `role+<field>`, or what `classify()` makes of a selector string */
+  method: string;
+  selector: string;
+  matches: number;
+  visible?: boolean;
+  enabled?: boolean;
+  target?: Target;
+}
+
+export interface ScoreAdjustment {
+  delta: number;
+  reason: string;
+}
+
+/**
+ * Scorer plugin: adjusts the score of every selector the engine scores
+ */
+export interface SelectorScorer {
+  name: string;
+  score(context: SelectorContext, engine: ScoringEngine): ScoreAdjustment | undefined;
+}
+
+export interface ScoreResult {
+  /** Score clamped to [0, 1], compared against the threshold */
+  score: number;
+  /** Unclamped score, so candidates that all clamp to 1 still rank by their weights */
+  rank: number;
+  reasons: string[];
+}
+
+export interface ScoringConfig {
+  threshold?: number;
+  weights?: Partial<ScoringWeights>;
+  /** Attribute test ids live in, e.g. `data-qa` */
+  testIdAttribute?: string;
+  /** Scorer plugins: scorer objects, built-in scorer names, or paths of modules exporting a scorer */
+  scorers?: Array<SelectorScorer | string>;
+  /** Overrides per Playwright project, keyed by project name */
+  projects?: Record<string, Omit<ScoringConfig, 'projects'>>;
+}
+
+/**
+ * Penalise CSS classes that look generated by a build step (`.css-1x2b3c`,
+ * `.Button_root__a8F2k`): they change on every release
+ */
+export function generatedClassScorer(penalty: number = 0.15): SelectorScorer {
+  const classes = /\.(-?[_a-zA-Z][\w-]*)/g;
+  const looksGenerated = (name: string) =>
+    /^(css|sc|jsx|emotion|svelte)-/.test(name) ||
+    name.split(/[-_]+/).some(part => part.length >= 5 && /\d/.test(part) && /[a-z]/i.test(part));
+
+  return {
+    name: 'generated-classes',
+    score: ({ selector }) => {
+      const generated = [...selector.matchAll(classes)].map(match => match[1]).find(looksGenerated);
+      return generated ? { delta: -penalty, reason: `generated class name .${generated}` } : undefined;
+    }
+  };
+}
+
+/**
+ * Reward CSS selectors that match on attributes kept stable on purpose
+ */
+export function stableAttributeScorer(
+  attributes: string[] = ['data-qa', 'data-test', 'data-cy', 'aria-label'],
+  bonus: number = 0.1
+): SelectorScorer {
+  return {
+    name: 'stable-attributes',
+    score: ({ method, selector }) => {
+      if (method !== 'fallback') return undefined;
+      const attribute = attributes.find(name => selector.includes(`[${name}=`) || selector.includes(`[${name}~=`));
+      return attribute ? { delta: bonus, reason: `stable attribute ${attribute}` } : undefined;
+    }
+  };
+}
+
+/**
+ * Scores selector candidates for both MCP grounding and SelectorUtils.
+ *
+ * A selector starts at 1.0, gains (or loses) its strategy's weight, loses
+ * `multipleMatches` for every extra element it matches and `hidden` /
+ * `disabled` when the element is known to be so. Scorer plugins then adjust
+ * the result. Candidates are ranked on that raw value, so a `testId` (1.2)
+ * still beats a `role` (1.1); the reported score is clamped to [0, 1], and
+ * selectors scoring at or above `threshold` are good enough to act on.
+ *
+ * Configuration comes from code or a YAML/JSON file (DEFLAKE_SCORING_FILE),
+ * with per-project overrides:
+ *
+ *   testIdAttribute: data-qa
+ *   weights: { text: -0.05 }
+ *   scorers: [generated-classes, ./scorers/preferAria.js]
+ *   projects:
+ *     webkit: { threshold: 0.75 }
+ */
+export class ScoringEngine {
+  static readonly DEFAULT_THRESHOLD = 0.8;
+  static readonly DEFAULT_TEST_ID_ATTRIBUTE = 'data-testid';
+  static readonly DEFAULT_WEIGHTS: Readonly<ScoringWeights> = {
+    testId: 0.2,
+    role: 0.1,
+    label: 0.15,
+    name: 0.05,
+    placeholder: 0.05,
+    text: 0,
+    fallback: -0.1,
+    combined: 0.25,
+    multipleMatches: 0.25,
+    hidden: 0.3,
+    disabled: 0.2
+  };
+
+  private static readonly BUILTIN_SCORERS: Record<string, () => SelectorScorer> = {
+    'generated-classes': () => generatedClassScorer(),
+    'stable-attributes': () => stableAttributeScorer()
+  };
+
+  readonly threshold: number;
+  readonly weights: Readonly<ScoringWeights>;
+  readonly testIdAttribute: string;
+  private scorers: SelectorScorer[];
+
+  constructor(config: ScoringConfig = {}, projectName?: string) {
+    const override = projectName ? config.projects?.[projectName] : undefined;
+    const weights = { ...config.weights, ...override?.weights };
+
+    const unknown = Object.keys(weights).filter(name => !(name in ScoringEngine.DEFAULT_WEIGHTS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scoring weight(s): ${unknown.join(', ')}. Known weights: ${Object.keys(ScoringEngine.DEFAULT_WEIGHTS).join(', ')}`);
+    }
+
+    this.threshold = override?.threshold ?? config.threshold ?? ScoringEngine.DEFAULT_THRESHOLD;
+    this.weights = { ...ScoringEngine.DEFAULT_WEIGHTS, ...weights };
+    this.testIdAttribute = override?.testIdAttribute || config.testIdAttribute || ScoringEngine.DEFAULT_TEST_ID_ATTRIBUTE;
+    this.scorers = [...(config.scorers || []), ...(override?.scorers || [])].map(scorer => ScoringEngine.resolveScorer(scorer));
+  }
+
+  /**
+   * Engine for the running project, configured from `config` on top of the
+   * scoring file (`file`, else DEFLAKE_SCORING_FILE, if any)
+   */
+  static load(options: { file?: string; config?: ScoringConfig; projectName?: string } = {}): ScoringEngine {
+    const file = options.file || process.env.DEFLAKE_SCORING_FILE;
+    const fromFile = file ? this.readFile(file) : {};
+    const config: ScoringConfig = {
+      ...fromFile,
+      ...options.config,
+      weights: { ...fromFile.weights, ...options.config?.weights },
+      scorers: [...(fromFile.scorers || []), ...(options.config?.scorers || [])],
+      projects: { ...fromFile.projects, ...options.config?.projects }
+    };
+
+    return new ScoringEngine(config, options.projectName || this.currentProject());
+  }
+
+  /**
+   * Read a scoring config from YAML or JSON. Relative scorer module paths
+   * are resolved against the file's directory.
+   */
+  static readFile(file: string): ScoringConfig {
+    const resolved = path.resolve(file);
+    let config: ScoringConfig;
+    try {
+      config = parse(fs.readFileSync(resolved, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Could not read scoring config ${file}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
+    const resolveScorers = (scorers?: Array<SelectorScorer | string>) => scorers?.map(scorer =>
+      typeof scorer === 'string' && scorer.startsWith('.') ? path.resolve(path.dirname(resolved), scorer) : scorer
+    );
+
+    return {
+      ...config,
+      scorers: resolveScorers(config.scorers),
+      projects: config.projects && Object.fromEntries(Object.entries(config.projects)
+        .map(([name, project]) => [name, { ...project, scorers: resolveScorers(project.scorers) }]))
+    };
+  }
+
+  /**
+   * Score a selector; reasons list every adjustment made to the base 1.0
+   */
+  score(context: SelectorContext): ScoreResult {
+    const reasons: string[] = [];
+    let score = 1.0;
+
+    // Acting on one of several matches would be a guess
+    if (context.matches > 1) {
+      score -= (context.matches - 1) * this.weights.multipleMatches;
+      reasons.push(`${context.matches} matches`);
+    }
+
+    // Semantic locators combined with each other are the most specific
+    const weight = context.method.includes('+')
+      ? this.weights.combined
+      : this.weights[context.method as keyof ScoringWeights] ?? 0;
+    if (weight !== 0) {
+      score += weight;
+      reasons.push(`${context.method} ${weight > 0 ? '+' : ''}${weight}`);
+    }
+
+    if (context.visible === false) {
+      score -= this.weights.hidden;
+      reasons.push('not visible');
+    }
+
+    if (context.enabled === false) {
+      score -= this.weights.disabled;
+      reasons.push('not enabled');
+    }
+
+    for (const scorer of this.scorers) {
+      const adjustment = scorer.score(context, this);
+      if (adjustment && adjustment.delta !== 0) {
+        score += adjustment.delta;
+        reasons.push(`${scorer.name}: ${adjustment.reason}`);
+      }
+    }
+
+    return { score: Math.max(0, Math.min(1, score)), rank: score, reasons };
+  }
+
+  /**
+   * Sort comparator putting the best-ranked scored selector first; falls
+   * back to the clamped score for entries without a rank
+   */
+  static byRank(a: { score: number; rank?: number }, b: { score: number; rank?: number }): number {
+    return (b.rank ?? b.score) - (a.rank ?? a.score);
+  }
+
+  meetsThreshold(score: number): boolean {
+    return score >= this.threshold;
+  }
+
+  /**
+   * Strategy a selector string amounts to, for selectors that don't come
+   * from a Target: getBy*() calls by their kind, test id and `name`
+   * attribute selectors as such, anything else is a fallback
+   */
+  classify(selector: string): string {
+    if (/getByTestId\(/.test(selector) || selector.includes(`[${this.testIdAttribute}=`)) return 'testId';
+    if (/getByRole\(/.test(selector)) return 'role';
+    if (/getByLabel\(/.test(selector)) return 'label';
+    if (/getByPlaceholder\(/.test(selector)) return 'placeholder';
+    if (/getByText\(/.test(selector)) return 'text';
+    if (/^\[name=[^\]]+\]$/.test(selector.trim())) return 'name';
+    return 'fallback';
+  }
+
+  /**
+   * Names of the scorer plugins in use
+   */
+  getScorers(): string[] {
+    return this.scorers.map(scorer => scorer.name);
+  }
+
+  private static resolveScorer(scorer: SelectorScorer | string): SelectorScorer {
+    if (typeof scorer !== 'string') return scorer;
+
+    const builtin = this.BUILTIN_SCORERS[scorer];
+    if (builtin) return builtin();
+
+    let loaded: any;
+    try {
+      // Paths are relative to the working directory, anything else is a package name
+      loaded = require(scorer.startsWith('.') ? path.resolve(scorer) : scorer);
+    } catch (error) {
+      throw new Error(
+        `Unknown scorer "${scorer}": not a built-in (${Object.keys(this.BUILTIN_SCORERS).join(', ')}) ` +
+        `and not loadable as a module: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+
+    const exported = loaded?.default || loaded;
+    if (typeof exported?.score !== 'function') {
+      throw new Error(`Scorer module "${scorer}" must export an object with a name and a score(context) function`);
+    }
+    return { name: exported.name || path.basename(scorer), score: exported.score.bind(exported) };
+  }
+
+  /**
+   * Name of the running test's project, if called inside a Playwright test
+   */
+  private static currentProject(): string | undefined {
+    try {
+      return test.info().project.name;
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
+
+// Export convenience functions
+export const loadScoring = ScoringEngine.load.bind(ScoringEngine);
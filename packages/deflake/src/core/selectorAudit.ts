@@ -0,0 +1,338 @@
+import { Page, chromium } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { MCP, Target } from './mcp';
+import { DomSimilarity, ElementSnapshot } from './similarity';
+
+export interface AuditedCandidate {
+  method: string;
+  selector: string;
+  score: number;
+  matches: number;
+}
+
+export interface AuditedElement {
+  index: number;
+  tag: string;
+  role?: string;
+  accessibleName?: string;
+  testId?: string;
+  text: string;
+  path: string;
+  /** Position on the full-page screenshot */
+  box: { x: number; y: number; width: number; height: number } | null;
+  best?: AuditedCandidate;
+  candidates: AuditedCandidate[];
+  /** A testId, role, label, placeholder or text locator matches this element alone */
+  uniqueSemantic: boolean;
+  issues: string[];
+  /** Test id to add when the element has no unique semantic locator */
+  suggestedTestId?: string;
+  target: Target;
+}
+
+export interface SelectorAuditReport {
+  url: string;
+  title: string;
+  generatedAt: string;
+  scoreThreshold: number;
+  /** Attribute test ids are read from, e.g. `data-testid` or `data-qa` */
+  testIdAttribute: string;
+  summary: {
+    elements: number;
+    uniqueSemantic: number;
+    needsAttention: number;
+    missingTestId: number;
+    missingAccessibleName: number;
+  };
+  elements: AuditedElement[];
+}
+
+export interface SelectorAuditOptions {
+  /** Maximum number of interactive elements to audit */
+  limit?: number;
+  scoreThreshold?: number;
+  /** Scoring config (YAML/JSON); defaults to DEFLAKE_SCORING_FILE */
+  scoringFile?: string;
+}
+
+/**
+ * Audits every interactive element on a page: builds a Target from what the
+ * element exposes (test id, ARIA role and accessible name, label, name,
+ * placeholder, text) and ranks its selectors with MCP's own scoring, so the
+ * result matches what `ground()` would pick. Elements without a unique
+ * semantic locator make up the checklist for the front-end team.
+ */
+export class SelectorAudit {
+  static readonly DEFAULT_LIMIT = 200;
+
+  private static readonly INTERACTIVE_SELECTOR = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+    '[role="tab"]', '[role="menuitem"]', '[role="combobox"]', '[role="textbox"]',
+    '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])'
+  ].join(', ');
+  private static readonly FORM_TAGS = ['input', 'select', 'textarea'];
+  private static readonly NON_SEMANTIC_METHODS = ['name', 'fallback'];
+  private static readonly IGNORED_ROLES = ['generic', 'none', 'presentation', 'text', 'group'];
+  private static readonly MAX_TEXT_LENGTH = 50;
+
+  /**
+   * Audit the page as it is now
+   */
+  static async audit(page: Page, options: SelectorAuditOptions = {}): Promise<SelectorAuditReport> {
+    const mcp = new MCP({ plan: { steps: [] }, scoreThreshold: options.scoreThreshold, scoringFile: options.scoringFile });
+    const testIdAttribute = mcp.getScoring().testIdAttribute;
+    const snapshots = await DomSimilarity.snapshotAll(page.locator(this.INTERACTIVE_SELECTOR), options.limit || this.DEFAULT_LIMIT);
+    const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+    const usedKeys = new Set<string>();
+    const elements: AuditedElement[] = [];
+
+    for (const [index, snapshot] of snapshots.entries()) {
+      const aria = await this.ariaOf(page, snapshot);
+      const target = this.targetFor(snapshot, aria, testIdAttribute, usedKeys);
+      const ranked = await mcp.rankCandidates(page, target);
+      const candidates = ranked.map(c => ({
+        method: c.method,
+        selector: c.selector,
+        score: Math.round(c.score * 1000) / 1000,
+        matches: c.matches || 1
+      }));
+
+      const semantic = candidates.filter(c => !this.NON_SEMANTIC_METHODS.includes(c.method));
+      const uniqueSemantic = semantic.some(c => c.matches === 1 && c.score >= mcp.getScoreThreshold());
+      const testId = snapshot.attributes[testIdAttribute];
+
+      const issues: string[] = [];
+      if (!uniqueSemantic) {
+        if (!testId) issues.push(`missing ${testIdAttribute}`);
+        if (!aria.name) issues.push('no accessible name');
+        semantic
+          .filter(c => c.matches > 1)
+          .forEach(c => issues.push(`${c.method} locator matches ${c.matches} elements`));
+        if (issues.length === 0) issues.push('no semantic locator reaches the score threshold');
+      }
+
+      elements.push({
+        index,
+        tag: snapshot.tag,
+        role: aria.role,
+        accessibleName: aria.name,
+        testId,
+        text: snapshot.text.slice(0, this.MAX_TEXT_LENGTH),
+        path: snapshot.path,
+        box: snapshot.box && { ...snapshot.box, x: snapshot.box.x + scroll.x, y: snapshot.box.y + scroll.y },
+        // MCP would act on a disambiguated match, but only a unique one is stable
+        best: candidates.find(c => c.matches === 1) || candidates[0],
+        candidates,
+        uniqueSemantic,
+        issues,
+        suggestedTestId: uniqueSemantic || testId ? undefined : target.key,
+        target
+      });
+    }
+
+    const needsAttention = elements.filter(e => !e.uniqueSemantic);
+    return {
+      url: page.url(),
+      title: await page.title(),
+      generatedAt: new Date().toISOString(),
+      scoreThreshold: mcp.getScoreThreshold(),
+      testIdAttribute,
+      summary: {
+        elements: elements.length,
+        uniqueSemantic: elements.length - needsAttention.length,
+        needsAttention: needsAttention.length,
+        missingTestId: needsAttention.filter(e => !e.testId).length,
+        missingAccessibleName: needsAttention.filter(e => !e.accessibleName).length
+      },
+      elements
+    };
+  }
+
+  /**
+   * Open a URL in a fresh browser, audit it and write the JSON report and
+   * the HTML overlay of the full-page screenshot
+   */
+  static async auditUrl(
+    url: string,
+    options: SelectorAuditOptions & { output?: string; html?: string; headed?: boolean } = {}
+  ): Promise<SelectorAuditReport> {
+    const browser = await chromium.launch({ headless: !options.headed });
+
+    try {
+      const page = await browser.newPage();
+      await page.goto(url, { waitUntil: 'load' });
+
+      const report = await this.audit(page, options);
+      // Screenshot from the top so the overlay boxes line up with the document
+      await page.evaluate(() => window.scrollTo(0, 0));
+      const screenshot = await page.screenshot({ fullPage: true });
+
+      if (options.output) {
+        fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+        fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+      }
+      if (options.html) {
+        fs.mkdirSync(path.dirname(path.resolve(options.html)), { recursive: true });
+        fs.writeFileSync(options.html, this.renderHTML(report, screenshot), 'utf8');
+      }
+
+      return report;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Self-contained HTML page: the screenshot with every audited element
+   * outlined (green when it has a unique semantic locator, red otherwise),
+   * followed by the checklist
+   */
+  static renderHTML(report: SelectorAuditReport, screenshot: Buffer): string {
+    const esc = (value: unknown) => String(value ?? '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const describe = (e: AuditedElement) => `#${e.index + 1} <${e.tag}>${e.role ? ` ${e.role}` : ''}${e.accessibleName ? ` "${e.accessibleName}"` : ''}`;
+
+    const boxes = report.elements
+      .filter(e => e.box)
+      .map(e => `<a class="box ${e.uniqueSemantic ? 'ok' : 'bad'}" href="#el-${e.index + 1}" title="${esc(`${describe(e)}\n${e.best ? `${e.best.method}: ${e.best.selector}` : 'no locator'}${e.issues.length ? `\n${e.issues.join('\n')}` : ''}`)}" ` +
+        `style="left:${e.box!.x}px;top:${e.box!.y}px;width:${e.box!.width}px;height:${e.box!.height}px"><span>${e.index + 1}</span></a>`)
+      .join('\n');
+
+    const rows = [...report.elements]
+      .sort((a, b) => Number(a.uniqueSemantic) - Number(b.uniqueSemantic) || a.index - b.index)
+      .map(e => `<tr id="el-${e.index + 1}" class="${e.uniqueSemantic ? 'ok' : 'bad'}">
+  <td>${e.uniqueSemantic ? '✅' : '❌'} ${e.index + 1}</td>
+  <td>&lt;${esc(e.tag)}&gt; ${esc(e.role)}<br><small>${esc(e.text)}</small></td>
+  <td>${esc(e.accessibleName)}</td>
+  <td>${esc(e.testId)}</td>
+  <td>${e.best ? `${esc(e.best.method)} (${e.best.score})<br><code>${esc(e.best.selector)}</code>` : ''}</td>
+  <td>${esc(e.issues.join('; '))}${e.suggestedTestId ? `<br>add <code>${esc(report.testIdAttribute)}="${esc(e.suggestedTestId)}"</code>` : ''}</td>
+</tr>`)
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Selector Audit - ${esc(report.title || report.url)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 20px; color: #333; }
+        .summary span { display: inline-block; margin-right: 20px; font-weight: 600; }
+        .overlay { position: relative; display: inline-block; border: 1px solid #ddd; margin: 20px 0; }
+        .overlay img { display: block; }
+        .box { position: absolute; box-sizing: border-box; border: 2px solid; }
+        .box span { position: absolute; top: -2px; left: -2px; font-size: 10px; color: #fff; padding: 0 3px; }
+        .box.ok { border-color: #28a745; background: rgba(40, 167, 69, 0.08); }
+        .box.ok span { background: #28a745; }
+        .box.bad { border-color: #dc3545; background: rgba(220, 53, 69, 0.15); }
+        .box.bad span { background: #dc3545; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+        tr.bad { background: #fff5f5; }
+        code { font-size: 12px; word-break: break-all; }
+    </style>
+</head>
+<body>
+    <h1>Selector Audit</h1>
+    <p><a href="${esc(report.url)}">${esc(report.url)}</a> · ${esc(report.generatedAt)} · score threshold ${report.scoreThreshold}</p>
+    <div class="summary">
+        <span>${report.summary.elements} interactive elements</span>
+        <span>✅ ${report.summary.uniqueSemantic} with a unique semantic locator</span>
+        <span>❌ ${report.summary.needsAttention} need attention</span>
+        <span>${report.summary.missingTestId} missing ${esc(report.testIdAttribute)}</span>
+        <span>${report.summary.missingAccessibleName} without accessible name</span>
+    </div>
+    <div class="overlay">
+        <img src="data:image/png;base64,${screenshot.toString('base64')}" alt="Screenshot of ${esc(report.url)}">
+${boxes}
+    </div>
+    <table>
+        <thead><tr><th>#</th><th>Element</th><th>Accessible name</th><th>${esc(report.testIdAttribute)}</th><th>Best locator</th><th>To do</th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+</body>
+</html>`;
+  }
+
+  /**
+   * Computed ARIA role and accessible name, read from the element's aria snapshot
+   * (e.g. `- button "Log in"`) so they match what getByRole sees
+   */
+  private static async ariaOf(page: Page, snapshot: ElementSnapshot): Promise<{ role?: string; name?: string }> {
+    try {
+      const aria = await page.locator(snapshot.path).ariaSnapshot({ timeout: 2000 });
+      const match = aria.match(/^- ([a-z]+)(?: "((?:[^"\\]|\\.)*)")?/);
+      if (!match || this.IGNORED_ROLES.includes(match[1])) return {};
+
+      let name: string | undefined;
+      if (match[2]) {
+        try {
+          name = JSON.parse(`"${match[2]}"`);
+        } catch (error) {
+          name = match[2];
+        }
+      }
+      return { role: match[1], name };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Target describing the element the way a plan author would
+   */
+  private static targetFor(
+    snapshot: ElementSnapshot,
+    aria: { role?: string; name?: string },
+    testIdAttribute: string,
+    usedKeys: Set<string>
+  ): Target {
+    const attributes = snapshot.attributes;
+    const isFormField = this.FORM_TAGS.includes(snapshot.tag);
+    const text = snapshot.text && snapshot.text.length <= this.MAX_TEXT_LENGTH ? snapshot.text : undefined;
+    const id = attributes.id;
+
+    const base = this.kebab(attributes[testIdAttribute] || aria.name || attributes.name || id || text || '') || snapshot.tag;
+    let key = base;
+    for (let i = 2; usedKeys.has(key); i++) {
+      key = `${base}-${i}`;
+    }
+    usedKeys.add(key);
+
+    const target: Target = {
+      key,
+      testId: attributes[testIdAttribute],
+      role: aria.role,
+      // getByRole takes its accessible name from label, then text
+      label: isFormField ? aria.name : attributes['aria-label'],
+      name: isFormField ? attributes.name : undefined,
+      placeholder: attributes.placeholder,
+      text: isFormField ? undefined : text,
+      fallback: id ? (/^[A-Za-z][\w-]*$/.test(id) ? `#${id}` : `[id="${id}"]`) : snapshot.path
+    };
+
+    (Object.keys(target) as (keyof Target)[])
+      .filter(field => target[field] === undefined)
+      .forEach(field => delete target[field]);
+    return target;
+  }
+
+  private static kebab(value: string): string {
+    return value
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .split('-')
+      .slice(0, 4)
+      .join('-');
+  }
+}
+
+// Export convenience functions
+export const auditPage = SelectorAudit.audit.bind(SelectorAudit);
+export const auditUrl = SelectorAudit.auditUrl.bind(SelectorAudit);
@@ -0,0 +1,202 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface SelectorOutcome {
+  timestamp: string;
+  targetKey: string;
+  method: string;
+  selector: string;
+  projectName: string;
+  /** Title path of the test that used the selector, describe blocks first, joined with ` › ` */
+  testTitle?: string;
+  /** Playwright retry of the test attempt (0 on the first attempt) */
+  retry: number;
+  /** `ground` when the target was resolved, `action` when acting on the grounded element */
+  phase: 'ground' | 'action';
+  ok: boolean;
+  /** Time spent resolving the target, for `ground` outcomes */
+  resolveMs: number;
+  matches: number;
+  error?: string;
+}
+
+export interface SelectorOutcomeQuery {
+  targetKey?: string;
+  projectName?: string;
+  testTitle?: string;
+  /** Only outcomes recorded at or after this ISO timestamp */
+  since?: string;
+}
+
+export interface SelectorStats {
+  targetKey: string;
+  method: string;
+  selector: string;
+  samples: number;
+  successRate: number;
+  medianResolveMs: number;
+  /** Share of groundings where the selector matched more than one element */
+  ambiguousRate: number;
+  averageRetry: number;
+  /** 0-1, learned from the outcomes above */
+  score: number;
+  lastSeen: string;
+}
+
+/**
+ * Append-only JSONL store of what happened each time MCP used a selector.
+ *
+ * Every grounding (and every failed action on a grounded element) is one
+ * line, so selector scores can be learned from observed outcomes across runs
+ * (how often the selector resolved, how fast, how many elements it matched
+ * and how many test retries it took) instead of guessed from its text.
+ */
+export class SelectorOutcomeStore {
+  static readonly DEFAULT_FILE = '.deflake/selector-outcomes.jsonl';
+  static readonly DEFAULT_RETENTION_DAYS = 30;
+
+  // Resolving faster than this costs nothing; slower resolution loses up to SLOW_PENALTY at SLOW_RESOLVE_MS
+  private static readonly FAST_RESOLVE_MS = 1000;
+  private static readonly SLOW_RESOLVE_MS = 10000;
+  private static readonly SLOW_PENALTY = 0.2;
+  private static readonly AMBIGUITY_PENALTY = 0.2;
+  private static readonly RETRY_PENALTY = 0.15;
+  private static readonly MAX_RETRY_PENALTY = 0.5;
+
+  private filePath: string;
+  private retentionDays: number;
+
+  /**
+   * Outcomes older than `retentionDays` are ignored when reading and
+   * dropped by prune(), so scores follow how selectors behave now
+   */
+  constructor(options: { file?: string; retentionDays?: number } = {}) {
+    this.filePath = path.resolve(options.file || process.env.DEFLAKE_SELECTOR_OUTCOMES_FILE || SelectorOutcomeStore.DEFAULT_FILE);
+    this.retentionDays = options.retentionDays ?? SelectorOutcomeStore.DEFAULT_RETENTION_DAYS;
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  append(outcome: SelectorOutcome): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(outcome) + '\n');
+  }
+
+  /**
+   * Read outcomes within the retention window, oldest first
+   */
+  read(query: SelectorOutcomeQuery = {}): SelectorOutcome[] {
+    const cutoff = this.cutoff();
+    return this.readAll()
+      .filter(outcome => outcome.timestamp >= cutoff)
+      .filter(outcome => !query.targetKey || outcome.targetKey === query.targetKey)
+      .filter(outcome => !query.projectName || outcome.projectName === query.projectName)
+      .filter(outcome => !query.testTitle || outcome.testTitle === query.testTitle)
+      .filter(outcome => !query.since || outcome.timestamp >= query.since)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Drop outcomes older than the retention window from the file. Returns
+   * how many were dropped. Call it from a single process, e.g. a reporter
+   * at the end of a run, not from parallel workers.
+   */
+  prune(): number {
+    const cutoff = this.cutoff();
+    const outcomes = this.readAll();
+    const kept = outcomes.filter(outcome => outcome.timestamp >= cutoff);
+    if (kept.length === outcomes.length) {
+      return 0;
+    }
+
+    // Replace the file in one step so a concurrent reader never sees it half written
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, kept.map(outcome => JSON.stringify(outcome) + '\n').join(''));
+    fs.renameSync(tempFile, this.filePath);
+    return outcomes.length - kept.length;
+  }
+
+  /**
+   * Learned stats per target and selector, lowest score first
+   */
+  summarize(query: SelectorOutcomeQuery = {}): SelectorStats[] {
+    const groups = new Map<string, SelectorOutcome[]>();
+    for (const outcome of this.read(query)) {
+      const key = SelectorOutcomeStore.keyOf(outcome);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key)!.push(outcome);
+    }
+
+    return [...groups.values()]
+      .map(outcomes => SelectorOutcomeStore.stats(outcomes))
+      .sort((a, b) => a.score - b.score || a.targetKey.localeCompare(b.targetKey));
+  }
+
+  /**
+   * Identifies a selector across outcomes and stats
+   */
+  static keyOf(selector: { targetKey: string; method: string; selector: string }): string {
+    return `${selector.targetKey}::${selector.method}::${selector.selector}`;
+  }
+
+  /**
+   * Aggregate the outcomes of one selector into stats and a learned score:
+   * the success rate, reduced for slow resolution, ambiguous matches and
+   * the test retries it took to succeed
+   */
+  static stats(outcomes: SelectorOutcome[]): SelectorStats {
+    const last = outcomes[outcomes.length - 1];
+    const groundings = outcomes.filter(o => o.phase === 'ground' && o.ok);
+    const successRate = outcomes.filter(o => o.ok).length / outcomes.length;
+
+    const durations = groundings.map(o => o.resolveMs).sort((a, b) => a - b);
+    const medianResolveMs = durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+    const ambiguousRate = groundings.length > 0 ? groundings.filter(o => o.matches > 1).length / groundings.length : 0;
+    const averageRetry = groundings.length > 0 ? groundings.reduce((total, o) => total + o.retry, 0) / groundings.length : 0;
+
+    const slowness = Math.min(1, Math.max(0, (medianResolveMs - this.FAST_RESOLVE_MS) / (this.SLOW_RESOLVE_MS - this.FAST_RESOLVE_MS)));
+    const score = successRate *
+      (1 - slowness * this.SLOW_PENALTY) *
+      (1 - ambiguousRate * this.AMBIGUITY_PENALTY) *
+      (1 - Math.min(this.MAX_RETRY_PENALTY, averageRetry * this.RETRY_PENALTY));
+
+    const round = (value: number) => Math.round(value * 1000) / 1000;
+    return {
+      targetKey: last.targetKey,
+      method: last.method,
+      selector: last.selector,
+      samples: outcomes.length,
+      successRate: round(successRate),
+      medianResolveMs,
+      ambiguousRate: round(ambiguousRate),
+      averageRetry: round(averageRetry),
+      score: round(score),
+      lastSeen: last.timestamp
+    };
+  }
+
+  private readAll(): SelectorOutcome[] {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line) as SelectorOutcome];
+        } catch (error) {
+          return [];
+        }
+      });
+  }
+
+  private cutoff(): string {
+    return new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+}
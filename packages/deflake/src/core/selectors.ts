@@ -1,17 +1,44 @@
-import { Page, Locator, expect } from '@playwright/test';
+import { FrameLocator, Page, Locator, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { FramePath } from './frames';
+import { ScoringEngine } from './scoring';
+import { DomSimilarity, ElementSnapshot } from './similarity';
+import { SelectorTelemetry } from './telemetry';
 
 export interface SelectorOptions {
   timeout?: number;
   retries?: number;
   fallbackSelectors?: string[];
   waitForState?: 'visible' | 'attached' | 'enabled';
+  /** When every selector fails, fall back to the element most similar to the last match */
+  recover?: boolean;
+  /**
+   * JSON file the last matches are kept in, so recovery works across runs
+   * and workers; without it they only live as long as the process
+   */
+  snapshotFile?: string;
+  minSimilarity?: number;
+  /** Scoring engine deciding which selector to use; defaults to ScoringEngine.load() */
+  scoring?: ScoringEngine;
+  /**
+   * Iframe(s) the selectors are in: CSS selectors of the iframe elements,
+   * outermost first. When unset and no selector works in the main frame, the
+   * page's iframes are searched.
+   */
+  frame?: string | string[];
 }
 
 export interface SelectorScore {
   selector: string;
   score: number;
+  /** Unclamped score selectors are ordered by, see `ScoringEngine.score()` */
+  rank?: number;
   method: string;
   reason: string;
+  matches: number;
+  /** Iframes the selector was scored in, outermost first; unset in the main frame */
+  frame?: string[];
 }
 
 /**
@@ -29,6 +56,12 @@ export interface SelectorScore {
 export class SelectorUtils {
   private static readonly DEFAULT_TIMEOUT = 10000;
   private static readonly DEFAULT_RETRIES = 2;
+  private static readonly NTH_SEGMENT = /^nth=(-?\d+)$/;
+  private static readonly LOCATOR_METHODS = [
+    'getByRole', 'getByLabel', 'getByPlaceholder', 'getByText', 'getByTestId', 'getByAltText', 'getByTitle', 'locator'
+  ];
+  // Last matched element per selector list, per snapshot file ('' for in-memory only)
+  private static readonly lastMatched: Map<string, Map<string, ElementSnapshot>> = new Map();
 
   /**
    * Click on an element with multiple selector fallbacks
@@ -120,74 +153,409 @@ export class SelectorUtils {
     selectors: string[], 
     options: SelectorOptions
   ): Promise<Locator> {
-    const scoredSelectors = await this.scoreSelectors(page, selectors);
-    const bestSelector = scoredSelectors.find(s => s.score > 0.5);
+    const startedAt = Date.now();
+    const scoring = options.scoring || ScoringEngine.load();
+    const frame = FramePath.normalize(options.frame);
+    // SelectorUtils can't disambiguate, so only a unique match is usable
+    const usable = (s: SelectorScore) => s.matches === 1 && scoring.meetsThreshold(s.score);
+
+    let scoredSelectors = await this.scoreSelectors(FramePath.scope(page, frame), selectors, scoring, frame);
+    if (!frame && !scoredSelectors.some(usable)) {
+      for (const path of await FramePath.discover(page)) {
+        const inFrame = await this.scoreSelectors(FramePath.scope(page, path), selectors, scoring, path);
+        scoredSelectors = [...scoredSelectors, ...inFrame];
+        if (inFrame.some(usable)) {
+          console.log(`🖼️ Found in frame ${FramePath.format(path)}`);
+          break;
+        }
+      }
+      scoredSelectors.sort(ScoringEngine.byRank);
+    }
+
+    const bestSelector = scoredSelectors.find(usable);
+    const snapshotKey = selectors.join('\n');
+    const event = {
+      source: 'selector-utils' as const,
+      target: selectors.join(' | '),
+      url: page.url(),
+      cached: false,
+      candidates: scoredSelectors.map(({ method, selector, score, matches, frame }) => ({ method, selector, score, matches, frame }))
+    };
     
     if (!bestSelector) {
-      throw new Error(`No working selectors found. All selectors scored below 0.5`);
+      const expected = options.recover ? this.snapshotsFor(options.snapshotFile).get(snapshotKey) : undefined;
+      // Search the frame the element was last seen in
+      const match = expected && await DomSimilarity.findMostSimilar(FramePath.scope(page, expected.frame), expected, options.minSimilarity);
+      if (match) {
+        console.log(`🧬 Recovered by DOM similarity ${match.score} (${match.selector}): ${match.explanation.join('; ')}`);
+        this.rememberMatch(options.snapshotFile, snapshotKey, { ...match.snapshot, frame: expected!.frame });
+        await SelectorTelemetry.emit({
+          ...event,
+          ok: true,
+          chosen: { method: 'similarity', selector: match.selector, score: match.score, matches: 1, frame: expected!.frame },
+          fallbackUsed: true,
+          recovered: true,
+          durationMs: Date.now() - startedAt
+        });
+        return match.locator;
+      }
+
+      const message = `No working selectors found. None matched a single element with a score of at least ${scoring.threshold}`;
+      await SelectorTelemetry.emit({ ...event, ok: false, fallbackUsed: false, recovered: false, durationMs: Date.now() - startedAt, error: message });
+      throw new Error(message);
     }
     
     console.log(`🎯 Using selector: ${bestSelector.selector} (score: ${bestSelector.score})`);
-    return page.locator(bestSelector.selector);
+    await SelectorTelemetry.emit({
+      ...event,
+      ok: true,
+      chosen: { method: bestSelector.method, selector: bestSelector.selector, score: bestSelector.score, matches: bestSelector.matches, frame: bestSelector.frame },
+      fallbackUsed: bestSelector.selector !== selectors[0],
+      recovered: false,
+      durationMs: Date.now() - startedAt
+    });
+    const locator = this.resolve(FramePath.scope(page, bestSelector.frame), bestSelector.selector);
+
+    if (options.recover) {
+      const snapshot = await DomSimilarity.snapshot(locator);
+      if (snapshot) {
+        this.rememberMatch(options.snapshotFile, snapshotKey, { ...snapshot, frame: bestSelector.frame });
+      }
+    }
+
+    return locator;
+  }
+
+  /**
+   * Last matches kept in a snapshot file (loaded on first use), or in memory
+   */
+  private static snapshotsFor(file?: string): Map<string, ElementSnapshot> {
+    const resolved = file ? path.resolve(file) : '';
+    let snapshots = this.lastMatched.get(resolved);
+    if (!snapshots) {
+      snapshots = new Map(Object.entries(resolved ? this.readSnapshotFile(resolved) : {}));
+      this.lastMatched.set(resolved, snapshots);
+    }
+    return snapshots;
+  }
+
+  /**
+   * Remember the element a selector list matched. The snapshot file is only
+   * rewritten when the element changed (its position aside), merged with
+   * what other workers wrote and replaced in one step.
+   */
+  private static rememberMatch(file: string | undefined, key: string, snapshot: ElementSnapshot): void {
+    const snapshots = this.snapshotsFor(file);
+    const withoutBox = (s?: ElementSnapshot) => s && JSON.stringify({ ...s, box: undefined });
+    const changed = withoutBox(snapshots.get(key)) !== withoutBox(snapshot);
+    snapshots.set(key, snapshot);
+    if (!file || !changed) return;
+
+    const resolved = path.resolve(file);
+    try {
+      const onDisk = this.readSnapshotFile(resolved);
+      onDisk[key] = snapshot;
+      fs.mkdirSync(path.dirname(resolved), { recursive: true });
+      const tempFile = `${resolved}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(onDisk, null, 2));
+      fs.renameSync(tempFile, resolved);
+    } catch (error) {
+      console.warn(`⚠️ Could not save recovery snapshot to ${file}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  private static readSnapshotFile(file: string): Record<string, ElementSnapshot> {
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable snapshot file ${file}: ${error instanceof Error ? error.message : String(error)}`);
+      return {};
+    }
+  }
+
+  /**
+   * Resolve a selector string to a Locator.
+   *
+   * Besides anything `page.locator()` accepts, understands the locator-call
+   * syntax that `generateStableSelectors` emits and Playwright prints:
+   *
+   *   getByRole('button', { name: 'Search', exact: true })
+   *   getByLabel('Email') >> nth=0
+   *   [data-testid="results"] >> getByText(/laptop/i).first()
+   *
+   * Segments are chained with `>>`; each one is CSS (or any Playwright
+   * selector), a getBy*()/locator() call optionally followed by `.nth(n)`,
+   * `.first()` or `.last()`, or `nth=n`.
+   *
+   * Pass a FrameLocator (see FramePath.scope) to resolve inside an iframe.
+   */
+  static resolve(page: Page | FrameLocator, selector: string): Locator {
+    const segments = this.splitTopLevel(selector, '>>');
+
+    // Plain Playwright selectors keep their native `>>` semantics
+    if (!segments.some(segment => this.isLocatorCall(segment) || this.NTH_SEGMENT.test(segment))) {
+      return page.locator(selector);
+    }
+
+    let scope: Page | FrameLocator | Locator = page;
+    for (const segment of segments) {
+      const nth = segment.match(this.NTH_SEGMENT);
+      if (nth) {
+        if (scope === page) {
+          throw new Error(`Invalid selector "${selector}": nth=${nth[1]} needs a preceding segment`);
+        }
+        scope = (scope as Locator).nth(Number(nth[1]));
+      } else if (this.isLocatorCall(segment)) {
+        scope = this.applyCalls(scope, this.parseCalls(segment, selector), selector);
+      } else {
+        scope = scope.locator(segment);
+      }
+    }
+
+    return scope as Locator;
+  }
+
+  private static isLocatorCall(segment: string): boolean {
+    return new RegExp(`^(${this.LOCATOR_METHODS.join('|')})\\s*\\(`).test(segment);
+  }
+
+  private static applyCalls(scope: Page | FrameLocator | Locator, calls: Array<{ method: string; args: any[] }>, selector: string): Locator {
+    let locator: Page | FrameLocator | Locator = scope;
+
+    for (const [index, { method, args }] of calls.entries()) {
+      const [first, options] = args;
+      const isLocatorMethod = this.LOCATOR_METHODS.includes(method);
+
+      if (index === 0 ? !isLocatorMethod : isLocatorMethod) {
+        throw new Error(`Invalid selector "${selector}": unexpected ${method}()`);
+      }
+      if (isLocatorMethod && typeof first !== 'string' && !(first instanceof RegExp)) {
+        throw new Error(`Invalid selector "${selector}": ${method}() expects a string or regex`);
+      }
+
+      switch (method) {
+        case 'getByRole':
+          locator = locator.getByRole(first, options);
+          break;
+        case 'getByLabel':
+          locator = locator.getByLabel(first, options);
+          break;
+        case 'getByPlaceholder':
+          locator = locator.getByPlaceholder(first, options);
+          break;
+        case 'getByText':
+          locator = locator.getByText(first, options);
+          break;
+        case 'getByTestId':
+          locator = locator.getByTestId(first);
+          break;
+        case 'getByAltText':
+          locator = locator.getByAltText(first, options);
+          break;
+        case 'getByTitle':
+          locator = locator.getByTitle(first, options);
+          break;
+        case 'locator':
+          locator = locator.locator(first);
+          break;
+        case 'nth':
+          if (typeof first !== 'number') {
+            throw new Error(`Invalid selector "${selector}": nth() expects a number`);
+          }
+          locator = (locator as Locator).nth(first);
+          break;
+        case 'first':
+          locator = (locator as Locator).first();
+          break;
+        case 'last':
+          locator = (locator as Locator).last();
+          break;
+        default:
+          throw new Error(`Invalid selector "${selector}": unsupported method ${method}()`);
+      }
+    }
+
+    return locator as Locator;
+  }
+
+  /**
+   * Parse `name(args).name(args)...` into calls with literal arguments
+   */
+  private static parseCalls(source: string, selector: string): Array<{ method: string; args: any[] }> {
+    const calls: Array<{ method: string; args: any[] }> = [];
+    const fail = (message: string): never => {
+      throw new Error(`Invalid selector "${selector}": ${message}`);
+    };
+    let pos = 0;
+
+    const skipSpace = () => {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+
+    const parseValue = (): any => {
+      skipSpace();
+      const char = source[pos];
+
+      if (char === "'" || char === '"' || char === '`') {
+        let value = '';
+        pos++;
+        while (pos < source.length && source[pos] !== char) {
+          if (source[pos] === '\\') pos++;
+          value += source[pos++];
+        }
+        if (source[pos] !== char) fail('unterminated string');
+        pos++;
+        return value;
+      }
+
+      if (char === '/') {
+        let body = '';
+        pos++;
+        while (pos < source.length && source[pos] !== '/') {
+          if (source[pos] === '\\') body += source[pos++];
+          body += source[pos++];
+        }
+        if (source[pos] !== '/') fail('unterminated regex');
+        pos++;
+        const flags = source.slice(pos).match(/^[a-z]*/)![0];
+        pos += flags.length;
+        return new RegExp(body, flags);
+      }
+
+      if (char === '{') {
+        const object: Record<string, any> = {};
+        pos++;
+        skipSpace();
+        while (source[pos] !== '}') {
+          skipSpace();
+          const quoted = source[pos] === "'" || source[pos] === '"';
+          const key = quoted ? parseValue() : source.slice(pos).match(/^\w+/)?.[0];
+          if (!key) fail(`expected an option name at "${source.slice(pos)}"`);
+          if (!quoted) pos += key.length;
+          skipSpace();
+          if (source[pos] !== ':') fail(`expected ":" after ${key}`);
+          pos++;
+          object[key] = parseValue();
+          skipSpace();
+          if (source[pos] === ',') pos++;
+          skipSpace();
+          if (pos >= source.length) fail('unterminated options object');
+        }
+        pos++;
+        return object;
+      }
+
+      const literal = source.slice(pos).match(/^(-?\d+(\.\d+)?|true|false)/);
+      if (!literal) fail(`unexpected "${source.slice(pos)}"`);
+      pos += literal![0].length;
+      return literal![0] === 'true' ? true : literal![0] === 'false' ? false : Number(literal![0]);
+    };
+
+    while (pos < source.length) {
+      if (calls.length > 0) {
+        if (source[pos] !== '.') fail(`unexpected "${source.slice(pos)}"`);
+        pos++;
+      }
+
+      const method = source.slice(pos).match(/^\w+/)?.[0];
+      if (!method) fail(`expected a method at "${source.slice(pos)}"`);
+      pos += method!.length;
+      skipSpace();
+      if (source[pos] !== '(') fail(`expected "(" after ${method}`);
+      pos++;
+
+      const args: any[] = [];
+      skipSpace();
+      while (source[pos] !== ')') {
+        args.push(parseValue());
+        skipSpace();
+        if (source[pos] === ',') pos++;
+        skipSpace();
+        if (pos >= source.length) fail(`unterminated ${method}()`);
+      }
+      pos++;
+      skipSpace();
+
+      calls.push({ method: method!, args });
+    }
+
+    return calls;
+  }
+
+  /**
+   * Split on a separator that isn't inside quotes, brackets or parentheses
+   */
+  private static splitTopLevel(source: string, separator: string): string[] {
+    const parts: string[] = [];
+    let depth = 0;
+    let quote: string | undefined;
+    let start = 0;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = undefined;
+      } else if (char === "'" || char === '"' || char === '`') {
+        quote = char;
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+      } else if (depth === 0 && source.startsWith(separator, i)) {
+        parts.push(source.slice(start, i).trim());
+        start = i + separator.length;
+        i += separator.length - 1;
+      }
+    }
+
+    parts.push(source.slice(start).trim());
+    return parts;
   }
 
   /**
    * Score selectors based on reliability and uniqueness
    */
-  private static async scoreSelectors(page: Page, selectors: string[]): Promise<SelectorScore[]> {
+  private static async scoreSelectors(
+    page: Page | FrameLocator,
+    selectors: string[],
+    scoring: ScoringEngine,
+    frame?: string[]
+  ): Promise<SelectorScore[]> {
     const scores: SelectorScore[] = [];
     
     for (const selector of selectors) {
       try {
-        const locator = page.locator(selector);
+        const locator = this.resolve(page, selector);
         const count = await locator.count();
         
         if (count === 0) {
-          scores.push({ selector, score: 0, method: 'not-found', reason: 'Element not found' });
+          scores.push({ selector, score: 0, method: 'not-found', reason: 'Element not found', matches: 0, frame });
           continue;
         }
         
-        if (count > 1) {
-          scores.push({ selector, score: 0.3, method: 'multiple-elements', reason: `Found ${count} elements` });
-          continue;
-        }
-        
-        // Check if element is visible and enabled
-        const isVisible = await locator.isVisible();
-        const isEnabled = await locator.isEnabled();
-        
-        let score = 1.0;
-        let method = 'excellent';
-        let reason = 'Perfect match';
-        
-        if (!isVisible) {
-          score -= 0.3;
-          method = 'not-visible';
-          reason = 'Element not visible';
-        }
+        // Visibility and enabled state only mean something for a single element
+        const single = count === 1;
+        const method = scoring.classify(selector);
+        const { score, rank, reasons } = scoring.score({
+          method,
+          selector,
+          matches: count,
+          visible: single ? await locator.isVisible() : undefined,
+          enabled: single ? await locator.isEnabled() : undefined
+        });
         
-        if (!isEnabled) {
-          score -= 0.2;
-          method = 'not-enabled';
-          reason = 'Element not enabled';
-        }
-        
-        // Bonus for semantic selectors
-        if (selector.includes('getByRole') || selector.includes('getByLabel')) {
-          score += 0.1;
-          method = 'semantic';
-          reason = 'Semantic selector (bonus)';
-        }
-        
-        scores.push({ selector, score: Math.max(0, score), method, reason });
+        scores.push({ selector, score, rank, method, reason: reasons.join('; ') || 'Perfect match', matches: count, frame });
         
       } catch (error) {
-        scores.push({ selector, score: 0, method: 'error', reason: error instanceof Error ? error.message : String(error) });
+        scores.push({ selector, score: 0, method: 'error', reason: error instanceof Error ? error.message : String(error), matches: 0, frame });
       }
     }
     
-    // Sort by score (highest first)
-    return scores.sort((a, b) => b.score - a.score);
+    // Sort by rank (highest first)
+    return scores.sort(ScoringEngine.byRank);
   }
 
   /**
@@ -219,27 +587,27 @@ export class SelectorUtils {
     label?: string;
     placeholder?: string;
     testId?: string;
-  }): string[] {
+  }, testIdAttribute: string = ScoringEngine.DEFAULT_TEST_ID_ATTRIBUTE): string[] {
     const selectors: string[] = [];
     
     // Priority 1: Role + name (most stable)
     if (element.role && element.name) {
-      selectors.push(`getByRole('${element.role}', { name: '${element.name}' })`);
+      selectors.push(`getByRole(${this.quote(element.role)}, { name: ${this.quote(element.name)} })`);
     }
     
     // Priority 2: Label-based
     if (element.label) {
-      selectors.push(`getByLabel('${element.label}')`);
+      selectors.push(`getByLabel(${this.quote(element.label)})`);
     }
     
     // Priority 3: Placeholder-based
     if (element.placeholder) {
-      selectors.push(`getByPlaceholder('${element.placeholder}')`);
+      selectors.push(`getByPlaceholder(${this.quote(element.placeholder)})`);
     }
     
     // Priority 4: Test ID
     if (element.testId) {
-      selectors.push(`[data-testid="${element.testId}"]`);
+      selectors.push(`[${testIdAttribute}="${element.testId}"]`);
     }
     
     // Priority 5: Fallback CSS
@@ -249,6 +617,10 @@ export class SelectorUtils {
     
     return selectors;
   }
+
+  private static quote(value: string): string {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
 }
 
 // Export convenience functions
@@ -256,3 +628,4 @@ export const clickStable = SelectorUtils.clickStable.bind(SelectorUtils);
 export const fillStable = SelectorUtils.fillStable.bind(SelectorUtils);
 export const expectStable = SelectorUtils.expectStable.bind(SelectorUtils);
 export const generateStableSelectors = SelectorUtils.generateStableSelectors.bind(SelectorUtils);
+export const resolveSelector = SelectorUtils.resolve.bind(SelectorUtils);
@@ -0,0 +1,284 @@
+import { FrameLocator, Page, Locator } from '@playwright/test';
+
+export interface ElementSnapshot {
+  tag: string;
+  text: string;
+  attributes: Record<string, string>;
+  /** Nearest ancestor first, e.g. `div.form-group`, `form#loginForm` */
+  ancestors: string[];
+  box: { x: number; y: number; width: number; height: number } | null;
+  /** Structural CSS path to the element at the time of the snapshot, crossing shadow roots with `>>` */
+  path: string;
+  /** Iframes the element is in, outermost first (see FramePath); unset in the main frame */
+  frame?: string[];
+}
+
+export interface SimilarityScore {
+  score: number;
+  explanation: string[];
+}
+
+export interface SimilarityMatch extends SimilarityScore {
+  selector: string;
+  locator: Locator;
+  snapshot: ElementSnapshot;
+}
+
+/**
+ * Describe elements for similarity matching. Runs in the browser, so it must
+ * not reference anything outside its own body.
+ */
+function describeElements(
+  elements: Element[],
+  options: { maxTextLength: number; maxAncestors: number; limit: number }
+): ElementSnapshot[] {
+  const label = (el: Element) => {
+    const id = el.id && !/\d{3,}/.test(el.id) ? `#${el.id}` : '';
+    const classes = Array.from(el.classList).slice(0, 2).map(c => `.${c}`).join('');
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  // Elements in open shadow roots have their host as parent
+  const parentOf = (el: Element) => el.parentElement || (el.parentNode instanceof ShadowRoot ? el.parentNode.host : null);
+
+  // The path restarts at each shadow host, chained with `>>` (Playwright's CSS pierces shadow roots)
+  const cssPath = (el: Element) => {
+    const segments: string[] = [];
+    let parts: string[] = [];
+    for (let node: Element | null = el; node && node !== document.documentElement; node = parentOf(node)) {
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentNode
+        ? Array.from((node.parentNode as ParentNode).children).filter(child => child.tagName === node!.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+      if (node.parentNode instanceof ShadowRoot) {
+        segments.unshift(parts.join(' > '));
+        parts = [];
+      }
+    }
+    return [['html', ...parts].join(' > '), ...segments].join(' >> ');
+  };
+
+  return elements
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    })
+    .slice(0, options.limit)
+    .map(el => {
+      const rect = el.getBoundingClientRect();
+      const ancestors: string[] = [];
+      for (let node = parentOf(el); node && node !== document.body && ancestors.length < options.maxAncestors; node = parentOf(node)) {
+        ancestors.push(label(node));
+      }
+
+      return {
+        tag: el.tagName.toLowerCase(),
+        text: ((el as HTMLElement).innerText || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, options.maxTextLength),
+        attributes: Object.fromEntries(Array.from(el.attributes)
+          .filter(a => a.name !== 'style')
+          .map(a => [a.name, a.value.slice(0, options.maxTextLength)])),
+        ancestors,
+        box: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+        path: cssPath(el)
+      };
+    });
+}
+
+/**
+ * DOM-similarity based locator recovery.
+ *
+ * Snapshots the element a target last resolved to (tag, text, attributes,
+ * ancestor path, bounding box) and, when no selector strategy works any more,
+ * searches the current page for the element that looks most like it.
+ */
+export class DomSimilarity {
+  static readonly DEFAULT_MIN_SIMILARITY = 0.6;
+  private static readonly MAX_TEXT_LENGTH = 200;
+  private static readonly MAX_ANCESTORS = 5;
+  private static readonly MAX_CANDIDATES = 2000;
+  private static readonly MAX_POSITION_DRIFT = 500;
+  private static readonly INTERACTIVE_TAGS = ['a', 'button', 'input', 'select', 'textarea', 'summary'];
+  private static readonly WEIGHTS = { tag: 0.2, text: 0.25, attributes: 0.3, ancestors: 0.15, position: 0.1 };
+
+  /**
+   * Snapshot the first element a locator matches
+   */
+  static async snapshot(locator: Locator): Promise<ElementSnapshot | undefined> {
+    try {
+      const [snapshot] = await locator.first().evaluateAll(describeElements, {
+        maxTextLength: this.MAX_TEXT_LENGTH,
+        maxAncestors: this.MAX_ANCESTORS,
+        limit: 1
+      });
+      return snapshot;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Snapshot every visible element a locator matches, in document order
+   */
+  static async snapshotAll(locator: Locator, limit: number = this.MAX_CANDIDATES): Promise<ElementSnapshot[]> {
+    return locator.evaluateAll(describeElements, {
+      maxTextLength: this.MAX_TEXT_LENGTH,
+      maxAncestors: this.MAX_ANCESTORS,
+      limit
+    });
+  }
+
+  /**
+   * Find the visible element most similar to a snapshot, if any reaches
+   * `minSimilarity`. Searches the page, or the frame a FrameLocator enters.
+   */
+  static async findMostSimilar(
+    scope: Page | FrameLocator,
+    expected: ElementSnapshot,
+    minSimilarity: number = this.DEFAULT_MIN_SIMILARITY
+  ): Promise<SimilarityMatch | undefined> {
+    // Same tag, plus any interactive element when the original was one (a <button> may become an <a>)
+    const pool = this.isInteractive(expected)
+      ? [expected.tag, ...this.INTERACTIVE_TAGS, '[role]', '[tabindex]'].join(', ')
+      : expected.tag;
+
+    const candidates = await this.snapshotAll(scope.locator(pool));
+
+    let best: { snapshot: ElementSnapshot; similarity: SimilarityScore } | undefined;
+    for (const candidate of candidates) {
+      const similarity = this.compare(expected, candidate);
+      if (!best || similarity.score > best.similarity.score) {
+        best = { snapshot: candidate, similarity };
+      }
+    }
+
+    if (!best || best.similarity.score < minSimilarity) {
+      return undefined;
+    }
+
+    return {
+      ...best.similarity,
+      selector: best.snapshot.path,
+      locator: scope.locator(best.snapshot.path),
+      snapshot: best.snapshot
+    };
+  }
+
+  /**
+   * Weighted similarity between two element snapshots, with the reasons behind it
+   */
+  static compare(expected: ElementSnapshot, actual: ElementSnapshot): SimilarityScore {
+    const explanation: string[] = [];
+
+    const tag = expected.tag === actual.tag ? 1 : this.isInteractive(expected) && this.isInteractive(actual) ? 0.5 : 0;
+    explanation.push(tag === 1 ? `same tag <${actual.tag}>` : `tag changed <${expected.tag}> → <${actual.tag}>`);
+
+    const text = this.textSimilarity(expected.text, actual.text);
+    if (expected.text || actual.text) {
+      explanation.push(text === 1 ? `same text "${this.truncate(actual.text)}"` : `text ${this.percent(text)} similar ("${this.truncate(expected.text)}" → "${this.truncate(actual.text)}")`);
+    }
+
+    const attributes = this.attributeSimilarity(expected.attributes, actual.attributes);
+    explanation.push(`attributes ${this.percent(attributes.score)} similar${attributes.changed.length > 0 ? ` (changed: ${attributes.changed.join(', ')})` : ''}`);
+
+    const ancestors = this.ancestorSimilarity(expected.ancestors, actual.ancestors);
+    explanation.push(`ancestor path ${this.percent(ancestors)} similar`);
+
+    let position = 0.5;
+    if (expected.box && actual.box) {
+      const drift = Math.hypot(
+        expected.box.x + expected.box.width / 2 - (actual.box.x + actual.box.width / 2),
+        expected.box.y + expected.box.height / 2 - (actual.box.y + actual.box.height / 2)
+      );
+      position = Math.max(0, 1 - drift / this.MAX_POSITION_DRIFT);
+      explanation.push(`moved ${Math.round(drift)}px`);
+    }
+
+    const score =
+      tag * this.WEIGHTS.tag +
+      text * this.WEIGHTS.text +
+      attributes.score * this.WEIGHTS.attributes +
+      ancestors * this.WEIGHTS.ancestors +
+      position * this.WEIGHTS.position;
+
+    return { score: Math.round(score * 1000) / 1000, explanation };
+  }
+
+  private static isInteractive(snapshot: ElementSnapshot): boolean {
+    return this.INTERACTIVE_TAGS.includes(snapshot.tag) || 'role' in snapshot.attributes || 'tabindex' in snapshot.attributes;
+  }
+
+  private static textSimilarity(a: string, b: string): number {
+    const normalize = (value: string) => value.toLowerCase().trim();
+    if (normalize(a) === normalize(b)) return 1;
+    return this.dice(this.tokens(a), this.tokens(b));
+  }
+
+  private static attributeSimilarity(
+    expected: Record<string, string>,
+    actual: Record<string, string>
+  ): { score: number; changed: string[] } {
+    const names = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    if (names.length === 0) return { score: 1, changed: [] };
+
+    const changed: string[] = [];
+    let total = 0;
+
+    for (const name of names) {
+      if (!(name in expected) || !(name in actual)) {
+        changed.push(name in expected ? `-${name}` : `+${name}`);
+        continue;
+      }
+
+      if (expected[name] === actual[name]) {
+        total += 1;
+      } else {
+        // Class lists are compared token by token so one hashed class doesn't sink the match
+        total += name === 'class'
+          ? this.dice(new Set(expected[name].split(/\s+/)), new Set(actual[name].split(/\s+/)))
+          : 0.5;
+        changed.push(name);
+      }
+    }
+
+    return { score: total / names.length, changed };
+  }
+
+  private static ancestorSimilarity(expected: string[], actual: string[]): number {
+    const length = Math.max(expected.length, actual.length);
+    if (length === 0) return 1;
+
+    let total = 0;
+    for (let i = 0; i < length; i++) {
+      if (expected[i] === undefined || actual[i] === undefined) continue;
+      if (expected[i] === actual[i]) {
+        total += 1;
+      } else if (expected[i].split(/[#.]/)[0] === actual[i].split(/[#.]/)[0]) {
+        total += 0.5;
+      }
+    }
+    return total / length;
+  }
+
+  private static tokens(value: string): Set<string> {
+    return new Set(value.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  }
+
+  private static dice(a: Set<string>, b: Set<string>): number {
+    if (a.size === 0 && b.size === 0) return 1;
+    const shared = [...a].filter(token => b.has(token)).length;
+    return (2 * shared) / (a.size + b.size);
+  }
+
+  private static percent(value: number): string {
+    return `${Math.round(value * 100)}%`;
+  }
+
+  private static truncate(value: string): string {
+    return value.length > 40 ? `${value.slice(0, 37)}...` : value;
+  }
+}
+
+// Export convenience functions
+export const snapshotElement = DomSimilarity.snapshot.bind(DomSimilarity);
+export const findMostSimilar = DomSimilarity.findMostSimilar.bind(DomSimilarity);
@@ -0,0 +1,403 @@
+import { Locator, Page } from '@playwright/test';
+
+export interface UIStabilityCulprit {
+  /** Element that changed, e.g. `div#search.s-result-list` */
+  target: string;
+  kind: 'childList' | 'attribute' | 'text' | 'resize';
+  count: number;
+  /** Last change seen: attribute name, nodes added/removed or new size */
+  detail?: string;
+}
+
+export interface UIStabilityReport {
+  stable: boolean;
+  elapsedMs: number;
+  /** Every change observed during the wait */
+  changes: number;
+  /** Bursts of changes separated by quiet time */
+  fluctuations: number;
+  /** What changed in the last quiet window, most changes first */
+  culprits: UIStabilityCulprit[];
+  /** Animations running when the wait ended */
+  animations: string[];
+}
+
+interface QuiescenceOptions {
+  /** How long (ms) nothing may change */
+  quietMs: number;
+  timeout: number;
+  /** How often (ms) to look for running animations and check the time */
+  checkInterval: number;
+  ignoreInfiniteAnimations: boolean;
+  maxResizeTargets: number;
+  maxCulprits: number;
+}
+
+/**
+ * Wait in the page until nothing under `root` changed for `quietMs`: no DOM
+ * mutation (nodes, attributes or text), no element resized and no animation
+ * running. Resolves with a report either way, never rejects. Runs in the
+ * browser, so it must not reference anything outside its own body.
+ */
+function awaitQuiescence(root: Element, options: QuiescenceOptions): Promise<UIStabilityReport> {
+  const label = (node: Node | null): string => {
+    const el = node && (node.nodeType === Node.ELEMENT_NODE ? node as Element : node.parentElement);
+    if (!el) return '#document';
+    const id = el.id ? `#${el.id}` : '';
+    const classes = Array.from(el.classList).slice(0, 2).map(c => `.${c}`).join('');
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  return new Promise(resolve => {
+    const started = performance.now();
+    const changes: Array<{ at: number; kind: UIStabilityCulprit['kind']; target: string; detail?: string }> = [];
+    let lastChange = started;
+    let total = 0;
+    let fluctuations = 0;
+    let animations: string[] = [];
+
+    const record = (kind: UIStabilityCulprit['kind'], target: string, detail?: string) => {
+      const now = performance.now();
+      if (total === 0 || now - lastChange >= options.checkInterval) fluctuations++;
+      lastChange = now;
+      total++;
+      changes.push({ at: now, kind, target, detail });
+      if (changes.length > 2000) changes.splice(0, 1000);
+    };
+
+    const mutations = new MutationObserver(records => {
+      for (const mutation of records) {
+        if (mutation.type === 'attributes') {
+          record('attribute', label(mutation.target), mutation.attributeName || undefined);
+        } else if (mutation.type === 'characterData') {
+          record('text', label(mutation.target));
+        } else {
+          record('childList', label(mutation.target), `+${mutation.addedNodes.length} -${mutation.removedNodes.length}`);
+        }
+      }
+    });
+    mutations.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+
+    // Observing starts with a notification per element, which only sets its baseline size
+    const sizes = new WeakMap<Element, string>();
+    const resizes = new ResizeObserver(entries => {
+      for (const entry of entries) {
+        const size = `${Math.round(entry.contentRect.width)}x${Math.round(entry.contentRect.height)}`;
+        const previous = sizes.get(entry.target);
+        sizes.set(entry.target, size);
+        if (previous !== undefined && previous !== size) {
+          record('resize', label(entry.target), `${previous} → ${size}`);
+        }
+      }
+    });
+    [root, ...Array.from(root.querySelectorAll('*')).slice(0, options.maxResizeTargets)].forEach(el => resizes.observe(el));
+
+    const runningAnimations = () => root.getAnimations({ subtree: true })
+      .filter(animation => animation.playState === 'running')
+      .filter(animation => !options.ignoreInfiniteAnimations || animation.effect?.getTiming().iterations !== Infinity)
+      .map(animation => {
+        const name = (animation as CSSAnimation).animationName || (animation as CSSTransition).transitionProperty || animation.id || 'animation';
+        return `${name} on ${label((animation.effect as KeyframeEffect | null)?.target || null)}`;
+      });
+
+    const finish = (stable: boolean) => {
+      clearInterval(timer);
+      mutations.disconnect();
+      resizes.disconnect();
+
+      const now = performance.now();
+      const culprits = new Map<string, UIStabilityCulprit>();
+      for (const change of changes.filter(c => c.at >= now - options.quietMs)) {
+        const key = `${change.kind} ${change.target}`;
+        const culprit = culprits.get(key) || { target: change.target, kind: change.kind, count: 0 };
+        culprit.count++;
+        culprit.detail = change.detail;
+        culprits.set(key, culprit);
+      }
+
+      resolve({
+        stable,
+        elapsedMs: Math.round(now - started),
+        changes: total,
+        fluctuations,
+        culprits: [...culprits.values()].sort((a, b) => b.count - a.count).slice(0, options.maxCulprits),
+        animations
+      });
+    };
+
+    const timer = setInterval(() => {
+      animations = runningAnimations();
+      const now = performance.now();
+      if (animations.length > 0) {
+        lastChange = now;
+      }
+
+      if (now - lastChange >= options.quietMs) {
+        finish(true);
+      } else if (now - started >= options.timeout) {
+        finish(false);
+      }
+    }, options.checkInterval);
+  });
+}
+
+/**
+ * Wait in the page until no animation or transition under `root` is
+ * running (CSS animations, CSS transitions and Web Animations alike).
+ * Resolves with what was still running when it gives up. Runs in the
+ * browser, so it must not reference anything outside its own body.
+ */
+function awaitAnimationsEnd(
+  root: Element,
+  options: { timeout: number; checkInterval: number; ignoreInfiniteAnimations: boolean }
+): Promise<{ finished: boolean; elapsedMs: number; running: string[] }> {
+  const label = (node: Element | null): string => {
+    if (!node) return '#document';
+    const id = node.id ? `#${node.id}` : '';
+    const classes = Array.from(node.classList).slice(0, 2).map(c => `.${c}`).join('');
+    return `${node.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const running = () => root.getAnimations({ subtree: true })
+    .filter(animation => animation.playState === 'running')
+    .filter(animation => !options.ignoreInfiniteAnimations || animation.effect?.getTiming().iterations !== Infinity);
+
+  return new Promise(resolve => {
+    const started = performance.now();
+    const check = () => {
+      const animations = running();
+      const elapsedMs = Math.round(performance.now() - started);
+      if (animations.length === 0) {
+        resolve({ finished: true, elapsedMs, running: [] });
+      } else if (elapsedMs >= options.timeout) {
+        resolve({
+          finished: false,
+          elapsedMs,
+          running: animations.map(animation => {
+            const name = (animation as CSSAnimation).animationName || (animation as CSSTransition).transitionProperty || animation.id || 'animation';
+            return `${name} on ${label(((animation.effect as KeyframeEffect | null)?.target as Element | null) || null)}`;
+          })
+        });
+      } else {
+        // Finishing early ends the wait early; animations started meanwhile are picked up by the next check
+        Promise.race([
+          Promise.all(animations.map(animation => animation.finished.catch(() => undefined))),
+          new Promise(next => setTimeout(next, options.checkInterval))
+        ]).then(check);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * Wait in the page until `root` (a scroll container) or, for the document
+ * element, anything on the page stopped scrolling: a `scrollend` event from
+ * `root` itself (the document or its scrolling element for the whole page),
+ * or no scroll event and an unchanged scroll position for `idleTime`. Inner
+ * scrollers ending their scroll, e.g. a carousel, don't end the wait. Runs in
+ * the browser, so it must not reference anything outside its own body.
+ */
+function awaitScrollEnd(
+  root: Element,
+  options: { timeout: number; idleTime: number; checkInterval: number }
+): Promise<{ finished: boolean; elapsedMs: number; scrolling?: string }> {
+  const wholePage = root === document.documentElement;
+  const label = (node: EventTarget | null): string => {
+    if (!(node instanceof Element)) return 'page';
+    const id = node.id ? `#${node.id}` : '';
+    const classes = Array.from(node.classList).slice(0, 2).map(c => `.${c}`).join('');
+    return `${node.tagName.toLowerCase()}${id}${classes}`;
+  };
+  const position = () => wholePage
+    ? `${Math.round(window.scrollX)},${Math.round(window.scrollY)}`
+    : `${Math.round(root.scrollLeft)},${Math.round(root.scrollTop)}`;
+  // Scroll events don't bubble, so the whole page is watched in the capture phase
+  const source: EventTarget = wholePage ? document : root;
+
+  return new Promise(resolve => {
+    const started = performance.now();
+    let lastScroll = started;
+    let lastPosition = position();
+    let scrolling: string | undefined;
+
+    const onScroll = (event: Event) => {
+      lastScroll = performance.now();
+      scrolling = label(event.target === document ? null : event.target);
+    };
+    const finish = (finished: boolean) => {
+      clearInterval(timer);
+      source.removeEventListener('scroll', onScroll, true);
+      source.removeEventListener('scrollend', onScrollEnd, true);
+      resolve({ finished, elapsedMs: Math.round(performance.now() - started), scrolling: finished ? undefined : scrolling });
+    };
+    const onScrollEnd = (event: Event) => {
+      const ended = wholePage
+        ? event.target === document || event.target === document.scrollingElement || event.target === root
+        : event.target === root;
+      if (ended) finish(true);
+    };
+
+    source.addEventListener('scroll', onScroll, { capture: true, passive: true });
+    source.addEventListener('scrollend', onScrollEnd, true);
+
+    const timer = setInterval(() => {
+      const now = performance.now();
+      const current = position();
+      if (current !== lastPosition) {
+        lastPosition = current;
+        lastScroll = now;
+        scrolling = scrolling || label(wholePage ? null : root);
+      }
+
+      if (now - lastScroll >= options.idleTime) {
+        finish(true);
+      } else if (now - started >= options.timeout) {
+        finish(false);
+      }
+    }, options.checkInterval);
+  });
+}
+
+/**
+ * Thrown when the UI doesn't settle in time, with what kept changing
+ */
+export class UIStabilityTimeoutError extends Error {
+  readonly report: UIStabilityReport;
+
+  constructor(message: string, timeout: number, report: UIStabilityReport) {
+    const culprits = report.culprits.map(c => `${c.target} ${c.kind} ×${c.count}${c.detail ? ` (${c.detail})` : ''}`);
+    const animations = report.animations.length > 0 ? `; animations running: ${report.animations.join(', ')}` : '';
+    super(
+      `Timeout waiting for ${message} after ${timeout}ms: ${report.changes} changes in ${report.fluctuations} burst(s)` +
+      `${culprits.length > 0 ? `; still changing: ${culprits.join(', ')}` : ''}${animations}`
+    );
+    this.name = 'UIStabilityTimeoutError';
+    this.report = report;
+  }
+}
+
+/**
+ * UI stability detection inside the page: MutationObserver, ResizeObserver
+ * and running animations, under the whole document or one element. The page
+ * reports back once, when it settles or gives up, instead of being polled
+ * for a layout hash.
+ */
+export class UIStability {
+  static readonly DEFAULT_MAX_RESIZE_TARGETS = 500;
+  private static readonly MAX_CULPRITS = 5;
+
+  /**
+   * Wait until nothing under `scope` (default: the whole document) changed
+   * for `quietMs`. Infinite animations such as spinners and carousels never
+   * stop, so they are ignored unless `ignoreInfiniteAnimations` is false.
+   * Throws a UIStabilityTimeoutError explaining what kept changing when that
+   * doesn't happen within `timeout`.
+   */
+  static async waitForQuiet(
+    page: Page,
+    options: {
+      scope?: Locator;
+      quietMs?: number;
+      timeout?: number;
+      checkInterval?: number;
+      ignoreInfiniteAnimations?: boolean;
+      maxResizeTargets?: number;
+      message?: string;
+    } = {}
+  ): Promise<UIStabilityReport> {
+    const {
+      scope,
+      quietMs = 1000,
+      timeout = 30000,
+      checkInterval = 100,
+      ignoreInfiniteAnimations = true,
+      maxResizeTargets = this.DEFAULT_MAX_RESIZE_TARGETS,
+      message = 'UI to be stable'
+    } = options;
+
+    const report = await this.watch(page, scope, message, root => root.evaluate(awaitQuiescence, {
+      quietMs,
+      timeout,
+      checkInterval,
+      ignoreInfiniteAnimations,
+      maxResizeTargets,
+      maxCulprits: this.MAX_CULPRITS
+    }, { timeout }));
+
+    if (!report.stable) {
+      throw new UIStabilityTimeoutError(message, timeout, report);
+    }
+    return report;
+  }
+
+  /**
+   * Wait until no animation or transition under `scope` (default: the whole
+   * page) is running, going by `getAnimations()`. Infinite animations never
+   * finish, so they are ignored unless `ignoreInfiniteAnimations` is false.
+   * Resolves with how long it took.
+   */
+  static async waitForAnimations(
+    page: Page,
+    options: { scope?: Locator; timeout?: number; checkInterval?: number; ignoreInfiniteAnimations?: boolean; message?: string } = {}
+  ): Promise<number> {
+    const { scope, timeout = 30000, checkInterval = 50, ignoreInfiniteAnimations = true, message = 'Animation to complete' } = options;
+
+    const result = await this.watch(page, scope, message, root => root.evaluate(awaitAnimationsEnd, {
+      timeout,
+      checkInterval,
+      ignoreInfiniteAnimations
+    }, { timeout }));
+
+    if (!result.finished) {
+      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: still running: ${result.running.join(', ')}`);
+    }
+    return result.elapsedMs;
+  }
+
+  /**
+   * Wait until `scope` (a scroll container) stops scrolling, or with no
+   * scope anything on the page: a `scrollend` event, or no scrolling for
+   * `idleTime` ms where the browser doesn't send one. Resolves with how long
+   * it took.
+   */
+  static async waitForScrollEnd(
+    page: Page,
+    options: { scope?: Locator; timeout?: number; idleTime?: number; checkInterval?: number; message?: string } = {}
+  ): Promise<number> {
+    const { scope, timeout = 30000, idleTime = 150, checkInterval = 50, message = 'Scroll to complete' } = options;
+
+    const result = await this.watch(page, scope, message, root => root.evaluate(awaitScrollEnd, {
+      timeout,
+      idleTime,
+      checkInterval
+    }, { timeout }));
+
+    if (!result.finished) {
+      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${result.scrolling || 'page'} still scrolling`);
+    }
+    return result.elapsedMs;
+  }
+
+  /**
+   * Run an in-page watcher on `scope`, or on the document element
+   */
+  private static async watch<T>(
+    page: Page,
+    scope: Locator | undefined,
+    message: string,
+    watcher: (root: Locator) => Promise<T>
+  ): Promise<T> {
+    try {
+      return await watcher(scope || page.locator(':root'));
+    } catch (error) {
+      // Navigation tears the watcher down along with the document
+      throw new Error(`Could not watch for ${message}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+}
+
+// Export convenience functions
+export const waitForQuiet = UIStability.waitForQuiet.bind(UIStability);
+export const waitForAnimations = UIStability.waitForAnimations.bind(UIStability);
+export const waitForScrollEnd = UIStability.waitForScrollEnd.bind(UIStability);
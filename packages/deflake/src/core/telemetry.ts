@@ -0,0 +1,85 @@
+import { test } from '@playwright/test';
+import * as fs from 'fs';
+
+export interface SelectorEventCandidate {
+  method: string;
+  selector: string;
+  score: number;
+  matches?: number;
+  /** Iframes the selector is in, outermost first; unset in the main frame */
+  frame?: string[];
+}
+
+/**
+ * What happened when MCP grounded a target, or SelectorUtils picked one of
+ * its selectors
+ */
+export interface SelectorEvent {
+  source: 'mcp' | 'selector-utils';
+  /** Target key for MCP; the selector list, joined with ` | `, for SelectorUtils */
+  target: string;
+  url: string;
+  ok: boolean;
+  /** Grounded from MCP's selector cache without scoring candidates again */
+  cached: boolean;
+  candidates: SelectorEventCandidate[];
+  chosen?: SelectorEventCandidate & { refinement?: string };
+  /** Something other than the primary strategy (or first selector) was used */
+  fallbackUsed: boolean;
+  /** Found by DOM similarity after every selector failed */
+  recovered: boolean;
+  durationMs: number;
+  error?: string;
+  timestamp: string;
+}
+
+/**
+ * Structured selector telemetry, carried from the test to reporters as
+ * Playwright attachments: one JSON attachment per grounding. Outside a
+ * Playwright test events are dropped.
+ */
+export class SelectorTelemetry {
+  static readonly ATTACHMENT_NAME = 'deflake-selector-event';
+  static readonly CONTENT_TYPE = 'application/json';
+
+  /**
+   * Attach an event to the running test
+   */
+  static async emit(event: Omit<SelectorEvent, 'timestamp'>): Promise<void> {
+    let info: ReturnType<typeof test.info>;
+    try {
+      info = test.info();
+    } catch (error) {
+      // Not inside a Playwright test
+      return;
+    }
+
+    try {
+      await info.attach(this.ATTACHMENT_NAME, {
+        body: JSON.stringify({ ...event, timestamp: new Date().toISOString() }),
+        contentType: this.CONTENT_TYPE
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not attach selector telemetry: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  /**
+   * Events from a test result's attachments. Accepts reporter API attachments
+   * (Buffer bodies) and JSON report attachments (base64 bodies).
+   */
+  static fromAttachments(attachments: Array<{ name: string; body?: Buffer | string; path?: string }> = []): SelectorEvent[] {
+    return attachments
+      .filter(attachment => attachment.name === this.ATTACHMENT_NAME)
+      .flatMap(attachment => {
+        try {
+          const json = attachment.body !== undefined
+            ? (typeof attachment.body === 'string' ? Buffer.from(attachment.body, 'base64') : attachment.body).toString('utf8')
+            : fs.readFileSync(attachment.path!, 'utf8');
+          return [JSON.parse(json) as SelectorEvent];
+        } catch (error) {
+          return [];
+        }
+      });
+  }
+}
@@ -0,0 +1,264 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+export type TimingKind = 'wait' | 'step';
+
+export interface TimingSample {
+  timestamp: string;
+  /** `wait:<strategy>:<description>` or `step:<intent>:<step id>`, see keyOf */
+  key: string;
+  kind: TimingKind;
+  projectName: string;
+  /** False when the wait or step timed out or failed */
+  ok: boolean;
+  durationMs: number;
+  /** Timeout it ran with; a failed sample that lasted this long timed out */
+  timeoutMs?: number;
+}
+
+export interface TimingQuery {
+  /** One key, or every key matching a pattern, pooled */
+  key?: string | RegExp;
+  kind?: TimingKind;
+  projectName?: string;
+}
+
+export interface TimingStats {
+  key: string;
+  kind: TimingKind;
+  /** Samples in the window, including failures */
+  samples: number;
+  failures: number;
+  medianMs: number;
+  p95Ms: number;
+  /** Median of the older and the recent half of the successful samples */
+  previousMedianMs: number;
+  recentMedianMs: number;
+  /** Recent samples are markedly slower than older ones */
+  drifting: boolean;
+  /** Timeout adaptive mode would use; undefined until there are enough samples */
+  learnedTimeout?: number;
+  lastSeen: string;
+}
+
+export interface AdaptiveTimeoutOptions {
+  /** Percentile of durations the timeout is based on (0-1) */
+  percentile?: number;
+  /** Share added on top of the percentile */
+  margin?: number;
+  /** Milliseconds added on top of the percentile and margin, so fast waits don't get hair-trigger timeouts */
+  minMargin?: number;
+  /** Samples that succeeded or timed out needed before a timeout is learned */
+  minSamples?: number;
+  /** Most recent samples per key considered */
+  window?: number;
+  /** Learned timeouts never go below this (ms) */
+  minTimeout?: number;
+  /** Learned timeouts never go above this multiple of the fixed timeout they replace */
+  maxFactor?: number;
+}
+
+/**
+ * Append-only JSONL store of how long waits and plan steps took, run after
+ * run.
+ *
+ * In adaptive mode (DEFLAKE_ADAPTIVE_TIMEOUTS=true) their timeouts are
+ * learned from it instead of fixed: a high percentile of the durations, plus
+ * a margin, capped relative to the fixed timeout. A run that timed out counts
+ * as taking at least its timeout, so learned timeouts grow again when runs
+ * get slower. A slow CI machine learns longer timeouts; a wait that normally
+ * takes 2s fails after a few seconds instead of 30. Keys drifting upwards are
+ * flagged.
+ */
+export class TimingStore {
+  static readonly DEFAULT_FILE = '.deflake/timings.jsonl';
+  static readonly ADAPTIVE_ENV = 'DEFLAKE_ADAPTIVE_TIMEOUTS';
+
+  private static readonly DEFAULTS: Required<AdaptiveTimeoutOptions> = {
+    percentile: 0.95,
+    margin: 0.5,
+    minMargin: 1000,
+    minSamples: 5,
+    window: 50,
+    minTimeout: 1000,
+    maxFactor: 2
+  };
+  private static readonly MIN_DRIFT_SAMPLES = 6;
+  // Recent median this much slower than the older one, and by at least DRIFT_MIN_MS
+  private static readonly DRIFT_RATIO = 1.5;
+  private static readonly DRIFT_MIN_MS = 250;
+
+  private filePath: string;
+  private options: Required<AdaptiveTimeoutOptions>;
+  // Read once; adaptive timeouts are looked up on every wait
+  private cache?: TimingSample[];
+
+  constructor(options: { file?: string } & AdaptiveTimeoutOptions = {}) {
+    this.filePath = path.resolve(options.file || process.env.DEFLAKE_TIMINGS_FILE || TimingStore.DEFAULT_FILE);
+    this.options = { ...TimingStore.DEFAULTS };
+    for (const [name, value] of Object.entries(options)) {
+      if (name in TimingStore.DEFAULTS && typeof value === 'number') {
+        this.options[name as keyof AdaptiveTimeoutOptions] = value;
+      }
+    }
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  /**
+   * Whether adaptive timeouts are on for this process
+   */
+  static isAdaptive(env: NodeJS.ProcessEnv = process.env): boolean {
+    return env[this.ADAPTIVE_ENV] === 'true';
+  }
+
+  /**
+   * Identifies a wait or step across runs
+   */
+  static keyOf(kind: TimingKind, ...parts: string[]): string {
+    return [kind, ...parts].join(':');
+  }
+
+  append(samples: TimingSample[]): void {
+    if (samples.length === 0) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, samples.map(s => JSON.stringify(s)).join('\n') + '\n');
+    this.cache = undefined;
+  }
+
+  /**
+   * Read samples, oldest first
+   */
+  read(query: TimingQuery = {}): TimingSample[] {
+    if (!this.cache) {
+      this.cache = fs.existsSync(this.filePath)
+        ? fs.readFileSync(this.filePath, 'utf8')
+          .split('\n')
+          .filter(line => line.trim())
+          .flatMap(line => {
+            try {
+              return [JSON.parse(line) as TimingSample];
+            } catch (error) {
+              return [];
+            }
+          })
+          .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        : [];
+    }
+
+    return this.cache
+      .filter(sample => TimingStore.matches(sample.key, query.key))
+      .filter(sample => !query.kind || sample.kind === query.kind)
+      .filter(sample => !query.projectName || sample.projectName === query.projectName);
+  }
+
+  /**
+   * Stats per key over the most recent `window` samples, drifting keys
+   * first, then the slowest
+   */
+  summarize(query: TimingQuery = {}): TimingStats[] {
+    const groups = new Map<string, TimingSample[]>();
+    for (const sample of this.read(query)) {
+      groups.set(sample.key, [...(groups.get(sample.key) || []), sample]);
+    }
+
+    return [...groups.values()]
+      .map(samples => this.stats(samples))
+      .sort((a, b) => Number(b.drifting) - Number(a.drifting) || b.p95Ms - a.p95Ms);
+  }
+
+  /**
+   * Timeout learned for a key (or every key matching a pattern, pooled) to
+   * replace the `fixed` one, or undefined without enough samples. Samples
+   * from `projectName` are preferred when there are enough of them, since
+   * browsers differ in speed.
+   */
+  learnedTimeout(key: string | RegExp, fixed: number, projectName?: string): number | undefined {
+    const ownProject = projectName ? this.read({ key, projectName }) : [];
+    const samples = this.usable(ownProject).length >= this.options.minSamples ? ownProject : this.read({ key });
+    return this.learn(samples, fixed);
+  }
+
+  /**
+   * The learned timeout, else `fallback`
+   */
+  timeoutFor(key: string | RegExp, fallback: number, projectName?: string): number {
+    return this.learnedTimeout(key, fallback, projectName) ?? fallback;
+  }
+
+  private stats(samples: TimingSample[]): TimingStats {
+    const windowed = samples.slice(-this.options.window);
+    const durations = this.successful(windowed).map(s => s.durationMs);
+    const sorted = [...durations].sort((a, b) => a - b);
+
+    // Older half against recent half, in run order
+    const half = Math.floor(durations.length / 2);
+    const previousMedianMs = TimingStore.percentile(durations.slice(0, half).sort((a, b) => a - b), 0.5);
+    const recentMedianMs = TimingStore.percentile(durations.slice(half).sort((a, b) => a - b), 0.5);
+    const drifting = durations.length >= TimingStore.MIN_DRIFT_SAMPLES &&
+      recentMedianMs > previousMedianMs * TimingStore.DRIFT_RATIO &&
+      recentMedianMs - previousMedianMs >= TimingStore.DRIFT_MIN_MS;
+
+    const last = windowed[windowed.length - 1];
+    return {
+      key: last.key,
+      kind: last.kind,
+      samples: windowed.length,
+      failures: windowed.filter(s => !s.ok).length,
+      medianMs: TimingStore.percentile(sorted, 0.5),
+      p95Ms: TimingStore.percentile(sorted, 0.95),
+      previousMedianMs,
+      recentMedianMs,
+      drifting,
+      learnedTimeout: this.learn(windowed, Infinity),
+      lastSeen: last.timestamp
+    };
+  }
+
+  /**
+   * Percentile plus margin of the durations in the window, within bounds. A
+   * sample that timed out needed at least its timeout, so it counts as that
+   * (censored); other failures say nothing and are left out. Undefined with
+   * too few samples, or when the latest sample timed out: the next run gets
+   * the fixed timeout back instead of failing at the same learned one.
+   */
+  private learn(samples: TimingSample[], fixed: number): number | undefined {
+    const windowed = samples.slice(-this.options.window);
+    const last = windowed[windowed.length - 1];
+    if (!last || TimingStore.timedOut(last)) return undefined;
+
+    const durations = this.usable(windowed)
+      .map(s => s.ok ? s.durationMs : Math.max(s.durationMs, s.timeoutMs!))
+      .sort((a, b) => a - b);
+    if (durations.length < this.options.minSamples) return undefined;
+
+    const { percentile, margin, minMargin, minTimeout, maxFactor } = this.options;
+    const learned = Math.round(TimingStore.percentile(durations, percentile) * (1 + margin) + minMargin);
+    return Math.min(Math.max(learned, minTimeout), fixed * maxFactor);
+  }
+
+  private successful(samples: TimingSample[]): TimingSample[] {
+    return samples.filter(s => s.ok);
+  }
+
+  private usable(samples: TimingSample[]): TimingSample[] {
+    return samples.filter(s => s.ok || TimingStore.timedOut(s));
+  }
+
+  private static timedOut(sample: TimingSample): boolean {
+    return !sample.ok && sample.timeoutMs !== undefined && sample.durationMs >= sample.timeoutMs;
+  }
+
+  private static percentile(sorted: number[], p: number): number {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(sorted.length * p) - 1))];
+  }
+
+  private static matches(key: string, pattern?: string | RegExp): boolean {
+    if (!pattern) return true;
+    return typeof pattern === 'string' ? key === pattern : pattern.test(key);
+  }
+}
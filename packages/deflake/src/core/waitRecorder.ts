@@ -0,0 +1,200 @@
+import { Locator, Page, test } from '@playwright/test';
+import * as fs from 'fs';
+import { NetworkIdleTimeoutError, NetworkTracker } from './network';
+
+/**
+ * One WaitUtils wait: what it waited for, how long it took and, when it
+ * failed, what the page looked like at that point
+ */
+export interface WaitRecord {
+  /** WaitUtils strategy, e.g. `network-idle`, `element-state` or `url` */
+  strategy: string;
+  /** The wait's message, e.g. `Network to be idle` or `Element to be visible` */
+  description: string;
+  ok: boolean;
+  elapsedMs: number;
+  timeoutMs: number;
+  /** What the condition saw on its last check, e.g. `3 request(s) pending` */
+  lastObserved?: string;
+  /** Requests in flight when the wait failed */
+  pendingRequests?: string[];
+  /** outerHTML of the wait's scope (or the page) when the wait failed, truncated */
+  domSnapshot?: string;
+  url?: string;
+  error?: string;
+  timestamp: string;
+}
+
+/**
+ * How one kind of wait behaved across a run, for spotting slow waits and
+ * waits that time out
+ */
+export interface WaitStats {
+  strategy: string;
+  description: string;
+  count: number;
+  timeouts: number;
+  medianMs: number;
+  p95Ms: number;
+  maxMs: number;
+  /** Last thing observed by the most recent failed wait */
+  lastFailure?: string;
+}
+
+/**
+ * Records every WaitUtils wait and carries it to reporters as a Playwright
+ * attachment, like SelectorTelemetry does for groundings. Outside a
+ * Playwright test records are dropped.
+ */
+export class WaitRecorder {
+  static readonly ATTACHMENT_NAME = 'deflake-wait';
+  static readonly CONTENT_TYPE = 'application/json';
+  static readonly MAX_DOM_SNAPSHOT = 20000;
+  private static readonly SNAPSHOT_TIMEOUT = 2000;
+
+  /**
+   * Run a wait and record it. `run` reports what its condition sees through
+   * `observe`; the last observation is kept. A failed wait also records the
+   * requests in flight and a DOM snapshot, then rethrows.
+   */
+  static async record<T>(
+    page: Page | undefined,
+    wait: { strategy: string; description: string; timeout: number; scope?: Locator },
+    run: (observe: (observed: string) => void) => Promise<T>
+  ): Promise<T> {
+    // Installed up front so requests started during the wait are known on failure
+    const tracker = page && !page.isClosed() ? NetworkTracker.for(page) : undefined;
+    const startTime = Date.now();
+    let lastObserved: string | undefined;
+    const observe = (observed: string) => {
+      lastObserved = observed;
+    };
+
+    try {
+      const result = await run(observe);
+      await this.attach({
+        strategy: wait.strategy,
+        description: wait.description,
+        ok: true,
+        elapsedMs: Date.now() - startTime,
+        timeoutMs: wait.timeout,
+        lastObserved,
+        url: this.urlOf(page)
+      });
+      return result;
+    } catch (error) {
+      const elapsedMs = Date.now() - startTime;
+      await this.attach({
+        strategy: wait.strategy,
+        description: wait.description,
+        ok: false,
+        elapsedMs,
+        timeoutMs: wait.timeout,
+        lastObserved,
+        pendingRequests: tracker?.getInFlight().map(request => NetworkIdleTimeoutError.format(request)),
+        domSnapshot: await this.snapshot(page, wait.scope),
+        url: this.urlOf(page),
+        error: error instanceof Error ? error.message : String(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Records from a test result's attachments. Accepts reporter API
+   * attachments (Buffer bodies) and JSON report attachments (base64 bodies).
+   */
+  static fromAttachments(attachments: Array<{ name: string; body?: Buffer | string; path?: string }> = []): WaitRecord[] {
+    return attachments
+      .filter(attachment => attachment.name === this.ATTACHMENT_NAME)
+      .flatMap(attachment => {
+        try {
+          const json = attachment.body !== undefined
+            ? (typeof attachment.body === 'string' ? Buffer.from(attachment.body, 'base64') : attachment.body).toString('utf8')
+            : fs.readFileSync(attachment.path!, 'utf8');
+          return [JSON.parse(json) as WaitRecord];
+        } catch (error) {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Group records by strategy and description: waits that time out most
+   * first, then the slowest (by 95th percentile)
+   */
+  static summarize(records: WaitRecord[]): WaitStats[] {
+    const groups = new Map<string, WaitRecord[]>();
+    for (const record of records) {
+      const key = `${record.strategy}\u0000${record.description}`;
+      groups.set(key, [...(groups.get(key) || []), record]);
+    }
+
+    return [...groups.values()]
+      .map(group => {
+        const durations = group.map(r => r.elapsedMs).sort((a, b) => a - b);
+        const failures = group.filter(r => !r.ok).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const last = failures[failures.length - 1];
+        return {
+          strategy: group[0].strategy,
+          description: group[0].description,
+          count: group.length,
+          timeouts: failures.length,
+          medianMs: durations[Math.floor(durations.length / 2)],
+          p95Ms: durations[Math.min(durations.length - 1, Math.ceil(durations.length * 0.95) - 1)],
+          maxMs: durations[durations.length - 1],
+          lastFailure: last && (last.lastObserved || last.error)
+        };
+      })
+      .sort((a, b) => b.timeouts - a.timeouts || b.p95Ms - a.p95Ms);
+  }
+
+  /**
+   * Attach a record to the running test
+   */
+  private static async attach(record: Omit<WaitRecord, 'timestamp'>): Promise<void> {
+    let info: ReturnType<typeof test.info>;
+    try {
+      info = test.info();
+    } catch (error) {
+      // Not inside a Playwright test
+      return;
+    }
+
+    try {
+      await info.attach(this.ATTACHMENT_NAME, {
+        body: JSON.stringify({ ...record, timestamp: new Date().toISOString() }),
+        contentType: this.CONTENT_TYPE
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not attach wait record: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  /**
+   * outerHTML of the scope's first element, else of the page, truncated to
+   * MAX_DOM_SNAPSHOT characters. Undefined when the page is gone.
+   */
+  private static async snapshot(page: Page | undefined, scope?: Locator): Promise<string | undefined> {
+    if (!page || page.isClosed()) return undefined;
+
+    try {
+      const html = scope && await scope.count() > 0
+        ? await scope.first().evaluate(el => el.outerHTML, undefined, { timeout: this.SNAPSHOT_TIMEOUT })
+        : await page.content();
+      return html.length > this.MAX_DOM_SNAPSHOT
+        ? `${html.slice(0, this.MAX_DOM_SNAPSHOT)}\n<!-- truncated ${html.length - this.MAX_DOM_SNAPSHOT} characters -->`
+        : html;
+    } catch (error) {
+      // Navigating or closing
+      return undefined;
+    }
+  }
+
+  private static urlOf(page?: Page): string | undefined {
+    return page && !page.isClosed() ? page.url() : undefined;
+  }
+}
+
+// Export convenience functions
+export const recordWait = WaitRecorder.record.bind(WaitRecorder);
@@ -1,13 +1,22 @@
-import { Page, Locator, expect } from '@playwright/test';
+import { Page, Locator, Response, expect, test } from '@playwright/test';
+import { NetworkFilter, NetworkIdleTimeoutError, NetworkTracker } from './network';
+import { UIStability, UIStabilityTimeoutError } from './stability';
+import { TimingStore } from './timings';
+import { WaitRecorder } from './waitRecorder';
 
 export interface WaitOptions {
   timeout?: number;
   polling?: number;
   retries?: number;
   message?: string;
+  /**
+   * Without an explicit `timeout`, use the timeout learned from previous
+   * runs of this wait (see TimingStore). Defaults to DEFLAKE_ADAPTIVE_TIMEOUTS.
+   */
+  adaptive?: boolean;
 }
 
-export interface NetworkWaitOptions extends WaitOptions {
+export interface NetworkWaitOptions extends WaitOptions, NetworkFilter {
   idleTime?: number;
   maxRequests?: number;
 }
@@ -16,124 +25,122 @@ export interface UIStabilityOptions extends WaitOptions {
   checkInterval?: number;
   stabilityThreshold?: number;
   maxFluctuations?: number;
+  /** Only watch this element and its descendants, e.g. a product grid */
+  scope?: Locator;
+  /** Don't wait for infinite animations such as spinners and carousels; defaults to true */
+  ignoreInfiniteAnimations?: boolean;
+}
+
+export interface AnimationWaitOptions extends WaitOptions {
+  /** Only wait for animations on this element and its descendants */
+  scope?: Locator;
+  /** Infinite animations never finish; defaults to true */
+  ignoreInfiniteAnimations?: boolean;
+}
+
+export interface ScrollWaitOptions extends WaitOptions {
+  /** Scroll container to watch; the whole page by default */
+  scope?: Locator;
+  /** How long (ms) the scroll position must stay put without a `scrollend` event */
+  idleTime?: number;
 }
 
 /**
  * Smart wait utilities for handling async operations and UI stability
  * Replaces arbitrary timeouts with intelligent waiting strategies
+ *
+ * Every wait is recorded by WaitRecorder and attached to the running
+ * Playwright test, with what it last observed, the requests in flight and a
+ * DOM snapshot when it times out.
+ *
+ * In adaptive mode a wait without an explicit `timeout` uses the timeout
+ * learned from how long it took in previous runs, instead of DEFAULT_TIMEOUT.
  */
 export class WaitUtils {
   private static readonly DEFAULT_TIMEOUT = 30000;
   private static readonly DEFAULT_POLLING = 1000;
   private static readonly DEFAULT_RETRIES = 3;
+  private static timings?: TimingStore;
 
   /**
-   * Wait for network to be idle (no pending requests)
+   * Wait for network to be idle (no pending requests), using the page's
+   * NetworkTracker so requests already in flight count too. On timeout the
+   * NetworkIdleTimeoutError lists the requests that kept the page busy.
    */
   static async waitForNetworkIdle(
     page: Page, 
     options: NetworkWaitOptions = {}
   ): Promise<void> {
     const { 
-      timeout = this.DEFAULT_TIMEOUT, 
       idleTime = 500, 
       maxRequests = 0,
       message = 'Network to be idle'
     } = options;
+    const timeout = this.timeoutFor('network-idle', message, options);
 
-    const startTime = Date.now();
-    let lastRequestTime = Date.now();
-    let pendingRequests = 0;
-
-    // Track network requests
-    page.on('request', () => {
-      pendingRequests++;
-      lastRequestTime = Date.now();
-    });
-
-    page.on('requestfinished', () => {
-      pendingRequests--;
-      lastRequestTime = Date.now();
-    });
-
-    page.on('requestfailed', () => {
-      pendingRequests--;
-      lastRequestTime = Date.now();
-    });
-
-    // Wait for network idle
-    while (Date.now() - startTime < timeout) {
-      const timeSinceLastRequest = Date.now() - lastRequestTime;
-      
-      if (pendingRequests <= maxRequests && timeSinceLastRequest >= idleTime) {
-        console.log(`✅ Network is idle (${pendingRequests} pending requests)`);
-        return;
+    const { pending, longPolls } = await WaitRecorder.record(page, { strategy: 'network-idle', description: message, timeout }, async observe => {
+      try {
+        return await NetworkTracker.for(page).waitForIdle({ ...options, timeout, idleTime, maxRequests, message });
+      } catch (error) {
+        if (error instanceof NetworkIdleTimeoutError) {
+          observe(
+            `${error.pending.length} request(s) pending` +
+            `${error.lastActivity ? `, last activity ${error.lastActivity.msAgo}ms ago` : ''}`
+          );
+        }
+        throw error;
       }
-      
-      await page.waitForTimeout(100);
-    }
-
-    throw new Error(`Timeout waiting for ${message} after ${timeout}ms`);
+    });
+    console.log(
+      `✅ Network is idle (${pending.length} pending requests` +
+      `${longPolls.length > 0 ? `, ignoring ${longPolls.length} long-poll(s)` : ''})`
+    );
   }
 
   /**
-   * Wait for UI to be stable (no layout changes)
+   * Wait for UI to be stable: no DOM mutation, resize or running animation
+   * for `stabilityThreshold` ms, observed inside the page (see UIStability).
+   * On timeout the UIStabilityTimeoutError explains what kept changing.
    */
   static async waitForUIStability(
     page: Page,
     options: UIStabilityOptions = {}
   ): Promise<void> {
     const {
-      timeout = this.DEFAULT_TIMEOUT,
       checkInterval = 200,
       stabilityThreshold = 1000,
       maxFluctuations = 2,
       message = 'UI to be stable'
     } = options;
+    const timeout = this.timeoutFor('ui-stability', message, options);
 
-    const startTime = Date.now();
-    let lastLayoutHash = '';
-    let stableStartTime = Date.now();
-    let fluctuations = 0;
-
-    while (Date.now() - startTime < timeout) {
-      // Get current layout hash
-      const currentLayoutHash = await page.evaluate(() => {
-        // Create a hash of the current DOM layout
-        const body = document.body;
-        const elements = body.querySelectorAll('*');
-        let hash = '';
-        
-        elements.forEach(el => {
-          const rect = el.getBoundingClientRect();
-          const computedStyle = window.getComputedStyle(el);
-          hash += `${el.tagName}-${rect.width}-${rect.height}-${computedStyle.display}-${computedStyle.visibility}`;
+    const report = await WaitRecorder.record(page, { strategy: 'ui-stability', description: message, timeout, scope: options.scope }, async observe => {
+      try {
+        return await UIStability.waitForQuiet(page, {
+          scope: options.scope,
+          quietMs: stabilityThreshold,
+          timeout,
+          checkInterval,
+          ignoreInfiniteAnimations: options.ignoreInfiniteAnimations,
+          message
         });
-        
-        return hash;
-      });
-
-      if (currentLayoutHash === lastLayoutHash) {
-        // Layout is stable
-        if (Date.now() - stableStartTime >= stabilityThreshold) {
-          console.log(`✅ UI is stable (no changes for ${stabilityThreshold}ms)`);
-          return;
-        }
-      } else {
-        // Layout changed, reset stability timer
-        lastLayoutHash = currentLayoutHash;
-        stableStartTime = Date.now();
-        fluctuations++;
-        
-        if (fluctuations > maxFluctuations) {
-          console.log(`⚠️ UI fluctuations detected: ${fluctuations}`);
+      } catch (error) {
+        if (error instanceof UIStabilityTimeoutError) {
+          const { changes, culprits, animations } = error.report;
+          observe(
+            `${changes} change(s)` +
+            `${culprits.length > 0 ? `; still changing: ${culprits.map(c => c.target).join(', ')}` : ''}` +
+            `${animations.length > 0 ? `; ${animations.length} animation(s) running` : ''}`
+          );
         }
+        throw error;
       }
+    });
 
-      await page.waitForTimeout(checkInterval);
+    if (report.fluctuations > maxFluctuations) {
+      console.log(`⚠️ UI fluctuations detected: ${report.fluctuations}`);
     }
-
-    throw new Error(`Timeout waiting for ${message} after ${timeout}ms`);
+    console.log(`✅ UI is stable (no changes for ${stabilityThreshold}ms)`);
   }
 
   /**
@@ -144,30 +151,34 @@ export class WaitUtils {
     state: 'visible' | 'attached' | 'enabled' | 'disabled' | 'hidden',
     options: WaitOptions = {}
   ): Promise<void> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = `Element to be ${state}` } = options;
+    const { message = `Element to be ${state}` } = options;
+    const timeout = this.timeoutFor('element-state', message, options);
 
-    try {
-      switch (state) {
-        case 'visible':
-          await expect(locator).toBeVisible({ timeout });
-          break;
-        case 'attached':
-          await expect(locator).toBeAttached({ timeout });
-          break;
-        case 'enabled':
-          await expect(locator).toBeEnabled({ timeout });
-          break;
-        case 'disabled':
-          await expect(locator).toBeDisabled({ timeout });
-          break;
-        case 'hidden':
-          await expect(locator).toBeHidden({ timeout });
-          break;
+    await WaitRecorder.record(locator.page(), { strategy: 'element-state', description: message, timeout, scope: locator }, async observe => {
+      try {
+        switch (state) {
+          case 'visible':
+            await expect(locator).toBeVisible({ timeout });
+            break;
+          case 'attached':
+            await expect(locator).toBeAttached({ timeout });
+            break;
+          case 'enabled':
+            await expect(locator).toBeEnabled({ timeout });
+            break;
+          case 'disabled':
+            await expect(locator).toBeDisabled({ timeout });
+            break;
+          case 'hidden':
+            await expect(locator).toBeHidden({ timeout });
+            break;
+        }
+      } catch (error) {
+        observe(await this.describeElement(locator));
+        throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error instanceof Error ? error.message : String(error)}`);
       }
-      console.log(`✅ Element is ${state}`);
-    } catch (error) {
-      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error.message}`);
-    }
+    });
+    console.log(`✅ Element is ${state}`);
   }
 
   /**
@@ -178,31 +189,37 @@ export class WaitUtils {
     options: WaitOptions = {}
   ): Promise<void> {
     const { 
-      timeout = this.DEFAULT_TIMEOUT, 
       polling = this.DEFAULT_POLLING,
       retries = this.DEFAULT_RETRIES,
       message = 'Custom condition'
     } = options;
-
-    const startTime = Date.now();
-    let attempts = 0;
-
-    while (Date.now() - startTime < timeout && attempts < retries) {
-      try {
-        const result = await condition();
-        if (result) {
-          console.log(`✅ Condition met on attempt ${attempts + 1}`);
-          return;
+    const timeout = this.timeoutFor('condition', message, options);
+
+    // The condition has no page, so failures carry no requests or DOM snapshot
+    await WaitRecorder.record(undefined, { strategy: 'condition', description: message, timeout }, async observe => {
+      const startTime = Date.now();
+      let attempts = 0;
+
+      while (Date.now() - startTime < timeout && attempts < retries) {
+        try {
+          const result = await condition();
+          if (result) {
+            console.log(`✅ Condition met on attempt ${attempts + 1}`);
+            return;
+          }
+          observe(`Condition returned false on attempt ${attempts + 1}`);
+        } catch (error) {
+          const reason = error instanceof Error ? error.message : String(error);
+          observe(`Condition threw on attempt ${attempts + 1}: ${reason}`);
+          console.log(`⚠️ Condition check failed on attempt ${attempts + 1}: ${reason}`);
         }
-      } catch (error) {
-        console.log(`⚠️ Condition check failed on attempt ${attempts + 1}: ${error.message}`);
-      }
 
-      attempts++;
-      await new Promise(resolve => setTimeout(resolve, polling));
-    }
+        attempts++;
+        await new Promise(resolve => setTimeout(resolve, polling));
+      }
 
-    throw new Error(`Timeout waiting for ${message} after ${timeout}ms (${attempts} attempts)`);
+      throw new Error(`Timeout waiting for ${message} after ${timeout}ms (${attempts} attempts)`);
+    });
   }
 
   /**
@@ -213,14 +230,18 @@ export class WaitUtils {
     state: 'load' | 'domcontentloaded' | 'networkidle' = 'networkidle',
     options: WaitOptions = {}
   ): Promise<void> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = `Page to load (${state})` } = options;
+    const { message = `Page to load (${state})` } = options;
+    const timeout = this.timeoutFor('page-load', message, options);
 
-    try {
-      await page.waitForLoadState(state, { timeout });
-      console.log(`✅ Page loaded: ${state}`);
-    } catch (error) {
-      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error.message}`);
-    }
+    await WaitRecorder.record(page, { strategy: 'page-load', description: message, timeout }, async observe => {
+      try {
+        await page.waitForLoadState(state, { timeout });
+      } catch (error) {
+        observe(`document.readyState is ${await page.evaluate(() => document.readyState).catch(() => 'unknown')}`);
+        throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    });
+    console.log(`✅ Page loaded: ${state}`);
   }
 
   /**
@@ -231,14 +252,18 @@ export class WaitUtils {
     urlPattern: string | RegExp,
     options: WaitOptions = {}
   ): Promise<void> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = `URL to match ${urlPattern}` } = options;
+    const { message = `URL to match ${urlPattern}` } = options;
+    const timeout = this.timeoutFor('url', message, options);
 
-    try {
-      await page.waitForURL(urlPattern, { timeout });
-      console.log(`✅ URL matches: ${urlPattern}`);
-    } catch (error) {
-      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error.message}`);
-    }
+    await WaitRecorder.record(page, { strategy: 'url', description: message, timeout }, async observe => {
+      try {
+        await page.waitForURL(urlPattern, { timeout });
+      } catch (error) {
+        if (!page.isClosed()) observe(`URL was ${page.url()}`);
+        throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    });
+    console.log(`✅ URL matches: ${urlPattern}`);
   }
 
   /**
@@ -249,15 +274,28 @@ export class WaitUtils {
     urlPattern: string | RegExp,
     options: WaitOptions = {}
   ): Promise<any> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = `Response from ${urlPattern}` } = options;
+    const { message = `Response from ${urlPattern}` } = options;
+    const timeout = this.timeoutFor('response', message, options);
+
+    return WaitRecorder.record(page, { strategy: 'response', description: message, timeout }, async observe => {
+      // Responses that arrived meanwhile but didn't match
+      let others = 0;
+      const onResponse = (response: Response) => {
+        others++;
+        observe(`${others} other response(s), last: ${response.status()} ${response.url()}`);
+      };
+      page.on('response', onResponse);
 
-    try {
-      const response = await page.waitForResponse(urlPattern, { timeout });
-      console.log(`✅ Response received: ${response.status()} ${response.url()}`);
-      return response;
-    } catch (error) {
-      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error.message}`);
-    }
+      try {
+        const response = await page.waitForResponse(urlPattern, { timeout });
+        console.log(`✅ Response received: ${response.status()} ${response.url()}`);
+        return response;
+      } catch (error) {
+        throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error instanceof Error ? error.message : String(error)}`);
+      } finally {
+        page.off('response', onResponse);
+      }
+    });
   }
 
   /**
@@ -268,81 +306,73 @@ export class WaitUtils {
     selectors: string[],
     options: WaitOptions = {}
   ): Promise<Locator[]> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = `Multiple elements: ${selectors.join(', ')}` } = options;
-
-    const startTime = Date.now();
-    const locators: Locator[] = [];
-
-    while (Date.now() - startTime < timeout) {
-      locators.length = 0; // Clear array
-      
-      for (const selector of selectors) {
-        const locator = page.locator(selector);
-        if (await locator.count() > 0) {
-          locators.push(locator);
+    const { message = `Multiple elements: ${selectors.join(', ')}` } = options;
+    const timeout = this.timeoutFor('multiple-elements', message, options);
+
+    return WaitRecorder.record(page, { strategy: 'multiple-elements', description: message, timeout }, async observe => {
+      const startTime = Date.now();
+      const locators: Locator[] = [];
+
+      while (Date.now() - startTime < timeout) {
+        locators.length = 0; // Clear array
+        const missing: string[] = [];
+
+        for (const selector of selectors) {
+          const locator = page.locator(selector);
+          if (await locator.count() > 0) {
+            locators.push(locator);
+          } else {
+            missing.push(selector);
+          }
         }
-      }
 
-      if (locators.length === selectors.length) {
-        console.log(`✅ All ${selectors.length} elements found`);
-        return locators;
-      }
+        if (locators.length === selectors.length) {
+          console.log(`✅ All ${selectors.length} elements found`);
+          return locators;
+        }
+        observe(`Found ${locators.length}/${selectors.length}, missing: ${missing.join(', ')}`);
 
-      await page.waitForTimeout(100);
-    }
+        await page.waitForTimeout(100);
+      }
 
-    throw new Error(`Timeout waiting for ${message} after ${timeout}ms. Found: ${locators.length}/${selectors.length}`);
+      throw new Error(`Timeout waiting for ${message} after ${timeout}ms. Found: ${locators.length}/${selectors.length}`);
+    });
   }
 
   /**
-   * Wait for animation to complete
+   * Wait for every animation and transition to finish, on the whole page or
+   * under `scope`, going by `getAnimations()`. Infinite animations are
+   * ignored unless `ignoreInfiniteAnimations` is false.
    */
   static async waitForAnimationComplete(
     page: Page,
-    options: WaitOptions = {}
+    options: AnimationWaitOptions = {}
   ): Promise<void> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = 'Animation to complete' } = options;
+    const { message = 'Animation to complete' } = options;
+    const timeout = this.timeoutFor('animation', message, options);
 
-    try {
-      await page.waitForFunction(() => {
-        // Check if any CSS animations are running
-        const animations = document.querySelectorAll('*');
-        for (const element of animations) {
-          const style = window.getComputedStyle(element);
-          if (style.animationName !== 'none' || style.transitionProperty !== 'none') {
-            return false; // Animation still running
-          }
-        }
-        return true; // No animations running
-      }, { timeout });
-      
-      console.log(`✅ All animations completed`);
-    } catch (error) {
-      throw new Error(`Timeout waiting for ${message} after ${timeout}ms: ${error.message}`);
-    }
+    const elapsed = await WaitRecorder.record(page, { strategy: 'animation', description: message, timeout, scope: options.scope }, () =>
+      UIStability.waitForAnimations(page, { ...options, timeout, message })
+    );
+    console.log(`✅ All animations completed (${elapsed}ms)`);
   }
 
   /**
-   * Wait for scroll to complete
+   * Wait for scrolling to end, on the whole page or in the `scope` scroll
+   * container: a `scrollend` event, or the scroll position unchanged for
+   * `idleTime` ms
    */
   static async waitForScrollComplete(
     page: Page,
-    options: WaitOptions = {}
+    options: ScrollWaitOptions = {}
   ): Promise<void> {
-    const { timeout = this.DEFAULT_TIMEOUT, message = 'Scroll to complete' } = options;
+    const { message = 'Scroll to complete' } = options;
+    const timeout = this.timeoutFor('scroll', message, options);
 
-    try {
-      await page.waitForFunction(() => {
-        // Check if page is currently scrolling
-        return !window.scrolling;
-      }, { timeout });
-      
-      console.log(`✅ Scroll completed`);
-    } catch (error) {
-      // If scroll detection isn't set up, just wait a bit
-      await page.waitForTimeout(500);
-      console.log(`ℹ️ Scroll wait completed (fallback)`);
-    }
+    const elapsed = await WaitRecorder.record(page, { strategy: 'scroll', description: message, timeout, scope: options.scope }, () =>
+      UIStability.waitForScrollEnd(page, { ...options, timeout, message })
+    );
+    console.log(`✅ Scroll completed (${elapsed}ms)`);
   }
 
   /**
@@ -375,6 +405,44 @@ export class WaitUtils {
         throw new Error(`Unknown wait strategy: ${strategy}`);
     }
   }
+
+  /**
+   * A wait's timeout: `options.timeout`, else in adaptive mode the one
+   * learned for this wait in the running test's project, else DEFAULT_TIMEOUT
+   */
+  private static timeoutFor(strategy: string, message: string, options: WaitOptions): number {
+    if (options.timeout !== undefined) return options.timeout;
+    if (!(options.adaptive ?? TimingStore.isAdaptive())) return this.DEFAULT_TIMEOUT;
+
+    let projectName: string | undefined;
+    try {
+      projectName = test.info().project.name;
+    } catch (error) {
+      // Not inside a Playwright test
+    }
+
+    this.timings = this.timings || new TimingStore();
+    const learned = this.timings.learnedTimeout(TimingStore.keyOf('wait', strategy, message), this.DEFAULT_TIMEOUT, projectName);
+    if (learned === undefined) return this.DEFAULT_TIMEOUT;
+
+    console.log(`⏱️ Adaptive timeout for ${message}: ${learned}ms`);
+    return learned;
+  }
+
+  /**
+   * What a locator matches right now, for wait records
+   */
+  private static async describeElement(locator: Locator): Promise<string> {
+    try {
+      const count = await locator.count();
+      if (count === 0) return 'No matching element';
+      const first = locator.first();
+      const [visible, enabled] = await Promise.all([first.isVisible(), first.isEnabled({ timeout: 1000 })]);
+      return `${count} matching element(s), first is ${visible ? 'visible' : 'hidden'} and ${enabled ? 'enabled' : 'disabled'}`;
+    } catch (error) {
+      return `Could not inspect element: ${error instanceof Error ? error.message : String(error)}`;
+    }
+  }
 }
 
 // Export convenience functions
@@ -1,22 +1,171 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { runPlaywright } from './core/runner';
+import { FlakinessAnalyzer, FlakinessReport } from './utils/flakinessAnalyzer';
+import { parseResultsFile, ProjectTestResult, RunError, RunSummary } from './utils/resultsParser';
+import { QuarantineEntry, QuarantineList } from './utils/quarantine';
+import { SelectorOutcomeStore } from './core/selectorOutcomes';
+import { TimingStore } from './core/timings';
+
 // Flakiness analysis utilities
-export { FlakinessAnalyzer } from './utils/flakinessAnalyzer';
+export { FlakinessAnalyzer, FlakinessReport } from './utils/flakinessAnalyzer';
+export { ResultsParser, ParsedResults, ProjectTestResult, AttemptResult, RunSummary, RunError, TestOutcome } from './utils/resultsParser';
+
+// Quarantine and run history
+export { QuarantineList, QuarantineEntry } from './utils/quarantine';
+export { HistoryStore, HistoryRecord, TestTrend } from './utils/historyStore';
+
+// MCP grounding and self-healing
+export { MCP, Plan, Step, Target, SelectorCandidate } from './core/mcp';
+export { HealingLog, HealRecord, HealingPatch, HealingReport } from './core/healing';
+export { ScoringEngine, ScoringConfig, ScoringWeights, SelectorScorer, SelectorContext, generatedClassScorer, stableAttributeScorer } from './core/scoring';
+export { DomSimilarity, ElementSnapshot, SimilarityMatch } from './core/similarity';
+export { FramePath } from './core/frames';
+export { FingerprintStore, FingerprintRecord, FingerprintDrift } from './core/fingerprints';
+export { SelectorOutcomeStore, SelectorOutcome, SelectorStats } from './core/selectorOutcomes';
+export { SelectorTelemetry, SelectorEvent, SelectorEventCandidate } from './core/telemetry';
+export { PlanLoader, PlanLoadError, PlanIssue } from './core/planLoader';
+export { PlanExecutor, PlanExecutionError, PlanExecutionResult, StepLogEntry, IntentHandler } from './core/planExecutor';
+export { SelectorLinter, SelectorLintReport, LintFinding, SelectorUsage } from './utils/selectorLinter';
+export { SelectorAudit, SelectorAuditReport, AuditedElement } from './core/selectorAudit';
+
+// Network and UI stability waits
+export { NetworkTracker, NetworkIdleTimeoutError, NetworkFilter, InFlightRequest } from './core/network';
+export { UIStability, UIStabilityTimeoutError, UIStabilityReport, UIStabilityCulprit } from './core/stability';
+export { WaitRecorder, WaitRecord, WaitStats } from './core/waitRecorder';
+export { TimingStore, TimingSample, TimingStats, AdaptiveTimeoutOptions } from './core/timings';
+
+// Test execution
+export { PlaywrightRunner, RunOptions, RunOutcome } from './core/runner';
 
 // Custom reporter
 export { default as MCPReporter } from './reporters/mcpReporter';
 
-// Main API functions
-export async function runDeflakeAPI(options: {
+export interface DeflakeAPIOptions {
   spec: string;
   headed?: boolean;
   retries?: number;
-}) {
-  console.log('🚀 Running Deflake API...');
-  console.log('Options:', options);
-  
-  // This would integrate with Playwright test runner
+  projects?: string[];
+  grep?: string;
+  outputFile?: string;
+  htmlReport?: string;
+  quarantineFile?: string;
+  autoQuarantine?: boolean;
+  /** Learn wait and step timeouts from previous runs instead of using fixed ones */
+  adaptiveTimeouts?: boolean;
+  cwd?: string;
+  onOutput?: (chunk: string) => void;
+}
+
+export interface DeflakeAPIResult {
+  success: boolean;
+  exitCode: number;
+  summary: RunSummary;
+  tests: ProjectTestResult[];
+  /** Errors outside any test, e.g. a spec file that failed to load */
+  errors: RunError[];
+  flaky: ProjectTestResult[];
+  failed: ProjectTestResult[];
+  quarantined: Array<ProjectTestResult & { quarantine: QuarantineEntry }>;
+  quarantineChanges: { added: QuarantineEntry[]; released: QuarantineEntry[] };
+  analysis: FlakinessReport;
+  artifacts: {
+    resultsFile: string;
+    playwrightReport?: string;
+    mcpReport?: string;
+    htmlReport?: string;
+    attachments: string[];
+  };
+  options: DeflakeAPIOptions;
+}
+
+// Main API functions
+export async function runDeflakeAPI(options: DeflakeAPIOptions): Promise<DeflakeAPIResult> {
+  const cwd = options.cwd || process.cwd();
+  const quarantineFile = path.resolve(cwd, options.quarantineFile || process.env.DEFLAKE_QUARANTINE_FILE || QuarantineList.DEFAULT_FILE);
+
+  const outcome = await runPlaywright({
+    spec: options.spec,
+    headed: options.headed,
+    retries: options.retries,
+    projects: options.projects,
+    grep: options.grep,
+    outputFile: options.outputFile,
+    cwd,
+    // MCPReporter runs inside Playwright and needs to see the same quarantine list
+    env: {
+      DEFLAKE_QUARANTINE_FILE: quarantineFile,
+      ...(options.adaptiveTimeouts && { [TimingStore.ADAPTIVE_ENV]: 'true' })
+    },
+    onOutput: options.onOutput
+  });
+
+  const { summary, tests, errors } = parseResultsFile(outcome.resultsFile);
+
+  const quarantine = new QuarantineList({ file: quarantineFile });
+  const selectorOutcomes = new SelectorOutcomeStore({
+    file: path.resolve(cwd, process.env.DEFLAKE_SELECTOR_OUTCOMES_FILE || SelectorOutcomeStore.DEFAULT_FILE)
+  });
+  const analyzer = new FlakinessAnalyzer({ quarantine, selectorOutcomes });
+  const analysis = await analyzer.analyzeTestResults(outcome.resultsFile);
+
+  // Split out quarantined failures before the automatic rules change the list
+  const failed: ProjectTestResult[] = [];
+  const quarantined: Array<ProjectTestResult & { quarantine: QuarantineEntry }> = [];
+  for (const test of tests.filter(t => t.outcome === 'failed' || t.outcome === 'flaky')) {
+    const entry = quarantine.find(test);
+    if (entry) {
+      quarantined.push({ ...test, quarantine: entry });
+    } else if (test.outcome === 'failed') {
+      failed.push(test);
+    }
+  }
+
+  let quarantineChanges = { added: [] as QuarantineEntry[], released: [] as QuarantineEntry[] };
+  if (options.autoQuarantine) {
+    quarantineChanges = quarantine.applyAutomaticRules(tests.map(test => ({
+      ...test,
+      status: test.outcome,
+      retries: Math.max(0, test.attempts.length - 1)
+    })));
+    quarantine.save();
+  }
+
+  let htmlReport: string | undefined;
+  if (options.htmlReport) {
+    htmlReport = path.resolve(cwd, options.htmlReport);
+    await analyzer.generateHTMLReport(htmlReport);
+  }
+
+  const existing = (file: string) => fs.existsSync(file) ? file : undefined;
+  const attachments = tests.flatMap(t => t.attempts.flatMap(a => a.attachments))
+    .map(a => a.path)
+    .filter((p): p is string => !!p);
+
+  // Flaky and quarantined tests don't fail the build. Hard failures, errors outside
+  // any test (a spec that failed to load) and any other non-zero exit do
+  const explainedByQuarantine = quarantined.some(t => t.outcome === 'failed');
+  const success = failed.length === 0 && errors.length === 0 &&
+    (outcome.exitCode === 0 || explainedByQuarantine);
+
   return {
-    success: true,
-    message: 'Tests completed',
+    success,
+    exitCode: outcome.exitCode,
+    summary,
+    tests,
+    errors,
+    flaky: tests.filter(t => t.outcome === 'flaky'),
+    failed,
+    quarantined,
+    quarantineChanges,
+    analysis,
+    artifacts: {
+      resultsFile: outcome.resultsFile,
+      playwrightReport: existing(path.join(cwd, 'playwright-report', 'index.html')),
+      mcpReport: existing(path.join(cwd, 'flakiness-report.json')),
+      htmlReport,
+      attachments
+    },
     options
   };
 }
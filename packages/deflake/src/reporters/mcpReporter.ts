@@ -1,6 +1,39 @@
-import { Reporter, TestCase, TestResult } from '@playwright/test/reporter';
+import { FullConfig, FullResult, Reporter, Suite, TestCase, TestResult } from '@playwright/test/reporter';
 import * as fs from 'fs';
 import * as path from 'path';
+import { FingerprintDrift, FingerprintStore } from '../core/fingerprints';
+import { FlakeHunter } from '../core/hunter';
+import { SelectorOutcomeStore, SelectorStats } from '../core/selectorOutcomes';
+import { SelectorEvent, SelectorTelemetry } from '../core/telemetry';
+import { TimingSample, TimingStats, TimingStore } from '../core/timings';
+import { WaitRecord, WaitRecorder, WaitStats } from '../core/waitRecorder';
+import { HistoryRecord, HistoryStore, TestTrend } from '../utils/historyStore';
+import { QuarantineList } from '../utils/quarantine';
+
+interface MCPReporterOptions {
+  outputFile?: string;
+  enableTrendAnalysis?: boolean;
+  historyDir?: string;
+  historyWindow?: number;
+  quarantineFile?: string;
+  fingerprintFile?: string;
+  outcomesFile?: string;
+  /** Days of selector outcomes kept; older ones are pruned at the end of the run */
+  outcomesRetentionDays?: number;
+  timingsFile?: string;
+}
+
+interface SelectorScore {
+  target: string;
+  method: string;
+  selector: string;
+  /** Learned score when the selector has recorded outcomes, else its grounding score */
+  score: number;
+  /** Recorded outcomes behind a learned score; 0 for grounding scores */
+  samples: number;
+  successRate: number;
+  fallbackUsed: boolean;
+}
 
 interface MCPReport {
   summary: {
@@ -9,28 +42,55 @@ interface MCPReport {
     failed: number;
     flaky: number;
     averageSelectorScore: number;
+    flakinessRate: number;
+    stabilityTrend: string;
   };
   tests: Array<{
     title: string;
     status: string;
     retries: number;
-    selectorScores: Array<{
+    selectorScores: SelectorScore[];
+    disambiguations: Array<{
       target: string;
       method: string;
-      score: number;
-      fallbackUsed: boolean;
+      refinement: string;
     }>;
+    /** Selector telemetry attached by MCP and SelectorUtils, in order */
+    selectorEvents: SelectorEvent[];
+    /** Waits that timed out, without their DOM snapshot (it stays in the test's attachment) */
+    failedWaits: Array<Omit<WaitRecord, 'domSnapshot'>>;
     failureReason?: string;
     duration: number;
   }>;
+  trends: TestTrend[];
+  quarantined: Array<{
+    title: string;
+    projectName: string;
+    status: string;
+    owner: string;
+    reason: string;
+    expiresAt?: string;
+  }>;
+  fingerprintDrift: FingerprintDrift[];
+  /** Learned stats of every selector used in this run, lowest score first */
+  selectorStats: SelectorStats[];
+  /** Every kind of wait in this run, the ones timing out most first, then the slowest */
+  waitStats: WaitStats[];
+  /** Waits and plan steps taking markedly longer in recent runs than before */
+  timingDrift: TimingStats[];
   recommendations: string[];
 }
 
 class MCPReporter implements Reporter {
   private report: MCPReport;
   private outputFile: string;
+  private options: MCPReporterOptions;
+  private rootSuite?: Suite;
+  private waits: WaitRecord[] = [];
+  private waitTimings: TimingSample[] = [];
 
-  constructor(options: { outputFile?: string } = {}) {
+  constructor(options: MCPReporterOptions = {}) {
+    this.options = options;
     this.outputFile = options.outputFile || 'mcp-report.json';
     this.report = {
       summary: {
@@ -38,19 +98,49 @@ class MCPReporter implements Reporter {
         passed: 0,
         failed: 0,
         flaky: 0,
-        averageSelectorScore: 0
+        averageSelectorScore: 0,
+        flakinessRate: 0,
+        stabilityTrend: 'insufficient-data'
       },
       tests: [],
+      trends: [],
+      quarantined: [],
+      fingerprintDrift: [],
+      selectorStats: [],
+      waitStats: [],
+      timingDrift: [],
       recommendations: []
     };
   }
 
+  onBegin(config: FullConfig, suite: Suite) {
+    this.rootSuite = suite;
+  }
+
   onTestEnd(test: TestCase, result: TestResult) {
+    const events = SelectorTelemetry.fromAttachments(result.attachments);
+    const waits = WaitRecorder.fromAttachments(result.attachments);
+    this.waits.push(...waits);
+    const projectName = test.parent.project()?.name || '';
+    this.waitTimings.push(...waits.map(wait => ({
+      timestamp: wait.timestamp,
+      key: TimingStore.keyOf('wait', wait.strategy, wait.description),
+      kind: 'wait' as const,
+      projectName,
+      ok: wait.ok,
+      durationMs: wait.elapsedMs,
+      timeoutMs: wait.timeoutMs
+    })));
     const testInfo = {
       title: test.title,
       status: result.status,
       retries: result.retry || 0,
-      selectorScores: this.extractSelectorScores(result),
+      selectorScores: this.extractSelectorScores(events),
+      disambiguations: events
+        .filter(event => event.chosen?.refinement)
+        .map(event => ({ target: event.target, method: event.chosen!.method, refinement: event.chosen!.refinement! })),
+      selectorEvents: events,
+      failedWaits: waits.filter(wait => !wait.ok).map(({ domSnapshot, ...wait }) => wait),
       failureReason: result.errors?.[0]?.message,
       duration: result.duration || 0
     };
@@ -70,125 +160,239 @@ class MCPReporter implements Reporter {
     }
   }
 
-  onEnd() {
+  async onEnd(result: FullResult) {
+    this.recordHistory();
+    const allFailuresQuarantined = this.applyQuarantine();
+    this.detectFingerprintDrift();
+    this.scoreSelectors();
+    this.report.waitStats = WaitRecorder.summarize(this.waits);
+    this.recordTimings();
     this.calculateSummary();
     this.generateRecommendations();
     this.writeReport();
     this.printSummary();
+
+    // Quarantined tests still run and are reported, but must not fail the build
+    if (result.status === 'failed' && allFailuresQuarantined) {
+      console.log('🧊 All failures are quarantined - reporting run as passed');
+      return { status: 'passed' as const };
+    }
   }
 
-  private extractSelectorScores(result: TestResult): Array<{
-    target: string;
-    method: string;
-    score: number;
-    fallbackUsed: boolean;
-  }> {
-    const selectorInfo: Array<{
-      target: string;
-      method: string;
-      score: number;
-      fallbackUsed: boolean;
-    }> = [];
-
-    // Extract selector information from error messages
-    if (result.errors && result.errors.length > 0) {
-      result.errors.forEach(error => {
-        if (error.message) {
-          // Extract selector from error message - handle both formats
-          let selectorMatch = error.message.match(/Locator:\s*locator\(['"`]([^'"`]+)['"`]\)/);
-          
-          if (!selectorMatch) {
-            // Try alternative format: "locator('[selector]')" - this handles square brackets
-            selectorMatch = error.message.match(/locator\(['"`]([^'"`]+)['"`]\)/);
-          }
-          
-          if (selectorMatch) {
-            const selector = selectorMatch[1];
-            const score = this.calculateSelectorScoreFromSelector(selector, result.status);
-            
-            selectorInfo.push({
-              target: selector,
-              method: this.determineSelectorMethod(selector),
-              score: score,
-              fallbackUsed: false
-            });
-          }
-        }
-      });
+  /**
+   * Move quarantined tests into their own report section.
+   * Returns true when every hard failure in the run is quarantined.
+   */
+  private applyQuarantine(): boolean {
+    if (!this.rootSuite) return false;
+
+    let quarantine: QuarantineList;
+    try {
+      quarantine = new QuarantineList({ file: this.options.quarantineFile });
+    } catch (error) {
+      console.warn(`⚠️ Ignoring quarantine list: ${error instanceof Error ? error.message : String(error)}`);
+      return false;
     }
 
-    // If no selectors found in errors, try to extract from stdout
-    if (selectorInfo.length === 0 && result.stdout) {
-      const logs = String(result.stdout);
-      const selectorMatches = logs.match(/locator\(['"`]([^'"`]+)['"`]\)/g);
-      
-      if (selectorMatches) {
-        selectorMatches.forEach(match => {
-          const selector = match.replace(/locator\(['"`]/, '').replace(/['"`]\)/, '');
-          const score = this.calculateSelectorScoreFromSelector(selector, result.status);
-          
-          selectorInfo.push({
-            target: selector,
-            method: this.determineSelectorMethod(selector),
-            score: score,
-            fallbackUsed: false
-          });
-        });
+    let unquarantinedFailures = 0;
+    let quarantinedFailures = 0;
+
+    for (const test of this.rootSuite.allTests()) {
+      const outcome = test.outcome();
+      if (outcome === 'skipped' || test.results.length === 0) continue;
+
+      const projectName = test.parent.project()?.name || '';
+      const entry = quarantine.find({
+        title: test.title,
+        titlePath: test.titlePath().slice(3),
+        file: test.location.file,
+        projectName
+      });
+
+      if (!entry) {
+        if (outcome === 'unexpected') unquarantinedFailures++;
+        continue;
       }
+
+      if (outcome === 'unexpected') quarantinedFailures++;
+      this.report.quarantined.push({
+        title: test.titlePath().slice(3).join(' › '),
+        projectName,
+        status: this.toHistoryStatus(test),
+        owner: entry.owner,
+        reason: entry.reason,
+        expiresAt: entry.expiresAt
+      });
     }
 
-    return selectorInfo;
+    return quarantinedFailures > 0 && unquarantinedFailures === 0;
   }
 
-  private calculateSelectorScoreFromSelector(selector: string, status: string): number {
-    let score = 10; // Start with perfect score
-    
-    // Deduct points for failed tests
-    if (status === 'failed') {
-      score -= 3;
+  /**
+   * One score per selector a test attempt used, from its selector events
+   */
+  private extractSelectorScores(events: SelectorEvent[]): SelectorScore[] {
+    const scores = new Map<string, SelectorScore & { uses: number; successes: number }>();
+    for (const event of events) {
+      if (!event.chosen) continue;
+
+      const key = SelectorOutcomeStore.keyOf({ targetKey: event.target, ...event.chosen });
+      const score = scores.get(key) || {
+        target: event.target,
+        method: event.chosen.method,
+        selector: event.chosen.selector,
+        score: event.chosen.score,
+        samples: 0,
+        successRate: 0,
+        fallbackUsed: false,
+        uses: 0,
+        successes: 0
+      };
+      score.score = Math.min(score.score, event.chosen.score);
+      score.fallbackUsed = score.fallbackUsed || event.fallbackUsed;
+      score.uses++;
+      if (event.ok) score.successes++;
+      scores.set(key, score);
     }
-    
-    // Deduct points for complex selectors
-    if (selector.includes(' ')) {
-      score -= 1; // Compound selectors are less reliable
+
+    return [...scores.values()].map(({ uses, successes, ...score }) => ({ ...score, successRate: successes / uses }));
+  }
+
+  /**
+   * Replace grounding scores with scores learned from observed outcomes
+   * across runs, as recorded by MCP, for selectors that have any
+   */
+  private scoreSelectors() {
+    let outcomes;
+    try {
+      const store = new SelectorOutcomeStore({ file: this.options.outcomesFile, retentionDays: this.options.outcomesRetentionDays });
+      outcomes = store.read();
+      const pruned = store.prune();
+      if (pruned > 0) {
+        console.log(`🧹 Pruned ${pruned} selector outcome(s) older than the retention window`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to read selector outcomes: ${error instanceof Error ? error.message : String(error)}`);
+      return;
     }
-    
-    if (selector.includes('>')) {
-      score -= 1; // Direct child selectors can be fragile
+
+    const history = new Map<string, typeof outcomes>();
+    for (const outcome of outcomes) {
+      const key = SelectorOutcomeStore.keyOf(outcome);
+      if (!history.has(key)) {
+        history.set(key, []);
+      }
+      history.get(key)!.push(outcome);
     }
-    
-    if (selector.includes('[') && selector.includes(']')) {
-      score -= 0.5; // Attribute selectors can be less stable
+
+    const usedThisRun = new Map<string, SelectorStats>();
+    for (const test of this.report.tests) {
+      for (const selector of test.selectorScores) {
+        const key = SelectorOutcomeStore.keyOf({ targetKey: selector.target, ...selector });
+        const group = history.get(key);
+        if (!group) continue;
+
+        const stats = usedThisRun.get(key) || SelectorOutcomeStore.stats(group);
+        usedThisRun.set(key, stats);
+        selector.score = stats.score;
+        selector.samples = stats.samples;
+        selector.successRate = stats.successRate;
+      }
     }
-    
-    // Deduct points for very long selectors
-    if (selector.length > 100) {
-      score -= 1;
+
+    this.report.selectorStats = [...usedThisRun.values()]
+      .sort((a, b) => a.score - b.score || a.targetKey.localeCompare(b.targetKey));
+  }
+
+  /**
+   * Persist this run's final outcomes and pull the trend window back out
+   */
+  private recordHistory() {
+    if (!this.rootSuite) return;
+
+    const tests = this.rootSuite.allTests().filter(test => test.results.length > 0);
+    const outcomes = tests.map(test => this.toHistoryStatus(test));
+    const flakyCount = outcomes.filter(status => status === 'flaky').length;
+    this.report.summary.flakinessRate = tests.length > 0 ? flakyCount / tests.length : 0;
+
+    if (this.options.enableTrendAnalysis === false) return;
+
+    try {
+      const store = new HistoryStore({ dir: this.options.historyDir });
+      const { commit, branch } = HistoryStore.detectRevision();
+      const timestamp = new Date().toISOString();
+      const runId = `${Date.now().toString(36)}-${process.pid}`;
+
+      const records: HistoryRecord[] = tests.map((test, index) => {
+        const lastResult = test.results[test.results.length - 1];
+        return {
+          runId,
+          timestamp,
+          commit,
+          branch,
+          testId: test.id,
+          title: test.titlePath().slice(3).join(' › ') || test.title,
+          file: path.relative(process.cwd(), test.location.file),
+          projectName: test.parent.project()?.name || '',
+          status: outcomes[index],
+          retries: test.results.length - 1,
+          duration: test.results.reduce((total, result) => total + result.duration, 0),
+          errorMessage: lastResult.errors?.[0]?.message?.split('\n')[0]
+        };
+      });
+
+      // Hunt repeats would flood the trend window with synthetic runs
+      if (!FlakeHunter.isHunting()) {
+        store.append(records);
+        console.log(`\n🗂️  Run history appended to: ${store.getFilePath()}`);
+      }
+
+      const window = this.options.historyWindow;
+      this.report.trends = store.getTrends({ limit: window });
+      this.report.summary.stabilityTrend = store.getSuiteTrend(window);
+    } catch (error) {
+      console.warn(`⚠️ Failed to record run history: ${error instanceof Error ? error.message : String(error)}`);
     }
-    
-    // Bonus points for good selector practices
-    if (selector.includes('data-testid')) {
-      score += 1; // Test IDs are very reliable
+  }
+
+  /**
+   * Flag targets whose element changed since the previous run, before their selectors break
+   */
+  private detectFingerprintDrift() {
+    try {
+      this.report.fingerprintDrift = new FingerprintStore({ file: this.options.fingerprintFile }).detectDrift();
+    } catch (error) {
+      console.warn(`⚠️ Failed to read locator fingerprints: ${error instanceof Error ? error.message : String(error)}`);
     }
-    
-    if (selector.includes('id=')) {
-      score += 0.5; // IDs are generally stable
+  }
+
+  /**
+   * Append this run's wait durations to the timing store, which adaptive
+   * timeouts learn from, and flag waits and plan steps slowing down
+   */
+  private recordTimings() {
+    try {
+      const store = new TimingStore({ file: this.options.timingsFile });
+      if (!FlakeHunter.isHunting()) {
+        store.append(this.waitTimings);
+      }
+      this.report.timingDrift = store.summarize().filter(stats => stats.drifting);
+    } catch (error) {
+      console.warn(`⚠️ Failed to record wait timings: ${error instanceof Error ? error.message : String(error)}`);
     }
-    
-    // Ensure score is between 0 and 10
-    return Math.max(0, Math.min(10, score));
   }
 
-  private determineSelectorMethod(selector: string): string {
-    if (selector.includes('data-testid')) return 'data-testid';
-    if (selector.includes('id=')) return 'id';
-    if (selector.includes('class=')) return 'class';
-    if (selector.includes('[') && selector.includes(']')) return 'attribute';
-    if (selector.includes('>')) return 'direct-child';
-    if (selector.includes(' ')) return 'descendant';
-    if (selector.includes('::')) return 'pseudo-element';
-    if (selector.includes(':')) return 'pseudo-class';
-    return 'element';
+  private toHistoryStatus(test: TestCase): HistoryRecord['status'] {
+    switch (test.outcome()) {
+      case 'expected':
+        return 'passed';
+      case 'flaky':
+        return 'flaky';
+      case 'skipped':
+        return 'skipped';
+      default:
+        return 'failed';
+    }
   }
 
   private calculateSummary() {
@@ -204,10 +408,18 @@ class MCPReporter implements Reporter {
   private generateRecommendations() {
     const recommendations: string[] = [];
 
-    if (this.report.summary.averageSelectorScore < 0.8) {
+    if (this.report.tests.some(t => t.selectorScores.length > 0) && this.report.summary.averageSelectorScore < 0.8) {
       recommendations.push('Consider improving selector quality - current average score is below 0.8');
     }
 
+    const unreliable = this.report.selectorStats.filter(s => s.score < 0.5 && s.samples >= 3);
+    if (unreliable.length > 0) {
+      recommendations.push(
+        `Selectors that keep failing, resolving slowly or needing retries: ` +
+        unreliable.map(s => `${s.targetKey} via ${s.method} (score ${s.score.toFixed(2)} over ${s.samples} uses)`).join(', ')
+      );
+    }
+
     if (this.report.summary.flaky > this.report.summary.totalTests * 0.1) {
       recommendations.push('High flakiness detected - review test isolation and wait strategies');
     }
@@ -216,6 +428,38 @@ class MCPReporter implements Reporter {
       recommendations.push('Failed tests detected - review error messages and selector strategies');
     }
 
+    const timingOut = this.report.waitStats.filter(w => w.timeouts > 0);
+    if (timingOut.length > 0) {
+      recommendations.push(
+        `Waits timing out: ` +
+        timingOut.map(w => `${w.description} (${w.strategy}, ${w.timeouts}/${w.count} timed out)`).join(', ') +
+        ` - check the wait records attached to these tests for what they last observed`
+      );
+    }
+
+    if (this.report.timingDrift.length > 0) {
+      recommendations.push(
+        `Getting slower over recent runs: ` +
+        this.report.timingDrift.map(t => `${t.key} (median ${t.previousMedianMs}ms → ${t.recentMedianMs}ms)`).join(', ')
+      );
+    }
+
+    const degrading = this.report.trends.filter(t => t.trend === 'degrading');
+    if (degrading.length > 0) {
+      recommendations.push(
+        `Stability is degrading for ${degrading.length} test(s) over recent runs: ` +
+        degrading.map(t => `${t.title} [${t.projectName}]`).join(', ')
+      );
+    }
+
+    const drifting = this.report.fingerprintDrift.filter(d => d.severity === 'high');
+    if (drifting.length > 0) {
+      recommendations.push(
+        `Target elements changed in ways likely to break their selectors: ` +
+        drifting.map(d => `${d.targetKey} [${d.projectName}]`).join(', ')
+      );
+    }
+
     this.report.recommendations = recommendations;
   }
 
@@ -236,7 +480,46 @@ class MCPReporter implements Reporter {
     console.log(`Failed: ${this.report.summary.failed}`);
     console.log(`Flaky: ${this.report.summary.flaky}`);
     console.log(`Average Selector Score: ${this.report.summary.averageSelectorScore.toFixed(2)}`);
+    console.log(`Stability Trend: ${this.report.summary.stabilityTrend}`);
+
+    const weakest = this.report.selectorStats.filter(s => s.score < 0.8).slice(0, 5);
+    if (weakest.length > 0) {
+      console.log('\n🎯 Weakest Selectors:');
+      weakest.forEach(s => console.log(
+        `- ${s.targetKey} via ${s.method} ${s.score.toFixed(2)}: ${Math.round(s.successRate * 100)}% success over ${s.samples} uses, ` +
+        `median ${s.medianResolveMs}ms, ${s.averageRetry} retries`
+      ));
+    }
+
+    const slowest = this.report.waitStats.filter(w => w.timeouts > 0 || w.p95Ms >= 1000).slice(0, 5);
+    if (slowest.length > 0) {
+      console.log('\n⏳ Slowest Waits:');
+      slowest.forEach(w => console.log(
+        `- ${w.description} (${w.strategy}): ${w.count} waits, median ${w.medianMs}ms, p95 ${w.p95Ms}ms, ` +
+        `${w.timeouts} timed out${w.lastFailure ? ` (last: ${w.lastFailure})` : ''}`
+      ));
+    }
+
+    if (this.report.timingDrift.length > 0) {
+      console.log('\n📈 Slowing Down:');
+      this.report.timingDrift.slice(0, 5).forEach(t => console.log(
+        `- ${t.key}: median ${t.previousMedianMs}ms → ${t.recentMedianMs}ms over ${t.samples} samples` +
+        `${t.learnedTimeout !== undefined ? `, learned timeout ${t.learnedTimeout}ms` : ''}`
+      ));
+    }
+
+    if (this.report.quarantined.length > 0) {
+      console.log('\n🧊 Quarantined:');
+      this.report.quarantined.forEach(q => console.log(`- ${q.title} [${q.projectName}] ${q.status} (owner: ${q.owner}, ${q.reason})`));
+    }
     
+    if (this.report.fingerprintDrift.length > 0) {
+      console.log('\n🧭 Locator Drift:');
+      this.report.fingerprintDrift.forEach(d => console.log(
+        `- ${d.targetKey} [${d.projectName}] ${d.severity}: ${d.changes.map(c => c.description).join('; ')}`
+      ));
+    }
+
     if (this.report.recommendations.length > 0) {
       console.log('\n💡 Recommendations:');
       this.report.recommendations.forEach(rec => console.log(`- ${rec}`));
@@ -1,5 +1,9 @@
 import * as fs from 'fs';
 import * as path from 'path';
+import { SelectorOutcomeStore, SelectorStats } from '../core/selectorOutcomes';
+import { SelectorTelemetry } from '../core/telemetry';
+import { WaitRecorder, WaitStats } from '../core/waitRecorder';
+import { QuarantineList } from './quarantine';
 
 interface TestResult {
   status: string;
@@ -23,7 +27,7 @@ interface TestCase {
   results: TestResult[];
 }
 
-interface FlakinessReport {
+export interface FlakinessReport {
   summary: {
     totalTests: number;
     passed: number;
@@ -31,17 +35,26 @@ interface FlakinessReport {
     flaky: number;
     successRate: number;
     averageDuration: number;
+    quarantined: number;
   };
   testResults: Array<{
     name: string;
     description: string;
     status: string;
     duration: string;
+    durationMs: number;
     browsers: string;
-    selectorScore: number;
+    /** Average learned score (0-1) of the selectors the test used; null without recorded outcomes */
+    selectorScore: number | null;
+    selectors: Array<Pick<SelectorStats, 'targetKey' | 'method' | 'score' | 'samples' | 'successRate'>>;
     consistency: string;
     retries: number;
     errorMessage?: string;
+    quarantine?: {
+      owner: string;
+      reason: string;
+      expiresAt?: string;
+    };
   }>;
   flakinessAnalysis: Array<{
     testName: string;
@@ -50,14 +63,21 @@ interface FlakinessReport {
     severity: string;
     recommendedAction: string;
   }>;
+  /** Waits recorded across the suite, the ones timing out most first, then the slowest */
+  waitStats: WaitStats[];
   recommendations: string[];
 }
 
 export class FlakinessAnalyzer {
   private testResults: any;
   private report: FlakinessReport;
+  private quarantine?: QuarantineList;
+  private selectorOutcomes?: SelectorOutcomeStore;
+  private selectorStats = new Map<string, SelectorStats>();
 
-  constructor() {
+  constructor(options: { quarantine?: QuarantineList; selectorOutcomes?: SelectorOutcomeStore } = {}) {
+    this.quarantine = options.quarantine;
+    this.selectorOutcomes = options.selectorOutcomes;
     this.report = {
       summary: {
         totalTests: 0,
@@ -65,10 +85,12 @@ export class FlakinessAnalyzer {
         failed: 0,
         flaky: 0,
         successRate: 0,
-        averageDuration: 0
+        averageDuration: 0,
+        quarantined: 0
       },
       testResults: [],
       flakinessAnalysis: [],
+      waitStats: [],
       recommendations: []
     };
   }
@@ -78,7 +100,9 @@ export class FlakinessAnalyzer {
       const data = fs.readFileSync(filePath, 'utf8');
       this.testResults = JSON.parse(data);
       
+      this.learnSelectorStats();
       this.analyzeResults();
+      this.summarizeWaits();
       this.generateFlakinessAnalysis();
       this.generateRecommendations();
       
@@ -93,113 +117,167 @@ export class FlakinessAnalyzer {
     let totalDuration = 0;
     let testCount = 0;
 
-    // Process each test suite
-    this.testResults.suites?.forEach((suite: any) => {
-      suite.specs?.forEach((spec: any) => {
-        spec.tests?.forEach((test: any) => {
-          const testResult = this.processTest(test);
-          if (testResult) {
-            this.report.testResults.push(testResult);
-            
-            // Update summary
-            this.report.summary.totalTests++;
-            totalDuration += testResult.duration;
-            testCount++;
-            
-            if (testResult.status === 'passed') {
-              this.report.summary.passed++;
-            } else {
-              this.report.summary.failed++;
-            }
-            
-            if (testResult.retries > 0) {
-              this.report.summary.flaky++;
-            }
-          }
-        });
-      });
+    // Process each spec, including those nested in describe blocks
+    this.collectSpecs(this.testResults.suites || []).forEach((spec: any) => {
+      const testResult = this.processTest(spec);
+      if (testResult) {
+        this.report.testResults.push(testResult);
+        
+        // Update summary
+        this.report.summary.totalTests++;
+        totalDuration += testResult.durationMs;
+        testCount++;
+        
+        if (testResult.quarantine) {
+          // Quarantined tests are still recorded, but kept out of the pass/fail tally
+          this.report.summary.quarantined++;
+        } else if (testResult.status === 'failed') {
+          this.report.summary.failed++;
+        } else {
+          this.report.summary.passed++;
+        }
+        
+        if (testResult.retries > 0) {
+          this.report.summary.flaky++;
+        }
+      }
     });
 
     // Calculate averages
     if (testCount > 0) {
       this.report.summary.averageDuration = totalDuration / testCount;
-      this.report.summary.successRate = (this.report.summary.passed / this.report.summary.totalTests) * 100;
+      const counted = this.report.summary.passed + this.report.summary.failed;
+      this.report.summary.successRate = counted > 0 ? (this.report.summary.passed / counted) * 100 : 100;
     }
   }
 
-  private processTest(test: any) {
-    if (!test.tests || test.tests.length === 0) return null;
+  private collectSpecs(suites: any[], parentTitles: string[] = []): any[] {
+    return suites.flatMap((suite: any) => {
+      // File-level suites are titled after the file, so leave them out of the title path
+      const titles = suite.title && suite.title !== suite.file ? [...parentTitles, suite.title] : parentTitles;
+      return [
+        ...(suite.specs || []).map((spec: any) => ({ ...spec, titlePath: [...titles, spec.title] })),
+        ...this.collectSpecs(suite.suites || [], titles)
+      ];
+    });
+  }
+
+  private processTest(spec: any) {
+    // One entry per browser project; skipped projects carry no signal
+    const runs = (spec.tests || []).filter((test: any) => test.results?.length > 0 && test.status !== 'skipped');
+    if (runs.length === 0) return null;
 
-    const firstResult = test.tests[0];
-    const lastResult = test.tests[test.tests.length - 1];
+    const failedRun = runs.find((test: any) => test.status === 'unexpected');
+    const flakyRun = runs.find((test: any) => test.status === 'flaky');
+    const decisiveRun = failedRun || flakyRun || runs[runs.length - 1];
+    const lastResult = decisiveRun.results[decisiveRun.results.length - 1];
     
-    const status = lastResult.results?.[0]?.status || 'unknown';
-    const duration = lastResult.results?.[0]?.duration || 0;
-    const retries = test.tests.length - 1;
+    const duration = lastResult.duration || 0;
+    const retries = Math.max(...runs.map((test: any) => test.results.length - 1));
     
     // Determine if test is flaky
-    let finalStatus = status;
-    if (retries > 0 && status === 'passed') {
+    let finalStatus = 'passed';
+    if (failedRun) {
+      finalStatus = 'failed';
+    } else if (flakyRun) {
       finalStatus = 'flaky';
     }
 
-    // Calculate selector score based on test complexity and stability
-    const selectorScore = this.calculateSelectorScore(test, lastResult);
+    // Selector quality as observed across runs, not guessed from the test
+    const selectors = this.usedSelectors(runs);
+    const selectorScore = selectors.length > 0
+      ? Math.round(selectors.reduce((total, s) => total + s.score, 0) / selectors.length * 100) / 100
+      : null;
     
     // Determine consistency
-    const consistency = this.determineConsistency(test, lastResult);
+    const consistency = this.determineConsistency(finalStatus, retries);
 
     // Get error message if failed
-    const errorMessage = lastResult.results?.[0]?.errors?.[0]?.message;
+    const errorMessage = lastResult.errors?.[0]?.message || lastResult.error?.message;
+
+    // A test counts as quarantined only when the project that decided its status is covered
+    const quarantineEntry = this.quarantine?.find({
+      title: spec.title,
+      titlePath: spec.titlePath,
+      file: spec.file,
+      projectName: decisiveRun.projectName
+    });
 
     return {
-      name: test.title,
-      description: this.generateDescription(test.title),
+      name: spec.title,
+      description: this.generateDescription(spec.title),
       status: finalStatus,
       duration: this.formatDuration(duration),
-      browsers: this.countBrowsers(test),
+      durationMs: duration,
+      browsers: this.countBrowsers(runs),
       selectorScore,
+      selectors: selectors.map(({ targetKey, method, score, samples, successRate }) => ({ targetKey, method, score, samples, successRate })),
       consistency,
       retries,
-      errorMessage
+      errorMessage,
+      quarantine: quarantineEntry && {
+        owner: quarantineEntry.owner,
+        reason: quarantineEntry.reason,
+        expiresAt: quarantineEntry.expiresAt
+      }
     };
   }
 
-  private calculateSelectorScore(test: any, result: any): number {
-    let score = 10; // Start with perfect score
-    
-    // Deduct points for failures
-    if (result.results?.[0]?.status === 'failed') {
-      score -= 3;
-    }
-    
-    // Deduct points for retries (flakiness)
-    if (test.tests.length > 1) {
-      score -= (test.tests.length - 1) * 1.5;
+  /**
+   * Learned stats of every selector with recorded outcomes, keyed by selector
+   */
+  private learnSelectorStats() {
+    this.selectorStats.clear();
+    if (!this.selectorOutcomes) return;
+
+    for (const stats of this.selectorOutcomes.summarize()) {
+      this.selectorStats.set(SelectorOutcomeStore.keyOf(stats), stats);
     }
-    
-    // Deduct points for complex selectors (estimated)
-    if (test.title.toLowerCase().includes('search') || test.title.toLowerCase().includes('cart')) {
-      score -= 1; // These typically use complex selectors
+  }
+
+  /**
+   * Learned stats of the selectors a test's runs used, going by the selector
+   * telemetry attached to their results
+   */
+  private usedSelectors(runs: any[]): SelectorStats[] {
+    const keys = new Set<string>();
+    for (const result of runs.flatMap((test: any) => test.results)) {
+      for (const event of SelectorTelemetry.fromAttachments(result.attachments)) {
+        if (event.chosen) {
+          keys.add(SelectorOutcomeStore.keyOf({ targetKey: event.target, ...event.chosen }));
+        }
+      }
     }
-    
-    return Math.max(0, Math.round(score * 10) / 10);
+
+    return [...keys].flatMap(key => this.selectorStats.get(key) || []);
+  }
+
+  /**
+   * Wait stats across every result in the run, going by the wait records
+   * attached to them
+   */
+  private summarizeWaits() {
+    const records = this.collectSpecs(this.testResults.suites || [])
+      .flatMap((spec: any) => spec.tests || [])
+      .flatMap((test: any) => test.results || [])
+      .flatMap((result: any) => WaitRecorder.fromAttachments(result.attachments));
+    this.report.waitStats = WaitRecorder.summarize(records);
   }
 
-  private determineConsistency(test: any, result: any): string {
-    if (test.tests.length === 1 && result.results?.[0]?.status === 'passed') {
+  private determineConsistency(status: string, retries: number): string {
+    if (status === 'passed' && retries === 0) {
       return '✅ Consistent';
-    } else if (test.tests.length > 1 && result.results?.[0]?.status === 'passed') {
+    } else if (status === 'flaky' || (status === 'passed' && retries > 0)) {
       return '⚠️ Flaky but Passed';
-    } else if (result.results?.[0]?.status === 'failed') {
+    } else if (status === 'failed') {
       return '❌ Broken';
     } else {
       return '❓ Unknown';
     }
   }
 
-  private countBrowsers(test: any): string {
-    const browserCount = test.tests.length;
+  private countBrowsers(runs: any[]): string {
+    const browserCount = runs.length;
     return `${browserCount} browser${browserCount !== 1 ? 's' : ''}`;
   }
 
@@ -296,12 +374,25 @@ export class FlakinessAnalyzer {
       recommendations.push('Flaky tests detected. Implement retry mechanisms and investigate root causes.');
     }
 
+    if (this.report.summary.quarantined > 0) {
+      recommendations.push(`${this.report.summary.quarantined} quarantined test(s) ran without failing the build. Fix them and remove their quarantine entries before they expire.`);
+    }
+
     if (this.report.summary.averageDuration > 10000) {
       recommendations.push('Tests are running slowly. Optimize test performance and reduce unnecessary waits.');
     }
 
-    if (this.report.testResults.some(t => t.selectorScore < 5)) {
-      recommendations.push('Low selector scores detected. Improve selector quality and stability.');
+    const weakSelectors = [...new Set(this.report.testResults
+      .flatMap(t => t.selectors)
+      .filter(s => s.score < 0.5)
+      .map(s => `${s.targetKey} (${s.method})`))];
+    if (weakSelectors.length > 0) {
+      recommendations.push(`Selectors with poor observed reliability: ${weakSelectors.join(', ')}. Give these targets sturdier locators.`);
+    }
+
+    const timingOut = this.report.waitStats.filter(w => w.timeouts > 0);
+    if (timingOut.length > 0) {
+      recommendations.push(`Waits timing out: ${timingOut.map(w => `${w.description} (${w.timeouts}/${w.count})`).join(', ')}. Check what they last observed in the wait records attached to the failing tests.`);
     }
 
     if (recommendations.length === 0) {
@@ -325,14 +416,27 @@ export class FlakinessAnalyzer {
       return `<span class="status-badge ${statusClass}">${statusText}</span>`;
     };
 
-    const selectorScoreBadge = (score: number) => {
+    const selectorScoreBadge = (test: FlakinessReport['testResults'][number]) => {
+      if (test.selectorScore === null) {
+        return '<span class="selector-score" title="No selector outcomes recorded for this test">n/a</span>';
+      }
+
       let className = 'excellent';
-      if (score < 5) className = 'poor';
-      else if (score < 8) className = 'good';
-      
-      return `<span class="selector-score ${className}">${score}/10</span>`;
+      if (test.selectorScore < 0.5) className = 'poor';
+      else if (test.selectorScore < 0.8) className = 'good';
+
+      const details = test.selectors
+        .map(s => `${s.targetKey} via ${s.method}: ${s.score.toFixed(2)} (${Math.round(s.successRate * 100)}% of ${s.samples} uses)`)
+        .join('\n');
+      return `<span class="selector-score ${className}" title="${details.replace(/"/g, '&quot;')}">${test.selectorScore.toFixed(2)}</span>`;
     };
 
+    const escapeHTML = (text: string) => text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
     const severityColor = (severity: string) => {
       switch (severity.toLowerCase()) {
         case 'critical': return '#dc3545';
@@ -690,14 +794,14 @@ export class FlakinessAnalyzer {
                     </tr>
                 </thead>
                 <tbody>
-                    ${this.report.testResults.map(test => `
+                    ${this.report.testResults.filter(test => !test.quarantine).map(test => `
                         <tr>
                             <td>${test.name}</td>
                             <td>${test.description}</td>
                             <td>${statusBadge(test.status)}</td>
                             <td>${test.duration}</td>
                             <td>${test.browsers}</td>
-                            <td>${selectorScoreBadge(test.selectorScore)}</td>
+                            <td>${selectorScoreBadge(test)}</td>
                             <td>${test.consistency}</td>
                             <td>${test.retries}</td>
                         </tr>
@@ -706,6 +810,37 @@ export class FlakinessAnalyzer {
             </table>
         </div>
 
+        ${this.report.summary.quarantined > 0 ? `
+        <div class="flakiness-reasons quarantined-tests">
+            <h2>🧊 Quarantined Tests</h2>
+            <p>These tests ran and were recorded, but their results did not affect the build.</p>
+            <table class="reason-table">
+                <thead>
+                    <tr>
+                        <th>Test Name</th>
+                        <th>Status</th>
+                        <th>Retries</th>
+                        <th>Owner</th>
+                        <th>Reason</th>
+                        <th>Expires</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.report.testResults.filter(test => test.quarantine).map(test => `
+                        <tr>
+                            <td>${test.name}</td>
+                            <td>${statusBadge(test.status)}</td>
+                            <td>${test.retries}</td>
+                            <td>${test.quarantine!.owner}</td>
+                            <td>${test.quarantine!.reason}</td>
+                            <td>${test.quarantine!.expiresAt ? new Date(test.quarantine!.expiresAt).toLocaleDateString() : 'Never'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ` : ''}
+
         ${this.report.flakinessAnalysis.length > 0 ? `
         <div class="flakiness-reasons">
             <h2>🚨 Flakiness Analysis & Root Causes</h2>
@@ -734,6 +869,41 @@ export class FlakinessAnalyzer {
         </div>
         ` : ''}
 
+        ${this.report.waitStats.length > 0 ? `
+        <div class="flakiness-reasons wait-stats">
+            <h2>⏳ Waits</h2>
+            <p>Which waits time out most and which are slowest, across every test in the run.</p>
+            <table class="reason-table">
+                <thead>
+                    <tr>
+                        <th>Wait</th>
+                        <th>Strategy</th>
+                        <th>Count</th>
+                        <th>Timeouts</th>
+                        <th>Median</th>
+                        <th>p95</th>
+                        <th>Max</th>
+                        <th>Last Observed on Timeout</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.report.waitStats.map(wait => `
+                        <tr>
+                            <td>${escapeHTML(wait.description)}</td>
+                            <td>${wait.strategy}</td>
+                            <td>${wait.count}</td>
+                            <td style="color: ${wait.timeouts > 0 ? severityColor('critical') : severityColor('low')};">${wait.timeouts}</td>
+                            <td>${this.formatDuration(wait.medianMs)}</td>
+                            <td>${this.formatDuration(wait.p95Ms)}</td>
+                            <td>${this.formatDuration(wait.maxMs)}</td>
+                            <td>${wait.lastFailure ? escapeHTML(wait.lastFailure) : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ` : ''}
+
         <div class="recommendations">
             <h2>💡 Recommendations</h2>
             ${this.report.recommendations.map(rec => `
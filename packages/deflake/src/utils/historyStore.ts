@@ -0,0 +1,226 @@
+import { execSync } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface HistoryRecord {
+  runId: string;
+  timestamp: string;
+  commit?: string;
+  branch?: string;
+  testId: string;
+  title: string;
+  file: string;
+  projectName: string;
+  status: 'passed' | 'failed' | 'flaky' | 'skipped';
+  retries: number;
+  duration: number;
+  errorMessage?: string;
+}
+
+export interface HistoryQuery {
+  testId?: string;
+  title?: string | RegExp;
+  projectName?: string;
+  limit?: number;
+}
+
+export type StabilityTrend = 'improving' | 'degrading' | 'stable' | 'insufficient-data';
+
+export interface TestTrend {
+  testId: string;
+  title: string;
+  file: string;
+  projectName: string;
+  runs: number;
+  passRate: number;
+  flakyRate: number;
+  failureRate: number;
+  recentUnstableRate: number;
+  previousUnstableRate: number;
+  trend: StabilityTrend;
+  lastStatus: string;
+  lastCommit?: string;
+}
+
+/**
+ * Append-only JSONL store of test outcomes across runs.
+ *
+ * Every line is one test in one browser project for one run, so the file can
+ * be appended to concurrently by CI jobs and inspected with standard tools.
+ */
+export class HistoryStore {
+  static readonly DEFAULT_DIR = '.deflake/history';
+  private static readonly FILE_NAME = 'history.jsonl';
+  private static readonly DEFAULT_WINDOW = 50;
+  private static readonly MIN_TREND_RUNS = 4;
+  private static readonly TREND_TOLERANCE = 0.05;
+
+  private filePath: string;
+
+  constructor(options: { dir?: string } = {}) {
+    const dir = options.dir || process.env.DEFLAKE_HISTORY_DIR || HistoryStore.DEFAULT_DIR;
+    this.filePath = path.resolve(dir, HistoryStore.FILE_NAME);
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  /**
+   * Append the outcomes of one run
+   */
+  append(records: HistoryRecord[]): void {
+    if (records.length === 0) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+
+  /**
+   * Read records, oldest first. `limit` keeps the most recent N runs per test
+   */
+  read(query: HistoryQuery = {}): HistoryRecord[] {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const records: HistoryRecord[] = [];
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record: HistoryRecord;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A partially written line from an interrupted run shouldn't poison the history
+        continue;
+      }
+
+      if (query.testId && record.testId !== query.testId) continue;
+      if (query.projectName && record.projectName !== query.projectName) continue;
+      if (query.title) {
+        const matches = typeof query.title === 'string'
+          ? record.title.includes(query.title)
+          : query.title.test(record.title);
+        if (!matches) continue;
+      }
+
+      records.push(record);
+    }
+
+    records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    if (query.limit === undefined) {
+      return records;
+    }
+
+    const limited: HistoryRecord[] = [];
+    for (const group of this.groupByTest(records).values()) {
+      limited.push(...group.slice(-query.limit));
+    }
+    return limited.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Stability trend per test and project over the last `window` runs
+   */
+  getTrends(query: HistoryQuery = {}): TestTrend[] {
+    const window = query.limit || HistoryStore.DEFAULT_WINDOW;
+    const records = this.read({ ...query, limit: window });
+
+    return [...this.groupByTest(records).values()].map(group => this.computeTrend(group));
+  }
+
+  /**
+   * Overall trend across every test in the window, for report summaries
+   */
+  getSuiteTrend(window: number = HistoryStore.DEFAULT_WINDOW): StabilityTrend {
+    const trends = this.getTrends({ limit: window }).filter(t => t.trend !== 'insufficient-data');
+    if (trends.length === 0) {
+      return 'insufficient-data';
+    }
+
+    const degrading = trends.filter(t => t.trend === 'degrading').length;
+    const improving = trends.filter(t => t.trend === 'improving').length;
+
+    if (degrading > improving) return 'degrading';
+    if (improving > degrading) return 'improving';
+    return 'stable';
+  }
+
+  /**
+   * Best-effort commit and branch for the current checkout, preferring CI variables
+   */
+  static detectRevision(): { commit?: string; branch?: string } {
+    const env = process.env;
+    let commit = env.DEFLAKE_COMMIT || env.GITHUB_SHA || env.CI_COMMIT_SHA || env.GIT_COMMIT;
+    let branch = env.DEFLAKE_BRANCH || env.GITHUB_REF_NAME || env.CI_COMMIT_REF_NAME || env.GIT_BRANCH;
+
+    try {
+      if (!commit) {
+        commit = execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+      }
+      if (!branch) {
+        branch = execSync('git rev-parse --abbrev-ref HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+      }
+    } catch (error) {
+      // Not a git checkout - history is still useful keyed by timestamp alone
+    }
+
+    return { commit: commit || undefined, branch: branch || undefined };
+  }
+
+  private groupByTest(records: HistoryRecord[]): Map<string, HistoryRecord[]> {
+    const groups = new Map<string, HistoryRecord[]>();
+    for (const record of records) {
+      const key = `${record.testId}::${record.projectName}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key)!.push(record);
+    }
+    return groups;
+  }
+
+  private computeTrend(group: HistoryRecord[]): TestTrend {
+    const runs = group.filter(r => r.status !== 'skipped');
+    const rate = (records: HistoryRecord[], statuses: string[]) =>
+      records.length > 0 ? records.filter(r => statuses.includes(r.status)).length / records.length : 0;
+
+    // Compare the older half of the window against the recent half
+    const half = Math.floor(runs.length / 2);
+    const previous = runs.slice(0, half);
+    const recent = runs.slice(half);
+    const previousUnstableRate = rate(previous, ['flaky', 'failed']);
+    const recentUnstableRate = rate(recent, ['flaky', 'failed']);
+
+    let trend: StabilityTrend = 'stable';
+    if (runs.length < HistoryStore.MIN_TREND_RUNS) {
+      trend = 'insufficient-data';
+    } else if (recentUnstableRate - previousUnstableRate > HistoryStore.TREND_TOLERANCE) {
+      trend = 'degrading';
+    } else if (previousUnstableRate - recentUnstableRate > HistoryStore.TREND_TOLERANCE) {
+      trend = 'improving';
+    }
+
+    const last = group[group.length - 1];
+
+    return {
+      testId: last.testId,
+      title: last.title,
+      file: last.file,
+      projectName: last.projectName,
+      runs: runs.length,
+      passRate: rate(runs, ['passed']),
+      flakyRate: rate(runs, ['flaky']),
+      failureRate: rate(runs, ['failed']),
+      recentUnstableRate,
+      previousUnstableRate,
+      trend,
+      lastStatus: last.status,
+      lastCommit: last.commit
+    };
+  }
+}
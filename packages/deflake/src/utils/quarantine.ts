@@ -0,0 +1,216 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface QuarantineEntry {
+  title: string;
+  file?: string;
+  projectName?: string;
+  owner: string;
+  reason: string;
+  addedAt: string;
+  expiresAt?: string;
+  source: 'manual' | 'auto';
+  cleanRuns?: number;
+}
+
+export interface QuarantineTestRef {
+  title: string;
+  titlePath?: string[];
+  file?: string;
+  projectName?: string;
+}
+
+export interface AutoQuarantineOptions {
+  owner?: string;
+  expiryDays?: number;
+  releaseAfterCleanRuns?: number;
+}
+
+/**
+ * File-backed list of known-flaky tests.
+ *
+ * Quarantined tests still run and are recorded, but their failures don't
+ * fail the build. Entries carry an owner, a reason and an optional expiry so
+ * the list can't silently grow forever.
+ */
+export class QuarantineList {
+  static readonly DEFAULT_FILE = 'quarantine.json';
+  private static readonly DEFAULT_EXPIRY_DAYS = 14;
+  private static readonly DEFAULT_RELEASE_AFTER_CLEAN_RUNS = 5;
+
+  private filePath: string;
+  private entries: QuarantineEntry[];
+
+  constructor(options: { file?: string } = {}) {
+    const file = options.file || process.env.DEFLAKE_QUARANTINE_FILE || QuarantineList.DEFAULT_FILE;
+    this.filePath = path.resolve(file);
+    this.entries = this.load();
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  /**
+   * All entries, including expired ones
+   */
+  list(): QuarantineEntry[] {
+    return [...this.entries];
+  }
+
+  /**
+   * Find the active (non-expired) entry covering a test, if any.
+   * An entry matches on the full title path or the bare test title, and
+   * optionally narrows to a file and/or browser project.
+   */
+  find(test: QuarantineTestRef, now: Date = new Date()): QuarantineEntry | undefined {
+    const fullTitle = (test.titlePath || [test.title]).join(' › ');
+
+    return this.entries.find(entry => {
+      if (this.isExpired(entry, now)) return false;
+      if (entry.title !== fullTitle && entry.title !== test.title) return false;
+      if (entry.projectName && test.projectName && entry.projectName !== test.projectName) return false;
+      if (entry.file && test.file && !this.sameFile(entry.file, test.file)) return false;
+      return true;
+    });
+  }
+
+  isQuarantined(test: QuarantineTestRef): boolean {
+    return !!this.find(test);
+  }
+
+  add(entry: Omit<QuarantineEntry, 'addedAt' | 'source'> & Partial<Pick<QuarantineEntry, 'addedAt' | 'source'>>): QuarantineEntry {
+    if (entry.expiresAt && isNaN(Date.parse(entry.expiresAt))) {
+      throw new Error(`Invalid expiry date for quarantine entry "${entry.title}": ${entry.expiresAt}`);
+    }
+
+    const created: QuarantineEntry = {
+      ...entry,
+      addedAt: entry.addedAt || new Date().toISOString(),
+      source: entry.source || 'manual'
+    };
+
+    // Re-quarantining a test replaces its previous entry
+    this.entries = this.entries.filter(e => !this.sameScope(e, created));
+    this.entries.push(created);
+    return created;
+  }
+
+  /**
+   * Remove entries for a test title, optionally narrowed to a browser
+   * project and/or spec file; returns how many were removed
+   */
+  remove(title: string, projectName?: string, file?: string): number {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(e => !(
+      e.title === title &&
+      (!projectName || e.projectName === projectName) &&
+      (!file || !e.file || this.sameFile(e.file, file))
+    ));
+    return before - this.entries.length;
+  }
+
+  /**
+   * Drop expired entries; returns the removed entries
+   */
+  pruneExpired(now: Date = new Date()): QuarantineEntry[] {
+    const expired = this.entries.filter(e => this.isExpired(e, now));
+    this.entries = this.entries.filter(e => !this.isExpired(e, now));
+    return expired;
+  }
+
+  /**
+   * Automatic entry/exit from a run's results, one per test and browser
+   * project: tests that only passed on retry are quarantined, and
+   * auto-quarantined tests are released after enough consecutive clean runs.
+   * Entries are keyed by file, full title path and project, so same-named
+   * tests elsewhere, and other browsers of the same test, are unaffected.
+   * Manual entries are never released automatically.
+   */
+  applyAutomaticRules(
+    testResults: Array<QuarantineTestRef & { status: string; retries: number }>,
+    options: AutoQuarantineOptions = {}
+  ): { added: QuarantineEntry[]; released: QuarantineEntry[] } {
+    const {
+      owner = 'deflake',
+      expiryDays = QuarantineList.DEFAULT_EXPIRY_DAYS,
+      releaseAfterCleanRuns = QuarantineList.DEFAULT_RELEASE_AFTER_CLEAN_RUNS
+    } = options;
+
+    const added: QuarantineEntry[] = [];
+    const released: QuarantineEntry[] = [];
+
+    for (const result of testResults) {
+      const existing = this.find(result);
+
+      if (result.status === 'flaky') {
+        if (existing) {
+          existing.cleanRuns = 0;
+          continue;
+        }
+
+        const expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString();
+        added.push(this.add({
+          title: (result.titlePath || [result.title]).join(' › '),
+          file: result.file,
+          projectName: result.projectName,
+          owner,
+          reason: `Auto-quarantined: passed only after ${result.retries} retr${result.retries === 1 ? 'y' : 'ies'}`,
+          expiresAt,
+          source: 'auto',
+          cleanRuns: 0
+        }));
+      } else if (existing && existing.source === 'auto') {
+        if (result.status === 'passed' && result.retries === 0) {
+          existing.cleanRuns = (existing.cleanRuns || 0) + 1;
+          if (existing.cleanRuns >= releaseAfterCleanRuns) {
+            this.entries = this.entries.filter(e => e !== existing);
+            released.push(existing);
+          }
+        } else {
+          existing.cleanRuns = 0;
+        }
+      }
+    }
+
+    return { added, released };
+  }
+
+  save(): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2) + '\n');
+  }
+
+  private load(): QuarantineEntry[] {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data) ? data : data.entries || [];
+    } catch (error) {
+      throw new Error(`Invalid quarantine file ${this.filePath}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  private isExpired(entry: QuarantineEntry, now: Date): boolean {
+    return !!entry.expiresAt && Date.parse(entry.expiresAt) <= now.getTime();
+  }
+
+  private sameScope(a: QuarantineEntry, b: QuarantineEntry): boolean {
+    return a.title === b.title && a.projectName === b.projectName && a.file === b.file;
+  }
+
+  /**
+   * Files match when one path ends with the other on a path segment
+   * boundary, so "tests/login.spec.ts" matches "login.spec.ts" but
+   * "admin-login.spec.ts" does not
+   */
+  private sameFile(entryFile: string, testFile: string): boolean {
+    const normalize = (file: string) => file.split(path.sep).join('/').replace(/^\.\//, '');
+    const a = normalize(entryFile);
+    const b = normalize(testFile);
+    return a === b || a.endsWith('/' + b) || b.endsWith('/' + a);
+  }
+}
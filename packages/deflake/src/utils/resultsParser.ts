@@ -0,0 +1,138 @@
+import * as fs from 'fs';
+
+export type TestOutcome = 'passed' | 'failed' | 'flaky' | 'skipped';
+
+export interface AttemptResult {
+  retry: number;
+  status: string;
+  duration: number;
+  errorMessage?: string;
+  attachments: Array<{
+    name: string;
+    contentType: string;
+    path?: string;
+  }>;
+}
+
+export interface ProjectTestResult {
+  title: string;
+  titlePath: string[];
+  file: string;
+  line: number;
+  projectName: string;
+  outcome: TestOutcome;
+  attempts: AttemptResult[];
+}
+
+export interface RunSummary {
+  total: number;
+  passed: number;
+  failed: number;
+  flaky: number;
+  skipped: number;
+  duration: number;
+}
+
+export interface RunError {
+  message: string;
+  file?: string;
+  line?: number;
+}
+
+export interface ParsedResults {
+  summary: RunSummary;
+  tests: ProjectTestResult[];
+  /** Errors outside any test, e.g. a spec file that failed to load */
+  errors: RunError[];
+}
+
+/**
+ * Flattens Playwright's JSON reporter output into one entry per
+ * test per browser project, keeping every retry attempt
+ */
+export class ResultsParser {
+  /**
+   * Parse a Playwright JSON results file from disk
+   */
+  static parseFile(filePath: string): ParsedResults {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return this.parse(data);
+  }
+
+  /**
+   * Parse already-loaded Playwright JSON results
+   */
+  static parse(data: any): ParsedResults {
+    const tests: ProjectTestResult[] = [];
+
+    this.walkSuites(data.suites || [], [], tests);
+
+    const count = (outcome: TestOutcome) => tests.filter(t => t.outcome === outcome).length;
+
+    return {
+      summary: {
+        total: tests.length,
+        passed: count('passed'),
+        failed: count('failed'),
+        flaky: count('flaky'),
+        skipped: count('skipped'),
+        duration: data.stats?.duration || 0
+      },
+      tests,
+      errors: (data.errors || []).map((error: any) => ({
+        message: error.message || error.value || 'Unknown error',
+        file: error.location?.file,
+        line: error.location?.line
+      }))
+    };
+  }
+
+  private static walkSuites(suites: any[], parentTitles: string[], tests: ProjectTestResult[]): void {
+    for (const suite of suites) {
+      // File-level suites are titled after the file, so leave them out of the title path
+      const titles = suite.title && suite.title !== suite.file ? [...parentTitles, suite.title] : parentTitles;
+
+      for (const spec of suite.specs || []) {
+        for (const test of spec.tests || []) {
+          tests.push({
+            title: spec.title,
+            titlePath: [...titles, spec.title],
+            file: spec.file,
+            line: spec.line,
+            projectName: test.projectName,
+            outcome: this.toOutcome(test.status),
+            attempts: (test.results || []).map((result: any) => ({
+              retry: result.retry || 0,
+              status: result.status,
+              duration: result.duration || 0,
+              errorMessage: result.errors?.[0]?.message || result.error?.message,
+              attachments: (result.attachments || []).map((attachment: any) => ({
+                name: attachment.name,
+                contentType: attachment.contentType,
+                path: attachment.path
+              }))
+            }))
+          });
+        }
+      }
+
+      this.walkSuites(suite.suites || [], titles, tests);
+    }
+  }
+
+  private static toOutcome(status: string): TestOutcome {
+    switch (status) {
+      case 'expected':
+        return 'passed';
+      case 'flaky':
+        return 'flaky';
+      case 'skipped':
+        return 'skipped';
+      default:
+        return 'failed';
+    }
+  }
+}
+
+// Export convenience functions
+export const parseResultsFile = ResultsParser.parseFile.bind(ResultsParser);
@@ -0,0 +1,401 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as ts from 'typescript';
+import type { Target } from '../core/mcp';
+
+export type LintRule = 'id-only' | 'positional' | 'deep-chain' | 'volatile-text' | 'comma-union';
+export type LintSeverity = 'high' | 'medium';
+
+export interface LintFinding {
+  file: string;
+  line: number;
+  column: number;
+  rule: LintRule;
+  severity: LintSeverity;
+  selector: string;
+  message: string;
+}
+
+export interface SelectorUsage {
+  file: string;
+  line: number;
+  column: number;
+  method: string;
+  /** The call as written, e.g. `page.locator('#nav-search-submit-button')` */
+  code: string;
+  /** Selector string or getBy* argument; undefined when it isn't a literal */
+  selector?: string;
+  variable?: string;
+  findings: LintFinding[];
+  suggestion?: Target;
+}
+
+export interface SelectorLintReport {
+  generatedAt: string;
+  summary: {
+    files: number;
+    selectors: number;
+    findings: number;
+    byRule: Record<string, number>;
+    bySeverity: Record<string, number>;
+  };
+  findings: LintFinding[];
+  suggestions: Array<{ file: string; line: number; code: string; target: Target }>;
+}
+
+/**
+ * Static lint for selectors in spec files.
+ *
+ * Parses specs with the TypeScript compiler, finds every `locator()` and
+ * `getBy*()` call with a literal selector, and flags patterns that tend to
+ * break or match the wrong element. Each flagged selector gets a suggested
+ * MCP Target so it can move into a plan.
+ */
+export class SelectorLinter {
+  private static readonly LOCATOR_METHODS = [
+    'locator', 'getByRole', 'getByText', 'getByLabel', 'getByPlaceholder', 'getByTestId', 'getByAltText', 'getByTitle'
+  ];
+  private static readonly POSITIONAL_METHODS = ['first', 'last', 'nth'];
+  private static readonly MAX_CHAIN_DEPTH = 3;
+  private static readonly MAX_TEXT_LENGTH = 40;
+  private static readonly VOLATILE_TEXT = [
+    /[$€£¥]\s?\d/,
+    /\d+[.,]\d+/,
+    /\b\d{2,}\b/,
+    /\b\d{1,2}:\d{2}\b/,
+    /\b(today|yesterday|tomorrow|ago)\b/i,
+    /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d/i
+  ];
+  private static readonly TAG_ROLES: Record<string, string> = {
+    a: 'link', button: 'button', select: 'combobox', textarea: 'textbox', input: 'textbox',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    nav: 'navigation', form: 'form', img: 'img'
+  };
+
+  /**
+   * Spec files under a directory, recursively
+   */
+  static findSpecFiles(dir: string): string[] {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return entry.name === 'node_modules' ? [] : this.findSpecFiles(fullPath);
+      }
+      return /\.(spec|test)\.[cm]?[jt]sx?$/.test(entry.name) ? [fullPath] : [];
+    }).sort();
+  }
+
+  /**
+   * Lint spec files and build the report
+   */
+  static lintFiles(files: string[]): { report: SelectorLintReport; usages: SelectorUsage[] } {
+    const usages = files.flatMap(file => this.lintSource(fs.readFileSync(file, 'utf8'), path.relative(process.cwd(), file)));
+    const findings = usages.flatMap(usage => usage.findings);
+    const count = (key: (finding: LintFinding) => string) => findings.reduce<Record<string, number>>((counts, finding) => {
+      counts[key(finding)] = (counts[key(finding)] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      usages,
+      report: {
+        generatedAt: new Date().toISOString(),
+        summary: {
+          files: files.length,
+          selectors: usages.length,
+          findings: findings.length,
+          byRule: count(finding => finding.rule),
+          bySeverity: count(finding => finding.severity)
+        },
+        findings,
+        suggestions: usages
+          .filter(usage => usage.suggestion)
+          .map(usage => ({ file: usage.file, line: usage.line, code: usage.code, target: usage.suggestion! }))
+      }
+    };
+  }
+
+  /**
+   * Find and lint every locator call in one source file
+   */
+  static lintSource(source: string, fileName: string): SelectorUsage[] {
+    const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true);
+    const usages: SelectorUsage[] = [];
+    const usedKeys = new Set<string>();
+
+    const visit = (node: ts.Node) => {
+      if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression) &&
+          this.LOCATOR_METHODS.includes(node.expression.name.text)) {
+        usages.push(this.lintCall(node, sourceFile, fileName, usedKeys));
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+
+    return usages;
+  }
+
+  private static lintCall(
+    call: ts.CallExpression,
+    sourceFile: ts.SourceFile,
+    fileName: string,
+    usedKeys: Set<string>
+  ): SelectorUsage {
+    const method = (call.expression as ts.PropertyAccessExpression).name.text;
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(call.getStart(sourceFile));
+    const [firstArg, optionsArg] = call.arguments;
+    const selector = firstArg && this.literalText(firstArg);
+    const accessibleName = optionsArg && ts.isObjectLiteralExpression(optionsArg)
+      ? optionsArg.properties
+        .filter(ts.isPropertyAssignment)
+        .filter(prop => prop.name.getText(sourceFile) === 'name')
+        .map(prop => this.literalText(prop.initializer))[0]
+      : undefined;
+
+    const usage: SelectorUsage = {
+      file: fileName,
+      line: line + 1,
+      column: character + 1,
+      method,
+      code: call.getText(sourceFile),
+      selector,
+      variable: this.variableName(call),
+      findings: []
+    };
+
+    const flag = (rule: LintRule, severity: LintSeverity, message: string) => {
+      usage.findings.push({ file: usage.file, line: usage.line, column: usage.column, rule, severity, selector: usage.code, message });
+    };
+
+    const positional = this.positionalCall(call);
+    if (positional) {
+      flag('positional', 'high', `\`.${positional}\` picks by position; scope the selector or match on a stable attribute instead`);
+    }
+
+    if (selector !== undefined) {
+      if (method === 'locator') {
+        this.lintCss(selector, flag);
+      } else if (method === 'getByText' && this.isVolatileText(selector)) {
+        flag('volatile-text', 'medium', `Text "${selector}" looks volatile (numbers, prices, dates or long copy)`);
+      }
+    }
+
+    if (accessibleName !== undefined && this.isVolatileText(accessibleName)) {
+      flag('volatile-text', 'medium', `Accessible name "${accessibleName}" looks volatile (numbers, prices, dates or long copy)`);
+    }
+
+    if (usage.findings.length > 0) {
+      usage.suggestion = this.suggestTarget(method, selector, accessibleName, usage.variable, usedKeys);
+    }
+
+    return usage;
+  }
+
+  private static lintCss(selector: string, flag: (rule: LintRule, severity: LintSeverity, message: string) => void): void {
+    const parts = this.splitTopLevel(selector, ',');
+
+    if (parts.length > 1) {
+      flag('comma-union', 'high', `Union of ${parts.length} selectors hides which one matched and can match several elements at once`);
+    }
+
+    const idOnly = parts.filter(part => /^#[A-Za-z][\w-]*$/.test(part));
+    if (idOnly.length > 0) {
+      flag('id-only', 'medium', `${idOnly.join(', ')} relies on a bare id; prefer a role, label or data-testid`);
+    }
+
+    const deep = parts.filter(part => this.compoundCount(part) > this.MAX_CHAIN_DEPTH);
+    if (deep.length > 0) {
+      flag('deep-chain', 'medium', `"${deep[0]}" chains ${this.compoundCount(deep[0])} levels of DOM structure; any layout change breaks it`);
+    }
+
+    if (/:(nth-child|nth-of-type|nth-last-child|first-child|last-child)\b|(^|>>\s*)nth=/.test(selector)) {
+      flag('positional', 'high', 'Positional CSS pseudo-class picks by position rather than identity');
+    }
+
+    const texts = [...selector.matchAll(/(?::has-text|:text(?:-is)?)\(\s*(["'])(.*?)\1\s*\)|text=["']?([^"'>]+)/g)]
+      .map(match => match[2] ?? match[3]);
+    const volatile = texts.find(text => this.isVolatileText(text));
+    if (volatile !== undefined) {
+      flag('volatile-text', 'medium', `Text "${volatile}" looks volatile (numbers, prices, dates or long copy)`);
+    }
+  }
+
+  /**
+   * A Target carrying whatever semantic hints the selector has, with the
+   * original selector kept as the fallback
+   */
+  static suggestTarget(
+    method: string,
+    selector: string | undefined,
+    accessibleName: string | undefined,
+    variable: string | undefined,
+    usedKeys: Set<string> = new Set()
+  ): Target {
+    const target: Partial<Target> = {};
+
+    switch (method) {
+      case 'getByRole':
+        target.role = selector;
+        target.accessibleName = accessibleName;
+        break;
+      case 'getByText':
+        target.text = selector;
+        break;
+      case 'getByLabel':
+        target.label = selector;
+        break;
+      case 'getByPlaceholder':
+        target.placeholder = selector;
+        break;
+      case 'getByTestId':
+        target.testId = selector;
+        break;
+      case 'locator':
+        if (selector !== undefined) {
+          Object.assign(target, this.hintsFromCss(selector));
+        }
+        break;
+    }
+
+    const base = this.kebab(variable || target.testId || target.accessibleName || target.name || target.label || target.text ||
+      selector?.match(/#([\w-]+)/)?.[1] || 'target');
+    let key = base;
+    for (let i = 2; usedKeys.has(key); i++) {
+      key = `${base}-${i}`;
+    }
+    usedKeys.add(key);
+
+    const suggestion: Target = { key, ...target };
+    (Object.keys(suggestion) as (keyof Target)[])
+      .filter(field => suggestion[field] === undefined)
+      .forEach(field => delete suggestion[field]);
+    return suggestion;
+  }
+
+  private static hintsFromCss(selector: string): Partial<Target> {
+    const parts = this.splitTopLevel(selector, ',');
+    const attribute = (name: string) => selector.match(new RegExp(`\\[${name}\\s*[*^$~|]?=\\s*["']?([^"'\\]]+)`))?.[1];
+    const hints: Partial<Target> = {
+      testId: attribute('data-testid') || attribute('data-test-id') || attribute('data-qa'),
+      label: attribute('aria-label'),
+      name: attribute('name'),
+      placeholder: attribute('placeholder'),
+      role: attribute('role')
+    };
+
+    // `a:has-text("Electronics")` reads as role=link, accessibleName=Electronics
+    for (const part of parts) {
+      const lastCompound = this.splitCompounds(part).pop() || '';
+      const tag = lastCompound.match(/^[a-z][a-z0-9]*/i)?.[0]?.toLowerCase();
+      const text = lastCompound.match(/:(?:has-text|text(?:-is)?)\(\s*(["'])(.*?)\1\s*\)/)?.[2];
+      if (!hints.role && tag && this.TAG_ROLES[tag]) {
+        hints.role = this.TAG_ROLES[tag];
+      }
+      if (text && !hints.accessibleName && !hints.text) {
+        if (hints.role) hints.accessibleName = text;
+        else hints.text = text;
+      }
+    }
+
+    // Keep one structural selector as the fallback, preferring ids over deep chains
+    const fallbackPart = parts.find(part => /^#[A-Za-z][\w-]*$/.test(part))
+      || [...parts].sort((a, b) => this.compoundCount(a) - this.compoundCount(b))[0];
+    hints.fallback = fallbackPart;
+
+    return hints;
+  }
+
+  private static positionalCall(call: ts.CallExpression): string | undefined {
+    let node: ts.Node = call;
+    // Walk up through chained calls like page.locator(...).filter(...).first()
+    while (ts.isPropertyAccessExpression(node.parent) && ts.isCallExpression(node.parent.parent)) {
+      const name = node.parent.name.text;
+      if (this.POSITIONAL_METHODS.includes(name)) {
+        const arg = node.parent.parent.arguments[0];
+        return name === 'nth' ? `nth(${arg ? arg.getText() : ''})` : `${name}()`;
+      }
+      if (this.LOCATOR_METHODS.includes(name)) {
+        // A nested locator call is linted on its own
+        return undefined;
+      }
+      node = node.parent.parent;
+    }
+    return undefined;
+  }
+
+  private static variableName(call: ts.CallExpression): string | undefined {
+    for (let node: ts.Node = call; node.parent; node = node.parent) {
+      if (ts.isVariableDeclaration(node.parent) && ts.isIdentifier(node.parent.name)) {
+        return node.parent.name.text;
+      }
+      if (ts.isBlock(node.parent) || ts.isSourceFile(node.parent) || ts.isExpressionStatement(node.parent)) {
+        return undefined;
+      }
+    }
+    return undefined;
+  }
+
+  private static literalText(node: ts.Expression): string | undefined {
+    return ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node) ? node.text : undefined;
+  }
+
+  private static isVolatileText(text: string): boolean {
+    return text.length > this.MAX_TEXT_LENGTH || this.VOLATILE_TEXT.some(pattern => pattern.test(text));
+  }
+
+  private static compoundCount(selector: string): number {
+    return this.splitCompounds(selector).length;
+  }
+
+  /**
+   * Split a single CSS selector into compound selectors on its combinators
+   */
+  private static splitCompounds(selector: string): string[] {
+    return this.splitTopLevel(selector.replace(/\s*[>+~]\s*/g, ' '), ' ').filter(Boolean);
+  }
+
+  /**
+   * Split on a separator outside quotes, brackets and parentheses
+   */
+  private static splitTopLevel(source: string, separator: string): string[] {
+    const parts: string[] = [];
+    let depth = 0;
+    let quote: string | undefined;
+    let current = '';
+
+    for (const char of source) {
+      if (quote) {
+        if (char === quote) quote = undefined;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+      } else if (depth === 0 && char === separator) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
+  private static kebab(value: string): string {
+    return value
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase() || 'target';
+  }
+}
+
+// Export convenience functions
+export const lintSelectors = SelectorLinter.lintFiles.bind(SelectorLinter);
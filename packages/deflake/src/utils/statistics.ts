@@ -0,0 +1,89 @@
+/**
+ * Small statistics helpers used by flakiness hunting and history analysis
+ */
+export class Statistics {
+  /**
+   * Two-sided z-score for a confidence level (e.g. 0.95 -> 1.96)
+   */
+  static zScore(confidence: number): number {
+    if (confidence <= 0 || confidence >= 1) {
+      throw new Error(`Confidence must be between 0 and 1, got ${confidence}`);
+    }
+    return this.inverseNormal(1 - (1 - confidence) / 2);
+  }
+
+  /**
+   * Wilson score interval for a binomial proportion.
+   * Unlike the normal approximation it stays sensible for 0 or n successes,
+   * which is the common case when a test almost always passes.
+   */
+  static wilsonInterval(
+    successes: number,
+    trials: number,
+    confidence: number = 0.95
+  ): { lower: number; upper: number } {
+    if (trials === 0) {
+      return { lower: 0, upper: 1 };
+    }
+
+    const z = this.zScore(confidence);
+    const p = successes / trials;
+    const z2 = z * z;
+    const denominator = 1 + z2 / trials;
+    const centre = (p + z2 / (2 * trials)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / denominator;
+
+    return {
+      lower: Math.max(0, centre - margin),
+      upper: Math.min(1, centre + margin)
+    };
+  }
+
+  /**
+   * Fewest trials, all successful, whose Wilson lower bound reaches
+   * `1 - maxFailureRate`; fewer can never show a failure rate that low
+   */
+  static minCleanTrials(maxFailureRate: number, confidence: number = 0.95): number {
+    if (maxFailureRate <= 0 || maxFailureRate >= 1) {
+      throw new Error(`Failure rate must be between 0 and 1, got ${maxFailureRate}`);
+    }
+
+    // n / (n + z²) >= 1 - r, nudged up past floating point error
+    const z2 = this.zScore(confidence) ** 2;
+    let trials = Math.max(1, Math.ceil(z2 * (1 - maxFailureRate) / maxFailureRate));
+    while (1 - this.wilsonInterval(trials, trials, confidence).lower > maxFailureRate) {
+      trials++;
+    }
+    return trials;
+  }
+
+  /**
+   * Inverse of the standard normal CDF (Acklam's rational approximation)
+   */
+  private static inverseNormal(p: number): number {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - pLow) {
+      return -this.inverseNormal(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+}
+
+// Export convenience functions
+export const wilsonInterval = Statistics.wilsonInterval.bind(Statistics);
+export const minCleanTrials = Statistics.minCleanTrials.bind(Statistics);
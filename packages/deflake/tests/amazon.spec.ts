@@ -1,4 +1,5 @@
 import { test, expect } from '@playwright/test';
+import { MCP } from '../src/core/mcp';
 
 test.describe('Amazon Website Tests', () => {
   test('search for products on Amazon', async ({ page }) => {
@@ -72,8 +73,13 @@ test.describe('Amazon Website Tests', () => {
   test('Amazon login form interaction', async ({ page }) => {
     await page.goto('https://www.amazon.com', { waitUntil: 'domcontentloaded' });
     
-    // Click on sign in
-    const signInButton = page.locator('#nav-link-accountList, #nav-signin-tooltip a, .nav-action-button');
+    // Click on sign in - the header renders several sign-in elements, so let MCP pick the one on screen
+    const mcp = new MCP({ plan: { steps: [] } });
+    const signInButton = await mcp.ground(page, {
+      key: 'sign-in',
+      fallback: '#nav-link-accountList, #nav-signin-tooltip a, .nav-action-button',
+      nth: 0
+    });
     await expect(signInButton).toBeVisible();
     await signInButton.click();
     
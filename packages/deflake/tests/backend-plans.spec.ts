@@ -0,0 +1,36 @@
+import { test } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { parse } from 'yaml';
+import { MCP } from '../src/core/mcp';
+import { PlanExecutor } from '../src/core/planExecutor';
+
+// Journeys in plans/backend against packages/backend (`npm start` there)
+const BACKEND_URL = process.env.DEFLAKE_BACKEND_URL || 'http://localhost:3000';
+const PLAN_DIR = path.join(__dirname, '..', 'plans', 'backend');
+
+// Files that only share targets have no steps of their own
+const journeys = fs.readdirSync(PLAN_DIR)
+  .filter(file => /\.ya?ml$/.test(file))
+  .filter(file => parse(fs.readFileSync(path.join(PLAN_DIR, file), 'utf8'))?.steps);
+
+test.describe('Backend plan journeys', () => {
+  test.beforeAll(async ({ request }) => {
+    const reachable = await request.get(BACKEND_URL).then(response => response.ok(), () => false);
+    test.skip(!reachable, `Backend not reachable at ${BACKEND_URL}; start it with \`npm start\` in packages/backend`);
+  });
+
+  for (const file of journeys) {
+    test(`runs ${file}`, async ({ page }, testInfo) => {
+      const mcp = new MCP({ planFile: path.join(PLAN_DIR, file), projectName: testInfo.project.name });
+      await mcp.loadPlan();
+
+      const executor = new PlanExecutor(mcp, {
+        baseURL: BACKEND_URL,
+        screenshotDir: testInfo.outputPath('steps'),
+        logFile: testInfo.outputPath('steps.json')
+      });
+      await executor.run(page);
+    });
+  }
+});
@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PlanLoadError, PlanLoader } from '../../src/core/planLoader';
+
+let dir: string;
+
+function write(name: string, content: string): string {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function issuesOf(file: string): Array<{ file: string; line?: number; message: string }> {
+  try {
+    PlanLoader.loadFile(file);
+  } catch (error) {
+    if (error instanceof PlanLoadError) {
+      return error.issues.map(({ file, line, message }) => ({ file: path.basename(file), line, message }));
+    }
+    throw error;
+  }
+  throw new Error(`${file} loaded without issues`);
+}
+
+test.describe('PlanLoader', () => {
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deflake-plan-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves included targets and references with overrides', () => {
+    write('shared.yaml', [
+      'targets:',
+      '  search-input: { role: searchbox, accessibleName: Search }'
+    ].join('\n'));
+    const plan = PlanLoader.loadFile(write('plan.yaml', [
+      'include: shared.yaml',
+      'steps:',
+      '  - id: search',
+      '    intent: fill',
+      '    value: laptop',
+      '    targets:',
+      '      - search-input',
+      '      - { ref: search-input, nth: 1 }'
+    ].join('\n')));
+
+    expect(plan.steps).toEqual([{
+      id: 'search',
+      intent: 'fill',
+      value: 'laptop',
+      targets: [
+        { key: 'search-input', role: 'searchbox', accessibleName: 'Search' },
+        { key: 'search-input', role: 'searchbox', accessibleName: 'Search', nth: 1 }
+      ]
+    }]);
+  });
+
+  test('reports every invalid entry with its line', () => {
+    const file = write('plan.yaml', [
+      'steps:',
+      '  - id: open',
+      '    intent: navigate',
+      '    targets: []',
+      '  - id: open',
+      '    targets:',
+      '      - key: button',
+      '        colour: red',
+      '        role: button',
+      '      - missing-target',
+      '      - { key: save, accessibleName: Save, text: Save }'
+    ].join('\n'));
+
+    expect(issuesOf(file)).toEqual([
+      { file: 'plan.yaml', line: 5, message: 'Duplicate step id "open"' },
+      { file: 'plan.yaml', line: 5, message: 'Step "open" is missing a string `intent`' },
+      { file: 'plan.yaml', line: 8, message: expect.stringContaining('Unknown target field `colour`') },
+      { file: 'plan.yaml', line: 10, message: 'Unknown target reference "missing-target"' },
+      { file: 'plan.yaml', line: 11, message: expect.stringContaining('`accessibleName` names the element for `role`') }
+    ]);
+  });
+
+  test('points syntax errors at their line', () => {
+    const [issue] = issuesOf(write('plan.yaml', 'steps:\n  - id: [unclosed\n'));
+    expect(issue.file).toBe('plan.yaml');
+    expect(issue.line).toBeGreaterThanOrEqual(2);
+  });
+
+  test('reports missing and circular includes', () => {
+    write('a.yaml', 'include: b.yaml\n');
+    write('b.yaml', 'include: a.yaml\n');
+    const file = write('plan.yaml', [
+      'include: [a.yaml, nowhere.yaml]',
+      'steps:',
+      '  - { id: go, intent: navigate, url: /, targets: [] }'
+    ].join('\n'));
+
+    expect(issuesOf(file)).toEqual([
+      { file: 'b.yaml', line: 1, message: 'Circular include: plan.yaml -> a.yaml -> b.yaml -> a.yaml' },
+      { file: 'plan.yaml', line: 1, message: 'Included file not found: nowhere.yaml' }
+    ]);
+  });
+
+  test('formats issues relative to the working directory', () => {
+    const error = new PlanLoadError([{ file: path.join(process.cwd(), 'plans', 'x.yaml'), line: 3, column: 5, message: 'Bad' }]);
+    expect(error.message).toBe(`Invalid plan:\n  ${path.join('plans', 'x.yaml')}:3:5 - Bad`);
+  });
+});
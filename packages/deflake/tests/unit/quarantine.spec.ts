@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { QuarantineList } from '../../src/utils/quarantine';
+
+const entry = { owner: 'qa-team', reason: 'Flaky sign-in' };
+
+test.describe('QuarantineList', () => {
+  let dir: string;
+  let list: QuarantineList;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deflake-quarantine-'));
+    list = new QuarantineList({ file: path.join(dir, 'quarantine.json') });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('matches files on whole path segments', () => {
+    list.add({ ...entry, title: 'signs in', file: 'login.spec.ts' });
+
+    expect(list.find({ title: 'signs in', file: '/repo/tests/login.spec.ts' })).toBeDefined();
+    expect(list.find({ title: 'signs in', file: 'login.spec.ts' })).toBeDefined();
+    expect(list.find({ title: 'signs in', file: '/repo/tests/admin-login.spec.ts' })).toBeUndefined();
+  });
+
+  test('narrows matches to the entry\'s project', () => {
+    list.add({ ...entry, title: 'signs in', projectName: 'webkit' });
+
+    expect(list.find({ title: 'signs in', projectName: 'webkit' })).toBeDefined();
+    expect(list.find({ title: 'signs in', projectName: 'chromium' })).toBeUndefined();
+  });
+
+  test('removes only the entry for the given file', () => {
+    list.add({ ...entry, title: 'Login › signs in', file: 'tests/login.spec.ts', projectName: 'webkit' });
+    list.add({ ...entry, title: 'Login › signs in', file: 'tests/admin-login.spec.ts', projectName: 'webkit' });
+
+    expect(list.remove('Login › signs in', 'webkit', 'login.spec.ts')).toBe(1);
+    expect(list.list().map(e => e.file)).toEqual(['tests/admin-login.spec.ts']);
+  });
+
+  test('removes every matching entry when no file is given', () => {
+    list.add({ ...entry, title: 'signs in', file: 'tests/login.spec.ts' });
+    list.add({ ...entry, title: 'signs in', file: 'tests/admin-login.spec.ts' });
+
+    expect(list.remove('signs in')).toBe(2);
+  });
+
+  test('keys automatic entries by file, title path and project', () => {
+    const run = (file: string, status: string) => ({
+      title: 'signs in', titlePath: ['Login', 'signs in'], file, projectName: 'webkit', status, retries: status === 'flaky' ? 1 : 0
+    });
+
+    const { added } = list.applyAutomaticRules([run('/repo/tests/login.spec.ts', 'flaky')]);
+
+    expect(added).toMatchObject([{ title: 'Login › signs in', file: '/repo/tests/login.spec.ts', projectName: 'webkit', source: 'auto' }]);
+    expect(list.find(run('/repo/tests/admin-login.spec.ts', 'failed'))).toBeUndefined();
+  });
+});
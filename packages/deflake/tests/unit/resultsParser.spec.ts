@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import { ResultsParser } from '../../src/utils/resultsParser';
+
+const results = {
+  stats: { duration: 1234 },
+  suites: [
+    {
+      title: 'login.spec.ts',
+      file: 'login.spec.ts',
+      specs: [
+        {
+          title: 'top-level test',
+          file: 'login.spec.ts',
+          line: 3,
+          tests: [{ projectName: 'chromium', status: 'expected', results: [{ retry: 0, status: 'passed', duration: 10 }] }]
+        }
+      ],
+      suites: [
+        {
+          title: 'Login',
+          file: 'login.spec.ts',
+          specs: [
+            {
+              title: 'signs in',
+              file: 'login.spec.ts',
+              line: 8,
+              tests: [
+                {
+                  projectName: 'chromium',
+                  status: 'flaky',
+                  results: [
+                    { retry: 0, status: 'failed', duration: 20, errors: [{ message: 'Timeout 5000ms exceeded' }] },
+                    { retry: 1, status: 'passed', duration: 15, attachments: [{ name: 'trace', contentType: 'application/zip', path: 'trace.zip' }] }
+                  ]
+                },
+                { projectName: 'firefox', status: 'unexpected', results: [{ retry: 0, status: 'failed', duration: 30, error: { message: 'boom' } }] },
+                { projectName: 'webkit', status: 'skipped', results: [] }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+test.describe('ResultsParser', () => {
+  test('flattens specs into one entry per test and project', () => {
+    const { tests } = ResultsParser.parse(results);
+    expect(tests.map(t => `${t.titlePath.join(' › ')} [${t.projectName}]`)).toEqual([
+      'top-level test [chromium]',
+      'Login › signs in [chromium]',
+      'Login › signs in [firefox]',
+      'Login › signs in [webkit]'
+    ]);
+    expect(tests[1]).toMatchObject({ file: 'login.spec.ts', line: 8, title: 'signs in' });
+  });
+
+  test('maps Playwright statuses to outcomes and counts them', () => {
+    const { tests, summary } = ResultsParser.parse(results);
+    expect(tests.map(t => t.outcome)).toEqual(['passed', 'flaky', 'failed', 'skipped']);
+    expect(summary).toEqual({ total: 4, passed: 1, failed: 1, flaky: 1, skipped: 1, duration: 1234 });
+  });
+
+  test('keeps every attempt with its error and attachments', () => {
+    const flaky = ResultsParser.parse(results).tests[1];
+    expect(flaky.attempts).toEqual([
+      { retry: 0, status: 'failed', duration: 20, errorMessage: 'Timeout 5000ms exceeded', attachments: [] },
+      { retry: 1, status: 'passed', duration: 15, errorMessage: undefined, attachments: [{ name: 'trace', contentType: 'application/zip', path: 'trace.zip' }] }
+    ]);
+    expect(ResultsParser.parse(results).tests[2].attempts[0].errorMessage).toBe('boom');
+  });
+
+  test('tolerates an empty report', () => {
+    expect(ResultsParser.parse({})).toEqual({
+      summary: { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0, duration: 0 },
+      tests: [],
+      errors: []
+    });
+  });
+
+  test('returns errors raised outside any test', () => {
+    const { errors, summary } = ResultsParser.parse({
+      ...results,
+      errors: [
+        { message: 'SyntaxError: Unexpected token', location: { file: '/repo/tests/broken.spec.ts', line: 4, column: 1 } },
+        { message: 'Error: No tests found' }
+      ]
+    });
+    expect(errors).toEqual([
+      { message: 'SyntaxError: Unexpected token', file: '/repo/tests/broken.spec.ts', line: 4 },
+      { message: 'Error: No tests found', file: undefined, line: undefined }
+    ]);
+    expect(summary.total).toBe(4);
+  });
+});
@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ScoringEngine, SelectorScorer, generatedClassScorer, stableAttributeScorer } from '../../src/core/scoring';
+
+const context = (method: string, selector: string, extra: { matches?: number; visible?: boolean; enabled?: boolean } = {}) =>
+  ({ method, selector, matches: 1, ...extra });
+
+test.describe('ScoringEngine', () => {
+  test('applies strategy weights and clamps the reported score to [0, 1]', () => {
+    const engine = new ScoringEngine();
+    const testId = engine.score(context('testId', '[data-testid="x"]'));
+    expect(testId.score).toBe(1);
+    expect(testId.rank).toBeCloseTo(1.2);
+    expect(testId.reasons).toEqual(['testId +0.2']);
+    expect(engine.score(context('text', 'text=Go'))).toEqual({ score: 1, rank: 1, reasons: [] });
+    expect(engine.score(context('fallback', '.x')).score).toBeCloseTo(0.9);
+    expect(engine.score(context('role+label', 'x')).reasons).toEqual(['role+label +0.25']);
+    expect(engine.score(context('fallback', '.x', { matches: 9 })).score).toBe(0);
+  });
+
+  test('ranks strategies by their weights even when their scores clamp to 1', () => {
+    const engine = new ScoringEngine();
+    const ranked = ['text', 'role', 'testId', 'label']
+      .map(method => ({ method, ...engine.score(context(method, 'x')) }))
+      .sort(ScoringEngine.byRank);
+
+    expect(ranked.map(r => r.method)).toEqual(['testId', 'label', 'role', 'text']);
+    expect(ranked.every(r => r.score === 1)).toBe(true);
+  });
+
+  test('lets reward scorers and positive weight overrides change the order', () => {
+    const engine = new ScoringEngine({ scorers: [stableAttributeScorer(['data-cy'], 0.3)] });
+    const stable = engine.score(context('fallback', '[data-cy="submit"]'));
+    const role = engine.score(context('role', 'x'));
+    expect(ScoringEngine.byRank(stable, role)).toBeLessThan(0);
+
+    const webkit = new ScoringEngine({ projects: { webkit: { weights: { text: 0.3 } } } }, 'webkit');
+    expect(ScoringEngine.byRank(webkit.score(context('text', 'x')), webkit.score(context('testId', 'x')))).toBeLessThan(0);
+  });
+
+  test('penalizes extra matches and hidden or disabled elements', () => {
+    const engine = new ScoringEngine({ weights: { fallback: 0 } });
+    const result = engine.score(context('fallback', '.x', { matches: 2, visible: false, enabled: false }));
+    expect(result.score).toBeCloseTo(1 - 0.25 - 0.3 - 0.2);
+    expect(result.reasons).toEqual(['2 matches', 'not visible', 'not enabled']);
+  });
+
+  test('lets projects override the threshold, weights and test id attribute', () => {
+    const config = {
+      threshold: 0.7,
+      weights: { text: -0.05 },
+      projects: { webkit: { threshold: 0.9, weights: { text: -0.3 }, testIdAttribute: 'data-qa' } }
+    };
+    const base = new ScoringEngine(config);
+    const webkit = new ScoringEngine(config, 'webkit');
+
+    expect(base.threshold).toBe(0.7);
+    expect(base.weights.text).toBe(-0.05);
+    expect(webkit.threshold).toBe(0.9);
+    expect(webkit.weights.text).toBe(-0.3);
+    expect(webkit.classify('[data-qa="login"]')).toBe('testId');
+    expect(base.classify('[data-qa="login"]')).toBe('fallback');
+    expect(webkit.meetsThreshold(0.85)).toBe(false);
+  });
+
+  test('rejects unknown weights', () => {
+    expect(() => new ScoringEngine({ weights: { colour: 1 } as any })).toThrow('Unknown scoring weight(s): colour');
+  });
+
+  test('classifies selector strings by the strategy they amount to', () => {
+    const engine = new ScoringEngine();
+    expect(engine.classify(`getByRole('button', { name: 'Go' })`)).toBe('role');
+    expect(engine.classify(`getByLabel('Email')`)).toBe('label');
+    expect(engine.classify(`getByText('Go')`)).toBe('text');
+    expect(engine.classify('[name=q]')).toBe('name');
+    expect(engine.classify('form [name=q]')).toBe('fallback');
+  });
+
+  test('runs scorer plugins after the built-in weights', () => {
+    const preferAria: SelectorScorer = {
+      name: 'prefer-aria',
+      score: ({ selector }) => selector.includes('aria-') ? { delta: 0.05, reason: 'aria attribute' } : undefined
+    };
+    const engine = new ScoringEngine({ scorers: [preferAria, 'generated-classes'] });
+
+    expect(engine.getScorers()).toEqual(['prefer-aria', 'generated-classes']);
+    const result = engine.score(context('fallback', '[aria-label="Menu"] .css-1x2b3c'));
+    expect(result.score).toBeCloseTo(1 - 0.1 + 0.05 - 0.15);
+    expect(result.reasons).toEqual(['fallback -0.1', 'prefer-aria: aria attribute', 'generated-classes: generated class name .css-1x2b3c']);
+  });
+
+  test('built-in scorers recognise generated classes and stable attributes', () => {
+    const generated = generatedClassScorer();
+    expect(generated.score(context('fallback', '.Button_root__a8F2k'), new ScoringEngine())?.delta).toBe(-0.15);
+    expect(generated.score(context('fallback', '.search-button'), new ScoringEngine())).toBeUndefined();
+
+    const stable = stableAttributeScorer();
+    expect(stable.score(context('fallback', '[data-cy="submit"]'), new ScoringEngine())?.reason).toBe('stable attribute data-cy');
+    expect(stable.score(context('testId', '[data-cy="submit"]'), new ScoringEngine())).toBeUndefined();
+  });
+
+  test('loads scorer modules and config files, resolving paths against the file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deflake-scoring-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'penalty.js'),
+        `module.exports = { name: 'penalty', score: () => ({ delta: -0.5, reason: 'always' }) };`);
+      const file = path.join(dir, 'scoring.yaml');
+      fs.writeFileSync(file, ['threshold: 0.6', 'weights: { testId: 0 }', 'scorers: [./penalty.js]'].join('\n'));
+
+      const engine = ScoringEngine.load({ file, config: { weights: { role: 0.2 } } });
+      expect(engine.threshold).toBe(0.6);
+      expect(engine.weights).toMatchObject({ testId: 0, role: 0.2 });
+      expect(engine.score(context('testId', 'x'))).toEqual({ score: 0.5, rank: 0.5, reasons: ['penalty: always'] });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('explains scorers that cannot be loaded', () => {
+    expect(() => new ScoringEngine({ scorers: ['no-such-scorer-package'] })).toThrow('Unknown scorer "no-such-scorer-package"');
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import type { Page } from '@playwright/test';
+import { SelectorUtils } from '../../src/core/selectors';
+
+type Recorded = { calls: string[] };
+
+/**
+ * Stands in for a Page: every locator method returns a new stand-in that
+ * remembers the chain of calls made to reach it
+ */
+function recorder(calls: string[] = []): any {
+  const format = (arg: any) => arg instanceof RegExp ? String(arg) : JSON.stringify(arg);
+  return new Proxy({}, {
+    get: (_target, method) => method === 'calls'
+      ? calls
+      : (...args: any[]) => recorder([...calls, `${String(method)}(${args.filter(a => a !== undefined).map(format).join(', ')})`])
+  });
+}
+
+function resolve(selector: string): string[] {
+  return (SelectorUtils.resolve(recorder() as Page, selector) as unknown as Recorded).calls;
+}
+
+test.describe('SelectorUtils.resolve', () => {
+  test('leaves plain Playwright selectors to Playwright', () => {
+    expect(resolve('#search >> text=Go')).toEqual(['locator("#search >> text=Go")']);
+  });
+
+  test('parses getBy* calls with string, regex and option arguments', () => {
+    expect(resolve(`getByRole('button', { name: "Search", exact: true })`))
+      .toEqual(['getByRole("button", {"name":"Search","exact":true})']);
+    expect(resolve('getByText(/laptop\\/pc/i)')).toEqual(['getByText(/laptop\\/pc/i)']);
+    expect(resolve(`getByLabel('It\\'s me')`)).toEqual([`getByLabel("It's me")`]);
+    expect(resolve('getByRole("heading", { level: 2, "name": "Results" })'))
+      .toEqual(['getByRole("heading", {"level":2,"name":"Results"})']);
+  });
+
+  test('chains segments, nth= and trailing nth()/first()/last()', () => {
+    expect(resolve('[data-testid="results"] >> getByText(/laptop/i).first()'))
+      .toEqual(['locator("[data-testid=\\"results\\"]")', 'getByText(/laptop/i)', 'first()']);
+    expect(resolve('getByLabel("Email") >> nth=-1')).toEqual(['getByLabel("Email")', 'nth(-1)']);
+    expect(resolve('getByRole("row").nth(2) >> locator("td").last()'))
+      .toEqual(['getByRole("row")', 'nth(2)', 'locator("td")', 'last()']);
+  });
+
+  test('does not split on >> inside strings or brackets', () => {
+    expect(resolve('getByText("a >> b") >> nth=0')).toEqual(['getByText("a >> b")', 'nth(0)']);
+  });
+
+  test('rejects malformed selectors with the selector in the message', () => {
+    expect(() => resolve('nth=0 >> getByText("x")')).toThrow('Invalid selector "nth=0 >> getByText("x")": nth=0 needs a preceding segment');
+    expect(() => resolve('getByText("x)')).toThrow('unterminated string');
+    expect(() => resolve('getByText(/x)')).toThrow('unterminated regex');
+    expect(() => resolve('getByRole("button", { name: "x"')).toThrow('unterminated options object');
+    expect(() => resolve('getByRole("button", { name: "x" )')).toThrow('expected an option name at ")"');
+    expect(() => resolve('getByText(1)')).toThrow('getByText() expects a string or regex');
+    expect(() => resolve('getByText("x").nth("1")')).toThrow('nth() expects a number');
+    expect(() => resolve('getByText("x").getByRole("button")')).toThrow('unexpected getByRole()');
+    expect(() => resolve('getByText("x").click()')).toThrow('unsupported method click()');
+    expect(() => resolve('getByText("x") first()')).toThrow('unexpected "first()"');
+  });
+});
@@ -0,0 +1,97 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { SelectorLinter } from '../../src/utils/selectorLinter';
+
+function lint(code: string) {
+  return SelectorLinter.lintSource(code, 'example.spec.ts');
+}
+
+function rulesOf(code: string): string[] {
+  return lint(code).flatMap(usage => usage.findings.map(finding => `${finding.rule}:${finding.severity}`));
+}
+
+test.describe('SelectorLinter', () => {
+  test('leaves semantic selectors alone', () => {
+    const usages = lint(`
+      await page.getByRole('button', { name: 'Search' }).click();
+      await page.getByTestId('results').isVisible();
+    `);
+    expect(usages.map(usage => usage.method)).toEqual(['getByRole', 'getByTestId']);
+    expect(usages.flatMap(usage => usage.findings)).toEqual([]);
+    expect(usages.every(usage => usage.suggestion === undefined)).toBe(true);
+  });
+
+  test('flags bare ids, comma unions and deep chains', () => {
+    expect(rulesOf(`page.locator('#nav-search-submit-button')`)).toEqual(['id-only:medium']);
+    expect(rulesOf(`page.locator('#a, .b')`)).toEqual(['comma-union:high', 'id-only:medium']);
+    expect(rulesOf(`page.locator('div.main > ul li > a span')`)).toEqual(['deep-chain:medium']);
+  });
+
+  test('flags positional picks in CSS and chained calls', () => {
+    expect(rulesOf(`page.locator('li:nth-child(2)')`)).toEqual(['positional:high']);
+    expect(rulesOf(`page.locator('.result').filter({ hasText: 'x' }).nth(3)`)).toEqual(['positional:high']);
+    expect(lint(`page.locator('.result').first()`)[0].findings[0].message).toContain('`.first()` picks by position');
+  });
+
+  test('flags volatile text in getByText, accessible names and CSS text', () => {
+    expect(rulesOf(`page.getByText('$19.99')`)).toEqual(['volatile-text:medium']);
+    expect(rulesOf(`page.getByRole('link', { name: 'Posted 3 days ago' })`)).toEqual(['volatile-text:medium']);
+    expect(rulesOf(`page.locator('span:has-text("Jan 5")')`)).toEqual(['volatile-text:medium']);
+    expect(rulesOf(`page.getByText('Sign in')`)).toEqual([]);
+  });
+
+  test('reports where each call is and the variable it is assigned to', () => {
+    const [usage] = lint(`\nconst searchButton = page.locator('#go');`);
+    expect(usage).toMatchObject({ file: 'example.spec.ts', line: 2, column: 22, selector: '#go', variable: 'searchButton' });
+    expect(usage.findings[0]).toMatchObject({ line: 2, column: 22, selector: `page.locator('#go')` });
+  });
+
+  test('suggests targets from the hints a selector carries, keeping it as the fallback', () => {
+    const [byId, byText, byTestId] = lint(`
+      const searchButton = page.locator('#go');
+      page.locator('a:has-text("Electronics"), #menu');
+      page.locator('form > div > [data-testid="email"] input');
+    `).map(usage => usage.suggestion);
+
+    expect(byId).toEqual({ key: 'search-button', fallback: '#go' });
+    expect(byText).toEqual({ key: 'electronics', role: 'link', accessibleName: 'Electronics', fallback: '#menu' });
+    expect(byTestId).toEqual({ key: 'email', testId: 'email', role: 'textbox', fallback: 'form > div > [data-testid="email"] input' });
+  });
+
+  test('keeps suggested keys unique within a file', () => {
+    const keys = lint(`
+      const item = page.locator('li:first-child');
+      page.locator('li:last-child');
+    `).map(usage => usage.suggestion?.key);
+    expect(keys).toEqual(['item', 'target']);
+    expect(lint(`const a = page.locator('#x, #y'); const b = page.locator('#z, #w');`).map(u => u.suggestion?.key))
+      .toEqual(['a', 'b']);
+  });
+
+  test('suffixes suggested keys that are already taken', () => {
+    const usedKeys = new Set(['search']);
+    expect(SelectorLinter.suggestTarget('getByRole', 'searchbox', 'Search', undefined, usedKeys))
+      .toEqual({ key: 'search-2', role: 'searchbox', accessibleName: 'Search' });
+  });
+
+  test('summarizes findings across files by rule and severity', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deflake-lint-'));
+    try {
+      const file = path.join(dir, 'a.spec.ts');
+      fs.writeFileSync(file, `page.locator('#a, #b'); page.getByText('$5.00'); page.getByRole('button');`);
+      const { report } = SelectorLinter.lintFiles(SelectorLinter.findSpecFiles(dir));
+      expect(report.summary).toEqual({
+        files: 1,
+        selectors: 3,
+        findings: 3,
+        byRule: { 'comma-union': 1, 'id-only': 1, 'volatile-text': 1 },
+        bySeverity: { high: 1, medium: 2 }
+      });
+      expect(report.suggestions.map(suggestion => suggestion.code)).toEqual([`page.locator('#a, #b')`, `page.getByText('$5.00')`]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { SelectorOutcome, SelectorOutcomeStore } from '../../src/core/selectorOutcomes';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function outcome(overrides: Partial<SelectorOutcome> = {}): SelectorOutcome {
+  return {
+    timestamp: new Date().toISOString(),
+    targetKey: 'search-button',
+    method: 'testId',
+    selector: '[data-testid="search"]',
+    projectName: 'chromium',
+    retry: 0,
+    phase: 'ground',
+    ok: true,
+    resolveMs: 100,
+    matches: 1,
+    ...overrides
+  };
+}
+
+test.describe('SelectorOutcomeStore', () => {
+  let dir: string;
+  let file: string;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deflake-outcomes-'));
+    file = path.join(dir, 'outcomes.jsonl');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('scores a reliable, fast, unambiguous selector 1', () => {
+    const stats = SelectorOutcomeStore.stats([outcome(), outcome()]);
+    expect(stats).toMatchObject({ samples: 2, successRate: 1, ambiguousRate: 0, averageRetry: 0, score: 1 });
+  });
+
+  test('learns lower scores from failures, slowness, ambiguity and retries', () => {
+    expect(SelectorOutcomeStore.stats([outcome(), outcome({ ok: false, phase: 'action' })]).score).toBe(0.5);
+    // Median 5500ms is halfway to the worst slowness: 10% off
+    expect(SelectorOutcomeStore.stats([outcome({ resolveMs: 5500 })]).score).toBe(0.9);
+    expect(SelectorOutcomeStore.stats([outcome({ matches: 3 }), outcome()]).score).toBe(0.9);
+    expect(SelectorOutcomeStore.stats([outcome({ retry: 1 })]).score).toBe(0.85);
+    // Retry penalty is capped at 50%
+    expect(SelectorOutcomeStore.stats([outcome({ retry: 9 })]).score).toBe(0.5);
+  });
+
+  test('summarizes per selector, weakest first', () => {
+    const store = new SelectorOutcomeStore({ file });
+    store.append(outcome());
+    store.append(outcome({ method: 'text', selector: 'text=Search', ok: false }));
+    store.append(outcome({ method: 'text', selector: 'text=Search' }));
+
+    expect(store.summarize().map(stats => [stats.method, stats.score])).toEqual([['text', 0.5], ['testId', 1]]);
+    expect(store.summarize({ projectName: 'firefox' })).toEqual([]);
+  });
+
+  test('reads oldest first and filters by query', () => {
+    const store = new SelectorOutcomeStore({ file });
+    const now = Date.now();
+    store.append(outcome({ timestamp: new Date(now - 1000).toISOString(), targetKey: 'b' }));
+    store.append(outcome({ timestamp: new Date(now - 2000).toISOString(), targetKey: 'a', testTitle: 'Search › finds' }));
+    fs.appendFileSync(file, 'not json\n');
+
+    expect(store.read().map(o => o.targetKey)).toEqual(['a', 'b']);
+    expect(store.read({ targetKey: 'b' })).toHaveLength(1);
+    expect(store.read({ testTitle: 'Search › finds' })).toHaveLength(1);
+    expect(store.read({ since: new Date(now - 1500).toISOString() }).map(o => o.targetKey)).toEqual(['b']);
+  });
+
+  test('ignores and prunes outcomes older than the retention window', () => {
+    const store = new SelectorOutcomeStore({ file, retentionDays: 7 });
+    store.append(outcome({ timestamp: new Date(Date.now() - 8 * DAY).toISOString(), ok: false }));
+    store.append(outcome());
+
+    expect(store.read()).toHaveLength(1);
+    expect(store.summarize()[0].score).toBe(1);
+    // A longer window still sees the old outcome until it is pruned
+    expect(new SelectorOutcomeStore({ file, retentionDays: 30 }).read()).toHaveLength(2);
+
+    expect(store.prune()).toBe(1);
+    expect(store.prune()).toBe(0);
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(1);
+    expect(new SelectorOutcomeStore({ file, retentionDays: 30 }).read()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+import { Statistics } from '../../src/utils/statistics';
+
+test.describe('Statistics', () => {
+  test('zScore matches the usual two-sided values', () => {
+    expect(Statistics.zScore(0.95)).toBeCloseTo(1.96, 2);
+    expect(Statistics.zScore(0.99)).toBeCloseTo(2.576, 2);
+    expect(() => Statistics.zScore(1)).toThrow('Confidence must be between 0 and 1');
+  });
+
+  test('wilsonInterval is uninformative without trials', () => {
+    expect(Statistics.wilsonInterval(0, 0)).toEqual({ lower: 0, upper: 1 });
+  });
+
+  test('wilsonInterval stays inside [0, 1] and away from the edges for all-pass runs', () => {
+    const interval = Statistics.wilsonInterval(20, 20);
+    expect(interval.upper).toBe(1);
+    expect(interval.lower).toBeCloseTo(20 / (20 + 1.96 ** 2), 3);
+
+    const failing = Statistics.wilsonInterval(0, 20);
+    expect(failing.lower).toBe(0);
+    expect(failing.upper).toBeGreaterThan(0);
+  });
+
+  test('wilsonInterval brackets the observed proportion and narrows with more trials', () => {
+    const small = Statistics.wilsonInterval(9, 10);
+    const large = Statistics.wilsonInterval(90, 100);
+    expect(small.lower).toBeLessThan(0.9);
+    expect(small.upper).toBeGreaterThan(0.9);
+    expect(large.upper - large.lower).toBeLessThan(small.upper - small.lower);
+  });
+
+  test('minCleanTrials is the fewest all-pass runs that prove the failure rate', () => {
+    const runs = Statistics.minCleanTrials(0.05, 0.95);
+    expect(runs).toBe(73);
+    expect(1 - Statistics.wilsonInterval(runs, runs, 0.95).lower).toBeLessThanOrEqual(0.05);
+    expect(1 - Statistics.wilsonInterval(runs - 1, runs - 1, 0.95).lower).toBeGreaterThan(0.05);
+    expect(Statistics.minCleanTrials(0.01, 0.95)).toBeGreaterThan(runs);
+    expect(() => Statistics.minCleanTrials(0)).toThrow('Failure rate must be between 0 and 1');
+  });
+});
@@ -0,0 +1,123 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { TimingSample, TimingStore } from '../../src/core/timings';
+
+const KEY = TimingStore.keyOf('wait', 'network-idle', 'Network to be idle');
+
+let clock = 0;
+function sample(durationMs: number, overrides: Partial<TimingSample> = {}): TimingSample {
+  return {
+    timestamp: new Date(Date.UTC(2026, 0, 1) + clock++ * 1000).toISOString(),
+    key: KEY,
+    kind: 'wait',
+    projectName: 'chromium',
+    ok: true,
+    durationMs,
+    timeoutMs: 10000,
+    ...overrides
+  };
+}
+
+test.describe('TimingStore', () => {
+  let dir: string;
+  let store: TimingStore;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deflake-timings-'));
+    store = new TimingStore({ file: path.join(dir, 'timings.jsonl') });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys samples by kind and parts', () => {
+    expect(KEY).toBe('wait:network-idle:Network to be idle');
+    expect(TimingStore.keyOf('step', 'click', 'submit')).toBe('step:click:submit');
+  });
+
+  test('is adaptive only when switched on', () => {
+    expect(TimingStore.isAdaptive({})).toBe(false);
+    expect(TimingStore.isAdaptive({ DEFLAKE_ADAPTIVE_TIMEOUTS: 'true' })).toBe(true);
+  });
+
+  test('learns nothing until there are enough samples', () => {
+    store.append([1000, 1000, 1000, 1000].map(ms => sample(ms)));
+    expect(store.learnedTimeout(KEY, 10000)).toBeUndefined();
+    expect(store.timeoutFor(KEY, 10000)).toBe(10000);
+  });
+
+  test('learns the 95th percentile plus margins', () => {
+    store.append([1000, 1200, 1400, 1600, 2000].map(ms => sample(ms)));
+    // p95 of five samples is the slowest: 2000 * 1.5 + 1000
+    expect(store.learnedTimeout(KEY, 10000)).toBe(4000);
+  });
+
+  test('keeps learned timeouts within the minimum and the cap', () => {
+    store.append([10, 10, 10, 10, 10].map(ms => sample(ms)));
+    expect(store.learnedTimeout(KEY, 10000)).toBe(1015);
+
+    const slow = new TimingStore({ file: path.join(dir, 'slow.jsonl') });
+    slow.append([9000, 9000, 9000, 9000, 9000].map(ms => sample(ms)));
+    expect(slow.learnedTimeout(KEY, 5000)).toBe(10000);
+
+    const floor = new TimingStore({ file: path.join(dir, 'timings.jsonl'), minTimeout: 3000 });
+    expect(floor.learnedTimeout(KEY, 10000)).toBe(3000);
+  });
+
+  test('counts timeouts as lasting at least their timeout, and falls back after one', () => {
+    store.append([1000, 1000, 1000, 1000].map(ms => sample(ms)));
+    store.append([sample(2500, { ok: false, timeoutMs: 2500 })]);
+    // The latest run timed out at its learned timeout: use the fixed one again
+    expect(store.learnedTimeout(KEY, 10000)).toBeUndefined();
+
+    store.append([sample(1000)]);
+    // The timed-out sample now counts as 2500ms
+    expect(store.learnedTimeout(KEY, 10000)).toBe(4750);
+  });
+
+  test('leaves failures other than timeouts out', () => {
+    store.append([1000, 1000, 1000, 1000].map(ms => sample(ms)));
+    store.append([sample(50, { ok: false }), sample(9000, { ok: false, timeoutMs: 20000 })]);
+    expect(store.learnedTimeout(KEY, 10000)).toBeUndefined();
+    store.append([sample(1000)]);
+    expect(store.learnedTimeout(KEY, 10000)).toBe(2500);
+  });
+
+  test("prefers the project's own samples when it has enough", () => {
+    const median = new TimingStore({ file: path.join(dir, 'timings.jsonl'), percentile: 0.5 });
+    median.append([1000, 1000, 1000, 1000, 1000].map(ms => sample(ms)));
+    median.append([3000, 3000].map(ms => sample(ms, { projectName: 'webkit' })));
+    expect(median.learnedTimeout(KEY, 10000, 'chromium')).toBe(2500);
+    // Too few webkit samples: pooled across projects
+    expect(median.learnedTimeout(KEY, 10000, 'webkit')).toBe(2500);
+
+    median.append([3000, 3000, 3000].map(ms => sample(ms, { projectName: 'webkit' })));
+    expect(median.learnedTimeout(KEY, 10000, 'webkit')).toBe(5500);
+    expect(median.learnedTimeout(/^wait:/, 10000, 'chromium')).toBe(2500);
+  });
+
+  test('only considers the most recent window of samples', () => {
+    const windowed = new TimingStore({ file: path.join(dir, 'timings.jsonl'), window: 5 });
+    windowed.append([9000, 9000, 9000].map(ms => sample(ms)));
+    windowed.append([1000, 1000, 1000, 1000, 1000].map(ms => sample(ms)));
+    expect(windowed.learnedTimeout(KEY, 10000)).toBe(2500);
+  });
+
+  test('flags keys whose recent runs are markedly slower', () => {
+    store.append([1000, 1000, 1000, 1000, 1000, 1000].map(ms => sample(ms)));
+    store.append([3000, 3000, 3000, 3000, 3000, 3000].map(ms => sample(ms)));
+    store.append([100, 100, 100, 100, 100, 100].map(ms => sample(ms, { key: 'wait:url:URL to match' })));
+
+    const [drifting, steady] = store.summarize();
+    expect(drifting).toMatchObject({ key: KEY, drifting: true, previousMedianMs: 1000, recentMedianMs: 3000, samples: 12, failures: 0 });
+    expect(steady).toMatchObject({ key: 'wait:url:URL to match', drifting: false, medianMs: 100 });
+  });
+
+  test('does not flag small absolute slowdowns', () => {
+    store.append([100, 100, 100, 200, 200, 200].map(ms => sample(ms)));
+    expect(store.summarize()[0].drifting).toBe(false);
+  });
+});